@@ -1,7 +1,8 @@
-import React, { useState, useMemo, useCallback } from "react";
+import React, { useState, useReducer, useMemo, useCallback, useEffect, useImperativeHandle, useRef, useId, createContext, useContext } from "react";
 import {
   ResponsiveContainer,
   ComposedChart,
+  LineChart,
   Bar,
   Line,
   XAxis,
@@ -11,48 +12,108 @@ import {
   Scatter,
   LabelList,
   ReferenceLine,
+  ReferenceArea,
+  ReferenceDot,
   Label,
+  Cell,
 } from "recharts";
+import {
+  DEFAULT_INPUTS,
+  MAX_MATURITY,
+  PRESET_SCENARIOS,
+  sanitizeScenario,
+  decodeScenario,
+  encodeScenario,
+  scenarioUrl,
+  loadLibrary,
+  saveLibrary,
+  createLibraryEntry,
+  parseLibraryImport,
+} from "./scenarios.js";
+import {
+  COMPOUNDING,
+  DAY_COUNTS,
+  WHOLE_YEARS,
+  MIN_RATE,
+  MAX_RATE,
+  checkRateBounds,
+  INTERPOLATION_METHODS,
+  interpolateSpotCurve,
+  forwardBetween,
+  addYears,
+  accrualSchedule,
+  growthFactor,
+  convertRate,
+  bootstrapSpotCurve,
+  parYieldsToBonds,
+  spotsToParYields,
+  forwardRateAt,
+  forwardRateSensitivity,
+  FRA_SETTLEMENTS,
+  fraSettlementPayment,
+  priceFra,
+  horizonReturns,
+  TERM_STRUCTURE_THEORIES,
+  decomposeForward,
+  calculateForwardRates,
+} from "./forwardRates.js";
+import { CURRENCIES, createMoneyFormatter } from "./formatting.js";
+import { LOCALES, DEFAULT_LOCALE, createI18n, preferredLocale, saveLocale } from "./i18n.js";
+import { THEMES, THEME_CHOICES, themeVariables, systemTheme, preferredThemeChoice, saveThemeChoice } from "./themes.js";
+import { parseRateText, stepRate } from "./rateInput.js";
+import { CHART_SERIES, chartPoints, movePoint, toneFrequency } from "./chartNavigation.js";
+import { CURVE_FIELDS, keepLocked } from "./embed.js";
+import { createHistory, recordInputs, moveTo, undo, redo, historyLog } from "./history.js";
+import { parseCurveTable } from "./curveImport.js";
+import { DEFAULT_TOLERANCE, generateProblem, seedFromText, solveProblem, gradeAnswers } from "./practice.js";
+import { downloadBlob, exportChartSvg, exportChartPng, exportCashFlowCsv } from "./exporters.js";
+
+// Outside a widget nothing is locked
+const NO_LOCKED_FIELDS = [];
+
+// Highest bond coupon (in %) the bootstrap inputs accept
+const MAX_COUPON = 50;
 
-// CFA-branded color palette (accessible & colorblind-safe)
-const COLORS = {
-  primary: "#4476ff",
-  dark: "#06005a",
-  darkAlt: "#38337b",
-  positive: "#6991ff",
-  negative: "#ea792d",
-  purple: "#7a46ff",
-  purpleAlt: "#50037f",
-  lightBlue: "#4476ff",
-  orange: "#ea792d",
-  darkText: "#06005a",
+// Amount typed into a number field, or null while it is empty or unreadable
+const parseAmount = (text) => {
+  const value = parseFloat(text);
+  return Number.isNaN(value) ? null : value;
 };
 
+// Translation and locale-aware rate/number formatting for every component under App
+const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+const useI18n = () => useContext(I18nContext);
+
+// Active theme tokens; charts read hex colors from `chart`, Tailwind classes use the `ui` variables
+const ThemeContext = createContext(THEMES.light);
+const useChartColors = () => useContext(ThemeContext).chart;
+
 // Shared Card Component
 function Card({ title, children, className = "" }) {
   return (
-    <div className={`bg-white rounded-2xl shadow-md p-5 border border-gray-100 ${className}`}>
-      <h2 className="font-serif text-xl text-slate-800 mb-3">{title}</h2>
-      <div className="font-sans text-sm text-black/80">{children}</div>
+    <div className={`bg-surface rounded-2xl shadow-md p-5 border border-line-subtle ${className}`}>
+      <h2 className="font-serif text-xl text-ink mb-3">{title}</h2>
+      <div className="font-sans text-sm text-ink">{children}</div>
     </div>
   );
 }
 
 // Accessible info icon with tooltip
 function InfoIcon({ children, id }) {
+  const { t } = useI18n();
   const [showTooltip, setShowTooltip] = useState(false);
   
   return (
     <div className="relative inline-block ml-1">
       <button
         type="button"
-        className="w-4 h-4 rounded-full bg-gray-400 text-white text-xs font-bold hover:bg-gray-500 focus:bg-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-1"
+        className="w-4 h-4 rounded-full bg-ink-muted text-surface text-xs font-bold hover:bg-ink focus:bg-ink focus:outline-none focus:ring-2 focus:ring-focus focus:ring-offset-1 focus:ring-offset-surface"
         onMouseEnter={() => setShowTooltip(true)}
         onMouseLeave={() => setShowTooltip(false)}
         onFocus={() => setShowTooltip(true)}
         onBlur={() => setShowTooltip(false)}
         aria-describedby={`${id}-tooltip`}
-        aria-label="More information"
+        aria-label={t("common.moreInfo")}
       >
         ?
       </button>
@@ -61,11 +122,11 @@ function InfoIcon({ children, id }) {
         <div
           id={`${id}-tooltip`}
           role="tooltip"
-          className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-gray-800 text-white text-xs rounded whitespace-nowrap z-10 max-w-xs"
+          className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-tooltip text-tooltip-ink text-xs rounded whitespace-nowrap z-10 max-w-xs"
           style={{ fontSize: '11px' }}
         >
           {children}
-          <div className="absolute top-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-4 border-l-transparent border-r-transparent border-t-gray-800"></div>
+          <div className="absolute top-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-4 border-l-transparent border-r-transparent border-t-tooltip"></div>
         </div>
       )}
     </div>
@@ -73,12 +134,13 @@ function InfoIcon({ children, id }) {
 }
 
 function ValidationMessage({ errors }) {
+  const { t } = useI18n();
   if (!errors || Object.keys(errors).length === 0) return null;
   
   return (
-    <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg" role="alert">
-      <h3 className="text-red-800 font-semibold text-sm mb-2">Please correct the following:</h3>
-      <ul className="text-red-800 text-sm space-y-1">
+    <div className="mt-3 p-3 bg-alert border border-alert-line rounded-lg" role="alert">
+      <h3 className="text-alert-ink font-semibold text-sm mb-2">{t("validation.title")}</h3>
+      <ul className="text-alert-ink text-sm space-y-1">
         {Object.entries(errors).map(([field, error]) => (
           <li key={field}>• {error}</li>
         ))}
@@ -87,22 +149,140 @@ function ValidationMessage({ errors }) {
   );
 }
 
+// Non-blocking notes about unusual rate regimes; results stay on screen
+function WarningMessage({ warnings, title }) {
+  const { t } = useI18n();
+  if (!warnings || Object.keys(warnings).length === 0) return null;
+  
+  return (
+    <div className="mt-3 p-3 bg-warning border border-warning-line rounded-lg" role="status">
+      <h3 className="text-warning-ink font-semibold text-sm mb-2">{title || t("warnings.title")}</h3>
+      <ul className="text-warning-ink text-sm space-y-1">
+        {Object.entries(warnings).map(([field, warning]) => (
+          <li key={field}>• {warning}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Rate field that reads "6.3", "6.3%", "0.063" or "630bp" (see parseRateText), steps with
+// the arrow keys (Shift ×10) or the mouse wheel while focused, and shows its error inline.
+// Reports the rate in %, or null while the field is empty or unreadable. An optional field
+// may be left empty without the "Enter a rate" prompt.
+function RateInput({ id, value, onChange, error, step = 0.1, precision = 2, min = MIN_RATE, max = MAX_RATE, readOnly = false, optional = false, placeholder }) {
+  const { t, formatNumber, formatRate } = useI18n();
+  const inputRef = useRef(null);
+  const [draft, setDraft] = useState(null);
+
+  // Typed text stays while it still means the current value; an outside change (undo,
+  // dragging the curve, a host command) shows the new value instead
+  const parsed = draft == null ? null : parseRateText(draft);
+  const editing = parsed != null && (parsed.ok ? parsed.value === value : value == null);
+  const text = editing ? draft : value == null ? "" : formatNumber(value, null, { useGrouping: false });
+  const ownMessage = editing && !parsed.ok && !(optional && parsed.message.key === "errors.rateEmpty");
+  const message = ownMessage ? t(parsed.message) : error;
+  const readsAs = editing && parsed.ok && parsed.notation !== "percent" ? t("inputs.readsAs", { rate: formatRate(parsed.value, null) }) : null;
+
+  const handleChange = (e) => {
+    const result = parseRateText(e.target.value);
+    setDraft(e.target.value);
+    onChange(result.ok ? result.value : null);
+  };
+
+  const stepBy = (steps) => {
+    if (readOnly) return;
+    setDraft(null);
+    onChange(stepRate(value, steps * step, { precision, min, max }));
+  };
+
+  const handleKeyDown = (e) => {
+    const steps = e.shiftKey ? 10 : 1;
+    if (e.key === "ArrowUp") {
+      e.preventDefault();
+      stepBy(steps);
+    } else if (e.key === "ArrowDown") {
+      e.preventDefault();
+      stepBy(-steps);
+    } else if (e.key === "Enter" && editing && parsed.ok) {
+      setDraft(null);
+    }
+  };
+
+  // The native wheel listener below stays across renders, so it reads these through a ref
+  const latest = useRef({ value, onChange });
+  useEffect(() => {
+    latest.current = { value, onChange };
+  });
+
+  // The wheel steps only while the field has focus, so scrolling past it still scrolls the
+  // page. React's wheel listeners are passive and cannot stop the scroll, hence a native one.
+  useEffect(() => {
+    if (readOnly) return;
+    const input = inputRef.current;
+    const handleWheel = (e) => {
+      if (document.activeElement !== input || e.deltaY === 0) return;
+      e.preventDefault();
+      const steps = e.deltaY < 0 ? (e.shiftKey ? 10 : 1) : (e.shiftKey ? -10 : -1);
+      setDraft(null);
+      latest.current.onChange(stepRate(latest.current.value, steps * step, { precision, min, max }));
+    };
+    input.addEventListener("wheel", handleWheel, { passive: false });
+    return () => input.removeEventListener("wheel", handleWheel);
+  }, [readOnly, step, precision, min, max]);
+
+  const describedBy = [readsAs && `${id}-reads-as`, message && `${id}-error`].filter(Boolean).join(" ");
+
+  return (
+    <div>
+      <input
+        ref={inputRef}
+        id={id}
+        type="text"
+        inputMode="decimal"
+        autoComplete="off"
+        role="spinbutton"
+        aria-valuenow={value ?? undefined}
+        aria-valuemin={min}
+        aria-valuemax={max}
+        aria-valuetext={value == null ? undefined : formatRate(value, null)}
+        value={text}
+        placeholder={placeholder}
+        readOnly={readOnly}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => editing && parsed.ok && setDraft(null)}
+        className={`block w-24 rounded-md shadow-sm px-2 py-2 text-sm ${
+          message
+            ? 'border-alert-line focus:border-alert-strong focus:ring-alert-strong'
+            : 'border-line focus:border-focus focus:ring-focus'
+        }`}
+        aria-invalid={message ? 'true' : 'false'}
+        aria-describedby={describedBy || undefined}
+      />
+      {readsAs && <p id={`${id}-reads-as`} className="mt-1 text-xs text-ink-muted">{readsAs}</p>}
+      {message && <p id={`${id}-error`} className="mt-1 max-w-[14rem] text-xs text-alert-ink">{message}</p>}
+    </div>
+  );
+}
+
 // Clean bar labels for cash flows
 const CleanBarLabel = (props) => {
-  const { x, y, width, height, value } = props;
+  const { x, y, width, height, value, formatMoney } = props;
+  const colors = useChartColors();
   
   if (!value || Math.abs(value) < 0.01) return null;
   
   const isNegative = value < 0;
   const labelY = isNegative ? y + height + 20 : y - 10;
-  const displayValue = isNegative ? `($${Math.abs(value).toFixed(2)})` : `$${value.toFixed(2)}`;
+  const displayValue = formatMoney(value, "accounting");
   
   return (
     <text
       x={x + width / 2}
       y={labelY}
       textAnchor="middle"
-      fill={COLORS.darkText}
+      fill={colors.darkText}
       fontSize="12"
       fontWeight="normal"
     >
@@ -111,158 +291,504 @@ const CleanBarLabel = (props) => {
   );
 };
 
-// Calculate forward rates and cash flows
-function calculateForwardRates({ s1, s2 }) {
-  const r1 = s1 / 100;
-  const r2 = s2 / 100;
-  
-  const forwardRate = (Math.pow(1 + r2, 2) / (1 + r1)) - 1;
-  const forwardRatePct = forwardRate * 100;
-  
-  const strategy1Year1 = 100 * (1 + r1);
-  const strategy1Year2 = strategy1Year1 * (1 + forwardRate);
-  const strategy2Year2 = 100 * Math.pow(1 + r2, 2);
-  
-  const cashFlowData = [
-    {
-      period: 0,
-      periodLabel: "0",
-      strategy1Cash: -100,
-      strategy2Cash: -100,
-      twoYearLine: r2 * 100,
-    },
-    {
-      period: 1,
-      periodLabel: "1",
-      strategy1Maturity: strategy1Year1,
-      strategy1Reinvest: -strategy1Year1,
-      strategy2Cash: 0,
-      oneYearRate: r1 * 100,
-      twoYearLine: r2 * 100,
-    },
-    {
-      period: 2,
-      periodLabel: "2", 
-      strategy1Cash: strategy1Year2,
-      strategy2Cash: strategy2Year2,
-      forwardRate: forwardRatePct,
-      twoYearLine: r2 * 100,
+// Chart color token for each leg of the arbitrage trade
+const ARBITRAGE_COLORS = {
+  arbShortLeg: "purple",
+  arbLongLeg: "dark",
+  arbFraLeg: "purpleAlt",
+};
+
+// Explain curve shapes and negative rates that the model handles but students may not expect
+function describeRateRegime(inputs, model, { t, formatRate }) {
+  const warnings = {};
+  const spots = [inputs.s1, inputs.s2, ...inputs.extraSpots];
+
+  if (inputs.s2 < inputs.s1) {
+    warnings.invertedCurve = t("warnings.invertedCurve", {
+      s1: formatRate(inputs.s1, null),
+      s2: formatRate(inputs.s2, null),
+      forward: formatRate(model.forwardRate),
+    });
+  } else if (inputs.s2 === inputs.s1) {
+    warnings.flatCurve = t("warnings.flatCurve");
+  }
+
+  if (spots.some(rate => rate < 0)) {
+    warnings.negativeSpot = t("warnings.negativeSpot");
+  }
+
+  const negativeForward = model.forwardMatrix.rows
+    .filter(row => row.start > 0)
+    .flatMap(row => row.cells)
+    .find(cell => cell.rate < 0);
+  if (negativeForward) {
+    warnings.negativeForward = t("warnings.negativeForward", { ...negativeForward, rate: formatRate(negativeForward.rate) });
+  }
+
+  return warnings;
+}
+
+// Guided walkthrough of the no-arbitrage argument. Each step reveals [period, dataKey] points
+// on the chart and highlights the matching ResultsSection lines; its title and caption live
+// under walkthrough.<id> in the locale catalogs, filled from `captionParams`.
+const WALKTHROUGH_STEPS = [
+  {
+    id: "invest",
+    reveal: [[0, "strategy1Cash"], [0, "strategy2Cash"]],
+    highlight: ["s1Invest", "s2Invest"],
+    captionParams: ({ model, inputs, formatMoney, formatRate }) => ({
+      investment: formatMoney(model.investment),
+      s1: formatRate(inputs.s1, null),
+      s2: formatRate(inputs.s2, null),
+    }),
+  },
+  {
+    id: "maturity",
+    reveal: [[1, "strategy1Maturity"], [1, "oneYearRate"]],
+    highlight: ["s1Invest"],
+    captionParams: ({ model, inputs, formatMoney, formatRate }) => ({
+      value: formatMoney(model.strategy1Year1Value),
+      investment: formatMoney(model.investment),
+      s1: formatRate(inputs.s1, null),
+    }),
+  },
+  {
+    id: "reinvest",
+    reveal: [[1, "strategy1Reinvest"], [2, "forwardRate"]],
+    highlight: ["s1Reinvest", "forward"],
+    captionParams: ({ model, formatMoney, formatRate }) => ({
+      value: formatMoney(model.strategy1Year1Value),
+      forward: formatRate(model.forwardRate),
+    }),
+  },
+  {
+    id: "compound",
+    reveal: [[2, "strategy2Cash"], [0, "twoYearLine"], [1, "twoYearLine"], [2, "twoYearLine"]],
+    highlight: ["s2Compound"],
+    captionParams: ({ model, inputs, formatMoney, formatRate }) => ({
+      s2: formatRate(inputs.s2, null),
+      value: formatMoney(model.strategy2Final),
+    }),
+  },
+  {
+    id: "equal",
+    reveal: [[2, "strategy1Cash"]],
+    highlight: ["equality"],
+    captionParams: ({ model, formatMoney }) => ({ value: formatMoney(model.strategy1Final) }),
+  },
+];
+
+// Chart rows showing only what the walkthrough has revealed so far, plus the points of the current step
+function walkthroughData(cashFlowData, stepIndex) {
+  const revealed = new Set();
+  const current = new Set();
+  WALKTHROUGH_STEPS.slice(0, stepIndex + 1).forEach((step, i) => {
+    step.reveal.forEach(([period, key]) => {
+      revealed.add(`${period}:${key}`);
+      if (i === stepIndex) current.add(`${period}:${key}`);
+    });
+  });
+
+  const data = cashFlowData.map(row => {
+    const visible = { period: row.period, periodLabel: row.periodLabel };
+    Object.keys(row).forEach(key => {
+      if (revealed.has(`${row.period}:${key}`)) visible[key] = row[key];
+    });
+    return visible;
+  });
+
+  return { data, revealed, current };
+}
+
+// Next/Back controls with a narrated caption for the walkthrough
+function WalkthroughControls({ step, onStepChange, model, inputs, formatMoney }) {
+  const { t, formatRate } = useI18n();
+  const buttonClass = "px-3 py-1 text-sm rounded-md border border-line text-ink hover:bg-surface-muted disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-focus";
+  const last = WALKTHROUGH_STEPS.length - 1;
+
+  if (step == null) {
+    return (
+      <div className="mb-3 print:hidden">
+        <button type="button" onClick={() => onStepChange(0)} className={buttonClass}>
+          {t("walkthrough.start")}
+        </button>
+      </div>
+    );
+  }
+
+  const current = WALKTHROUGH_STEPS[step];
+  const stepText = t("walkthrough.stepOf", {
+    step: step + 1,
+    total: WALKTHROUGH_STEPS.length,
+    title: t(`walkthrough.${current.id}.title`),
+  });
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowRight" && step < last) {
+      e.preventDefault();
+      onStepChange(step + 1);
+    } else if (e.key === "ArrowLeft" && step > 0) {
+      e.preventDefault();
+      onStepChange(step - 1);
+    } else if (e.key === "Escape") {
+      onStepChange(null);
     }
-  ];
-  
-  return {
-    forwardRate: forwardRatePct,
-    strategy1Final: strategy1Year2,
-    strategy2Final: strategy2Year2,
-    strategy1Year1Value: strategy1Year1,
-    cashFlowData,
-    isValid: r1 > 0 && r2 > 0 && r1 < 0.5 && r2 < 0.5
   };
+
+  return (
+    <div
+      className="mb-3 p-3 bg-highlight border border-highlight-line rounded-lg print:hidden"
+      role="group"
+      aria-label={t("walkthrough.controls")}
+      onKeyDown={handleKeyDown}
+    >
+      <div className="flex flex-wrap items-center gap-2">
+        <button type="button" onClick={() => onStepChange(step - 1)} disabled={step === 0} className={buttonClass}>
+          {t("walkthrough.back")}
+        </button>
+        <button type="button" onClick={() => onStepChange(step + 1)} disabled={step === last} className={buttonClass}>
+          {t("walkthrough.next")}
+        </button>
+        <button type="button" onClick={() => onStepChange(null)} className={buttonClass}>
+          {t("walkthrough.showAll")}
+        </button>
+        <span className="text-sm font-semibold text-ink">{stepText}</span>
+      </div>
+      <p className="mt-2 text-sm text-ink" aria-live="polite">
+        <span className="sr-only">{stepText}. </span>
+        {t(`walkthrough.${current.id}.caption`, current.captionParams({ model, inputs, formatMoney, formatRate }))}
+      </p>
+    </div>
+  );
+}
+
+// Axis ranges for the cash-flow chart. Comparison views merge these so every panel shares them.
+function forwardChartAxes(model, inputs, decomposition = null) {
+  const { arbitrage, investment } = model;
+
+  // Ticks sit at multiples of the investment; arbitrage legs scale with their own notional,
+  // so widen the cash axis when they outgrow the strategies
+  const arbitrageExtent = arbitrage
+    ? Math.max(...arbitrage.legs.flatMap(leg => leg.cashFlows.map(Math.abs)))
+    : 0;
+  const cashExtent = Math.max(investment * 1.2, model.strategy2Final * 1.1, arbitrageExtent * 1.1);
+  const tickStep = investment / 10;
+  const cashAxis = arbitrageExtent > investment
+    ? { domain: [-cashExtent, cashExtent], ticks: undefined }
+    : {
+        domain: [-investment * 1.2, Math.max(investment * 1.2, model.strategy2Final * 1.1)],
+        ticks: [-investment, -investment / 2, 0, investment / 2, investment, Math.max(investment * 1.2, Math.ceil(model.strategy2Final / tickStep) * tickStep)],
+      };
+
+  // Rate axis starts at 0 unless a rate is negative, then extends below the lowest one
+  const rates = [
+    inputs.s1,
+    inputs.s2,
+    model.forwardRate,
+    ...(arbitrage ? [arbitrage.marketForward] : []),
+    ...(decomposition ? [decomposition.expectedRate] : []),
+  ];
+  const lowestRate = Math.min(...rates);
+  const rateDomain = [lowestRate < 0 ? Math.floor(lowestRate) - 2 : 0, Math.max(...rates, 0) + 2];
+
+  return { cashAxis, rateDomain };
 }
 
-// Chart component
-function ForwardRateChart({ model, inputs, formatPercentage }) {
+// Chart series plotted on the rate axis, formatted as rates in the tooltip
+const RATE_SERIES = new Set(["oneYearRate", "forwardRate", "twoYearLine", "decompositionBase", "decompositionPremium"]);
+
+// A short sine blip at `frequency`, fading out so consecutive points don't click
+function playTone(audio, frequency) {
+  const oscillator = audio.createOscillator();
+  const gain = audio.createGain();
+  oscillator.frequency.value = frequency;
+  gain.gain.setValueAtTime(0.2, audio.currentTime);
+  gain.gain.exponentialRampToValueAtTime(0.001, audio.currentTime + 0.25);
+  oscillator.connect(gain).connect(audio.destination);
+  oscillator.start();
+  oscillator.stop(audio.currentTime + 0.25);
+}
+
+function ForwardRateChart({
+  model,
+  inputs,
+  formatMoney,
+  onPrintView,
+  walkthroughStep = null,
+  onWalkthroughStepChange,
+  axes = null,
+  decomposition = null,
+}) {
+  const { t, formatRate, formatDate } = useI18n();
+  const colors = useChartColors();
+  const { arbitrage } = model;
+  const chartRef = useRef(null);
+  const [exportStatus, setExportStatus] = useState("");
+  const [focusPoint, setFocusPoint] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
+  const [soundOn, setSoundOn] = useState(false);
+  const [showTable, setShowTable] = useState(false);
+  const audioRef = useRef(null);
+  const idPrefix = useId();
+
+  useEffect(() => () => audioRef.current && audioRef.current.close(), []);
+
+  const chartSvg = () => chartRef.current && chartRef.current.querySelector("svg.recharts-surface");
+
+  const handleExport = async (format) => {
+    try {
+      if (format === "csv") {
+        exportCashFlowCsv(model, inputs.currency, "forward-rate-cash-flows.csv", t);
+      } else if (!chartSvg()) {
+        throw new Error(t("chart.notRendered"));
+      } else if (format === "svg") {
+        exportChartSvg(chartSvg(), "forward-rate-chart.svg", { background: colors.background });
+      } else {
+        await exportChartPng(chartSvg(), "forward-rate-chart.png", { background: colors.background });
+      }
+      setExportStatus(t("chart.downloaded", { format: format.toUpperCase() }));
+    } catch (error) {
+      setExportStatus(t("chart.exportFailed", { error: error.message }));
+    }
+  };
+
+  const { investment } = model;
+  const { cashAxis, rateDomain } = axes || forwardChartAxes(model, inputs, decomposition);
+
+  const walkthrough = walkthroughStep != null ? walkthroughData(model.cashFlowData, walkthroughStep) : null;
+
+  // Forward split into expected rate + premium as a stacked bar at year 2, beside the forward marker.
+  // A negative premium is drawn as the gap between the forward and the higher expected rate.
+  const premiumIsNegative = decomposition && decomposition.premium < 0;
+  const decompositionData = decomposition && model.cashFlowData.map(row => (row.period !== 2 ? row : {
+    ...row,
+    decompositionBase: Math.min(decomposition.expectedRate, model.forwardRate),
+    decompositionPremium: Math.abs(decomposition.premium),
+  }));
+  const chartData = walkthrough ? walkthrough.data : decompositionData || model.cashFlowData;
+  const isRevealed = (key) => !walkthrough || [...walkthrough.revealed].some(id => id.endsWith(`:${key}`));
+
+  // In step mode the bars of the current step stand out against those already shown
+  const stepCells = (key, baseOpacity) => walkthrough && chartData.map(row => {
+    const isCurrent = walkthrough.current.has(`${row.period}:${key}`);
+    return (
+      <Cell
+        key={row.period}
+        fillOpacity={isCurrent ? 0.9 : baseOpacity}
+        stroke={isCurrent ? colors.darkText : undefined}
+        strokeWidth={isCurrent ? 2 : 0}
+      />
+    );
+  });
+
+  const exportButtonClass = "px-2 py-1 text-xs rounded-md border border-line text-ink hover:bg-surface-muted focus:outline-none focus:ring-2 focus:ring-focus";
+  const legName = (leg) => t(`arbitrageLegs.${leg.key}.${arbitrage.direction}`);
+  const theoryName = decomposition && t(`theories.${decomposition.theory}.name`);
+  const series = {
+    oneYearInitial: t("chart.oneYearInitial"),
+    oneYearMaturity: t("chart.oneYearMaturity"),
+    oneYearReinvest: t("chart.oneYearReinvest"),
+    twoYear: t("chart.twoYear"),
+  };
+
+  // Keyboard exploration walks the points drawn so far, arbitrage legs included
+  const seriesNames = {
+    strategy1Cash: series.oneYearInitial,
+    strategy1Maturity: series.oneYearMaturity,
+    strategy1Reinvest: series.oneYearReinvest,
+    strategy2Cash: series.twoYear,
+    oneYearRate: t("chart.oneYearSpot"),
+    forwardRate: t("chart.forwardRate"),
+    twoYearLine: t("chart.twoYearSpot"),
+  };
+  if (arbitrage) arbitrage.legs.forEach(leg => { seriesNames[leg.key] = t("chart.arbitrageLeg", { leg: legName(leg) }); });
+  const points = chartPoints(model.cashFlowData, [...CHART_SERIES, ...(arbitrage ? arbitrage.legs.map(leg => leg.key) : [])])
+    .filter(point => !walkthrough || walkthrough.revealed.has(`${point.period}:${point.series}`));
+  const activePoint = focusPoint && points.find(point => point.period === focusPoint.period && point.series === focusPoint.series);
+  const pointValue = (point) => (RATE_SERIES.has(point.series) ? formatRate(point.value) : formatMoney(point.value));
+
+  const handleChartKeys = (e) => {
+    if (e.key === "Escape") {
+      setFocusPoint(null);
+      return;
+    }
+    const next = movePoint(points, activePoint, e.key);
+    if (!next) return;
+    e.preventDefault();
+    setFocusPoint(next);
+    setAnnouncement(t("chart.pointAnnouncement", {
+      year: model.cashFlowData[next.period].periodLabel,
+      series: seriesNames[next.series],
+      value: pointValue(next),
+      index: points.indexOf(next) + 1,
+      count: points.length,
+    }));
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (soundOn && AudioContextClass) {
+      audioRef.current = audioRef.current || new AudioContextClass();
+      playTone(audioRef.current, toneFrequency(next.value, RATE_SERIES.has(next.series) ? rateDomain : cashAxis.domain));
+    }
+  };
+
+  // Table cells list every value of a year, separated, instead of running them together
+  const cellText = (parts, empty) => parts.filter(Boolean).join("; ") || empty;
+
   return (
     <>
+      {/* Export actions */}
+      <div className="mb-3 flex flex-wrap items-center justify-end gap-2 print:hidden">
+        <span className="text-xs text-ink-muted">{t("chart.export")}</span>
+        <button type="button" onClick={() => handleExport("svg")} className={exportButtonClass}>SVG</button>
+        <button type="button" onClick={() => handleExport("png")} className={exportButtonClass}>PNG</button>
+        <button type="button" onClick={() => handleExport("csv")} className={exportButtonClass}>CSV</button>
+        {onPrintView && (
+          <button type="button" onClick={onPrintView} className={exportButtonClass}>{t("chart.printView")}</button>
+        )}
+        <span className="text-xs text-ink-muted" role="status" aria-live="polite">{exportStatus}</span>
+      </div>
+
+      {onWalkthroughStepChange && (
+        <WalkthroughControls step={walkthroughStep} onStepChange={onWalkthroughStepChange} model={model} inputs={inputs} formatMoney={formatMoney} />
+      )}
+
       {/* Chart Legends */}
       <div className="mb-4 space-y-2">
-        <div className="text-sm text-gray-600 flex items-center gap-3 flex-wrap">
+        <div className="text-sm text-ink-muted flex items-center gap-3 flex-wrap">
           <span className="inline-flex items-center">
-            <span className="w-3 h-3 mr-2 rounded opacity-40" style={{backgroundColor: COLORS.positive}}></span>
-            One-Year: Initial/Final
+            <span className="w-3 h-3 mr-2 rounded opacity-40" style={{backgroundColor: colors.positive}}></span>
+            {series.oneYearInitial}
           </span>
           <span className="inline-flex items-center">
-            <span className="w-3 h-3 mr-2 rounded opacity-50" style={{backgroundColor: COLORS.primary}}></span>
-            One-Year: Maturity (+)
+            <span className="w-3 h-3 mr-2 rounded opacity-50" style={{backgroundColor: colors.primary}}></span>
+            {series.oneYearMaturity}
           </span>
           <span className="inline-flex items-center">
-            <span className="w-3 h-3 mr-2 rounded opacity-50" style={{backgroundColor: COLORS.darkAlt}}></span>
-            One-Year: Reinvest (-)
+            <span className="w-3 h-3 mr-2 rounded opacity-50" style={{backgroundColor: colors.darkAlt}}></span>
+            {series.oneYearReinvest}
           </span>
           <span className="inline-flex items-center">
-            <span className="w-3 h-3 mr-2 rounded opacity-40" style={{backgroundColor: COLORS.negative}}></span>
-            Two-Year Strategy
+            <span className="w-3 h-3 mr-2 rounded opacity-40" style={{backgroundColor: colors.negative}}></span>
+            {series.twoYear}
           </span>
+          {arbitrage && arbitrage.legs.map(leg => (
+            <span key={leg.key} className="inline-flex items-center">
+              <span className="w-3 h-3 mr-2 rounded opacity-70" style={{backgroundColor: colors[ARBITRAGE_COLORS[leg.key]]}}></span>
+              {t("chart.arbitrageLeg", { leg: legName(leg) })}
+            </span>
+          ))}
         </div>
 
-        <div className="text-xs text-gray-600 flex items-center gap-3 flex-wrap">
+        <div className="text-xs text-ink-muted flex items-center gap-3 flex-wrap">
           <span className="inline-flex items-center">
-            <span className="w-2 h-2 mr-2 rounded-full" style={{backgroundColor: COLORS.darkAlt}}></span>
-            1Y Rate: {inputs.s1}%
+            <span className="w-2 h-2 mr-2 rounded-full" style={{backgroundColor: colors.darkAlt}}></span>
+            {t("chart.oneYearRate", { rate: formatRate(inputs.s1, null) })}
           </span>
           <span className="inline-flex items-center">
-            <span className="w-2 h-2 mr-2 rounded-full" style={{backgroundColor: COLORS.purpleAlt}}></span>
-            Forward: {model.forwardRate.toFixed(2)}%
+            <span className="w-2 h-2 mr-2 rounded-full" style={{backgroundColor: colors.purpleAlt}}></span>
+            {t("chart.forward", { rate: formatRate(model.forwardRate) })}
           </span>
           <span className="inline-flex items-center">
-            <span className="w-2 h-1 mr-2" style={{backgroundColor: COLORS.orange}}></span>
-            2Y Rate: {inputs.s2}%
+            <span className="w-2 h-1 mr-2" style={{backgroundColor: colors.orange}}></span>
+            {t("chart.twoYearRate", { rate: formatRate(inputs.s2, null) })}
           </span>
+          {decomposition && !walkthrough && (
+            <>
+              <span className="inline-flex items-center">
+                <span className="w-3 h-3 mr-2 rounded opacity-40" style={{backgroundColor: colors.purple}}></span>
+                {t(premiumIsNegative ? "chart.forwardWithTheory" : "chart.expectedWithTheory", { theory: theoryName })}
+              </span>
+              <span className="inline-flex items-center">
+                <span className="w-3 h-3 mr-2 rounded opacity-70" style={{backgroundColor: premiumIsNegative ? colors.dark : colors.orange}}></span>
+                {t(premiumIsNegative ? "chart.negativePremiumValue" : "chart.termPremiumValue", { rate: formatRate(decomposition.premium) })}
+              </span>
+            </>
+          )}
         </div>
       </div>
 
-      {/* Chart */}
-      <div className="h-[450px]" 
-           role="img" 
-           aria-labelledby="chart-title" 
-           aria-describedby="chart-description">
+      {/* Chart: focus it and use the arrow keys to step through the points */}
+      <div className="h-[450px] rounded-md focus:outline-none focus:ring-2 focus:ring-focus" 
+           ref={chartRef}
+           role="application"
+           aria-roledescription={t("chart.roleDescription")}
+           tabIndex={0}
+           onKeyDown={handleChartKeys}
+           onBlur={() => setFocusPoint(null)}
+           aria-labelledby={`${idPrefix}-title`}
+           aria-describedby={`${idPrefix}-description ${idPrefix}-keys`}>
         
         <div className="sr-only">
-          <h3 id="chart-title">Forward Rate Analysis Chart</h3>
-          <p id="chart-description">
-            This chart compares two investment strategies. The One-Year Strategy invests for 1 year then reinvests at the forward rate of {model.forwardRate.toFixed(2)}%. The Two-Year Strategy invests for the full 2 years at {inputs.s2}%. Both yield ${model.strategy1Final.toFixed(2)}.
+          <p id={`${idPrefix}-keys`}>{t("chart.keyboardHelp")}</p>
+          <h3 id={`${idPrefix}-title`}>{t("chart.title")}</h3>
+          <p id={`${idPrefix}-description`}>
+            {t("chart.description", {
+              investment: formatMoney(investment),
+              forward: formatRate(model.forwardRate),
+              s2: formatRate(inputs.s2, null),
+              adverb: t(`compounding.${inputs.compounding}.adverb`),
+              final: formatMoney(model.strategy1Final),
+            })}
+            {model.accrual.dates && t("chart.descriptionDates", {
+              dayCount: t(`dayCounts.${model.accrual.dayCount}`),
+              start: formatDate(model.accrual.dates[0]),
+              middle: formatDate(model.accrual.dates[1]),
+              end: formatDate(model.accrual.dates[2]),
+            })}
+            {arbitrage && t("chart.descriptionArbitrage", { market: formatRate(arbitrage.marketForward), profit: formatMoney(arbitrage.profit) })}
+            {decomposition && t("chart.descriptionDecomposition", {
+              theory: theoryName.toLocaleLowerCase(),
+              expected: formatRate(decomposition.expectedRate),
+              premium: formatRate(decomposition.premium),
+            })}
           </p>
         </div>
 
         <ResponsiveContainer width="100%" height={450}>
           <ComposedChart
-            data={model.cashFlowData}
+            data={chartData}
             margin={{ top: 60, right: 80, left: 40, bottom: 40 }}
           >
-            <CartesianGrid stroke="#E5E7EB" strokeDasharray="2 2" />
+            <CartesianGrid stroke={colors.grid} strokeDasharray="2 2" />
             
-            <ReferenceLine yAxisId="right" y={0} stroke="#374151" strokeWidth={2} />
+            <ReferenceLine yAxisId="right" y={0} stroke={colors.axis} strokeWidth={2} />
             
             <XAxis 
               dataKey="periodLabel" 
-              label={{ value: 'Year', position: 'insideBottom', offset: -10 }}
+              label={{ value: t("common.year"), position: 'insideBottom', offset: -10 }}
             />
             <YAxis 
               yAxisId="left"
               label={{ 
-                value: "Interest Rates (%)", 
+                value: t("chart.rateAxis"), 
                 angle: -90, 
                 position: "insideLeft",
                 offset: -5,
                 dy: 50
               }}
-              tickFormatter={(v) => `${v.toFixed(1)}%`}
-              domain={[0, Math.max(inputs.s1, inputs.s2, model.forwardRate) + 2]}
+              tickFormatter={(v) => formatRate(v, 1)}
+              domain={rateDomain}
             />
             <YAxis 
               yAxisId="right"
               orientation="right"
               label={{ 
-                value: "Cash Flows ($)", 
+                value: t("chart.cashAxis", { currency: inputs.currency }), 
                 angle: -90, 
                 position: "insideRight",
                 offset: -15,
                 dy: -70
               }}
-              tickFormatter={(v) => v === 0 ? "$0" : `$${v.toFixed(0)}`}
-              domain={[-120, Math.max(120, model.strategy2Final * 1.1)]}
-              ticks={[-100, -50, 0, 50, 100, Math.max(120, Math.ceil(model.strategy2Final / 10) * 10)]}
+              tickFormatter={(v) => formatMoney(v, "whole")}
+              domain={cashAxis.domain}
+              ticks={cashAxis.ticks}
             />
             
             <Tooltip 
-              formatter={(value, name) => {
-                if (name === 'periodLabel' || name === 'period') return [null, null];
-                if (name.includes('Rate') || name.includes('Line')) {
-                  return [`${Number(value).toFixed(2)}%`, name];
-                }
-                return [`$${Number(value).toFixed(2)}`, name];
+              formatter={(value, name, item) => {
+                if (item.dataKey === 'periodLabel' || item.dataKey === 'period') return [null, null];
+                if (RATE_SERIES.has(item.dataKey)) return [formatRate(Number(value)), name];
+                return [formatMoney(Number(value)), name];
               }}
-              labelFormatter={(label) => `Year: ${label}`}
+              labelFormatter={(label) => t("common.yearLabel", { year: label })}
               contentStyle={{ fontSize: '12px' }}
             />
 
@@ -270,116 +796,208 @@ function ForwardRateChart({ model, inputs, formatPercentage }) {
             <Bar 
               yAxisId="right" 
               dataKey="strategy1Cash" 
-              fill={COLORS.positive}
+              fill={colors.positive}
               fillOpacity={0.4}
-              name="One-Year: Initial/Final"
-              label={<CleanBarLabel />}
-            />
+              name={series.oneYearInitial}
+              label={<CleanBarLabel formatMoney={formatMoney} />}
+            >
+              {stepCells("strategy1Cash", 0.4)}
+            </Bar>
             <Bar 
               yAxisId="right" 
               dataKey="strategy1Maturity" 
-              fill={COLORS.primary}
+              fill={colors.primary}
               fillOpacity={0.5}
-              name="One-Year: Maturity (+)"
-              label={<CleanBarLabel />}
-            />
+              name={series.oneYearMaturity}
+              label={<CleanBarLabel formatMoney={formatMoney} />}
+            >
+              {stepCells("strategy1Maturity", 0.5)}
+            </Bar>
             <Bar 
               yAxisId="right" 
               dataKey="strategy1Reinvest" 
-              fill={COLORS.darkAlt}
+              fill={colors.darkAlt}
               fillOpacity={0.5}
-              name="One-Year: Reinvest (-)"
-              label={<CleanBarLabel />}
-            />
+              name={series.oneYearReinvest}
+              label={<CleanBarLabel formatMoney={formatMoney} />}
+            >
+              {stepCells("strategy1Reinvest", 0.5)}
+            </Bar>
             <Bar 
               yAxisId="right" 
               dataKey="strategy2Cash" 
-              fill={COLORS.negative}
+              fill={colors.negative}
               fillOpacity={0.4}
-              name="Two-Year Strategy"
-              label={<CleanBarLabel />}
-            />
+              name={series.twoYear}
+              label={<CleanBarLabel formatMoney={formatMoney} />}
+            >
+              {stepCells("strategy2Cash", 0.4)}
+            </Bar>
+
+            {/* Arbitrage trade legs */}
+            {arbitrage && !walkthrough && arbitrage.legs.map(leg => (
+              <Bar
+                key={leg.key}
+                yAxisId="right"
+                dataKey={leg.key}
+                fill={colors[ARBITRAGE_COLORS[leg.key]]}
+                fillOpacity={0.7}
+                name={t("chart.arbitrageLeg", { leg: legName(leg) })}
+                label={<CleanBarLabel formatMoney={formatMoney} />}
+              />
+            ))}
+
+            {/* Forward decomposition: expected rate + term premium */}
+            {decomposition && !walkthrough && (
+              <Bar
+                yAxisId="left"
+                dataKey="decompositionBase"
+                stackId="decomposition"
+                fill={colors.purple}
+                fillOpacity={0.4}
+                name={t(premiumIsNegative ? "chart.forwardRate" : "chart.expectedRate")}
+              />
+            )}
+            {decomposition && !walkthrough && (
+              <Bar
+                yAxisId="left"
+                dataKey="decompositionPremium"
+                stackId="decomposition"
+                fill={premiumIsNegative ? colors.dark : colors.orange}
+                fillOpacity={0.7}
+                name={t(premiumIsNegative ? "chart.negativePremium" : "chart.termPremium")}
+              />
+            )}
 
             {/* Interest Rate Visualization */}
             <Line 
               yAxisId="left" 
               type="monotone" 
               dataKey="twoYearLine" 
-              stroke={COLORS.orange} 
+              stroke={colors.orange} 
               strokeWidth={3}
               dot={false}
-              name={`2Y Rate (${inputs.s2}%)`}
+              name={t("chart.twoYearLine", { rate: formatRate(inputs.s2, null) })}
             >
-              <Label 
-                content={(props) => {
-                  const { viewBox } = props;
-                  const yOffset = 90 - (inputs.s2 * 0.5);
-                  
-                  return (
-                    <text
-                      x={viewBox.x + 15}
-                      y={viewBox.y + yOffset}
-                      fill={COLORS.orange}
-                      fontSize={12}
-                      fontWeight="600"
-                    >
-                      {`2Y Rate: ${inputs.s2}%`}
-                    </text>
-                  );
-                }}
-              />
+              {isRevealed("twoYearLine") && (
+                <Label 
+                  content={(props) => {
+                    const { viewBox } = props;
+                    const yOffset = 90 - (inputs.s2 * 0.5);
+                    
+                    return (
+                      <text
+                        x={viewBox.x + 15}
+                        y={viewBox.y + yOffset}
+                        fill={colors.orange}
+                        fontSize={12}
+                        fontWeight="600"
+                      >
+                        {t("chart.twoYearRate", { rate: formatRate(inputs.s2, null) })}
+                      </text>
+                    );
+                  }}
+                />
+              )}
             </Line>
             
-            <Scatter yAxisId="left" dataKey="oneYearRate" fill={COLORS.darkAlt} name="1Y Spot Rate" r={8}>
+            <Scatter yAxisId="left" dataKey="oneYearRate" fill={colors.darkAlt} name={t("chart.oneYearSpot")} r={8}>
               <LabelList 
                 dataKey="oneYearRate" 
                 position="top" 
-                formatter={(value) => value ? `${formatPercentage(value)}` : ''} 
-                fill={COLORS.darkText} 
+                formatter={(value) => value != null ? formatRate(value) : ''} 
+                fill={colors.darkText} 
                 fontSize={12}
               />
             </Scatter>
             
-            <Scatter yAxisId="left" dataKey="forwardRate" fill={COLORS.purpleAlt} name="Forward Rate" r={8}>
+            <Scatter yAxisId="left" dataKey="forwardRate" fill={colors.purpleAlt} name={t("chart.forwardRate")} r={8}>
               <LabelList 
                 dataKey="forwardRate" 
                 position="bottom" 
-                formatter={(value) => value ? `${formatPercentage(value)}` : ''} 
-                fill={COLORS.darkText} 
+                formatter={(value) => value != null ? formatRate(value) : ''} 
+                fill={colors.darkText} 
                 fontSize={12}
               />
             </Scatter>
+
+            {activePoint && (
+              <ReferenceDot
+                yAxisId={RATE_SERIES.has(activePoint.series) ? "left" : "right"}
+                x={model.cashFlowData[activePoint.period].periodLabel}
+                y={activePoint.value}
+                r={12}
+                fill="none"
+                stroke={colors.darkText}
+                strokeWidth={3}
+              />
+            )}
           </ComposedChart>
         </ResponsiveContainer>
       </div>
 
-      {/* Screen Reader Data Table */}
-      <div className="sr-only">
-        <table>
-          <caption>Forward rate analysis data showing cash flows and rates for both strategies</caption>
+      {/* Point readout, spoken as the keyboard moves */}
+      <p className="mt-2 min-h-[1.25rem] text-sm text-ink" aria-live="polite">{activePoint ? announcement : ""}</p>
+
+      <div className="mt-2 flex flex-wrap items-center gap-4 print:hidden">
+        <label className="inline-flex items-center gap-2 text-sm text-ink">
+          <input type="checkbox" checked={soundOn} onChange={(e) => setSoundOn(e.target.checked)} />
+          {t("chart.sound")}
+        </label>
+        <button
+          type="button"
+          onClick={() => setShowTable(shown => !shown)}
+          aria-expanded={showTable}
+          aria-controls={`${idPrefix}-table`}
+          className={exportButtonClass}
+        >
+          {t(showTable ? "chart.hideTable" : "chart.showTable")}
+        </button>
+      </div>
+
+      {/* Data table: always read by screen readers, shown on request */}
+      <div id={`${idPrefix}-table`} className={showTable ? "mt-3 overflow-x-auto" : "sr-only"}>
+        <table className="min-w-full text-sm text-left text-ink">
+          <caption className="mb-2 text-left text-xs text-ink-muted">{t("chart.tableCaption")}</caption>
           <thead>
-            <tr>
-              <th scope="col">Year</th>
-              <th scope="col">One-Year Strategy</th>
-              <th scope="col">Two-Year Strategy</th>
-              <th scope="col">Interest Rates</th>
+            <tr className="border-b border-line">
+              <th scope="col" className="px-2 py-1">{t("common.year")}</th>
+              <th scope="col" className="px-2 py-1">{t("chart.oneYearStrategy")}</th>
+              <th scope="col" className="px-2 py-1">{series.twoYear}</th>
+              <th scope="col" className="px-2 py-1">{t("chart.interestRates")}</th>
+              {arbitrage && <th scope="col" className="px-2 py-1">{t("chart.arbitrageLegs")}</th>}
             </tr>
           </thead>
           <tbody>
             {model.cashFlowData.map(row => (
-              <tr key={row.period}>
-                <th scope="row">{row.periodLabel}</th>
-                <td>
-                  {row.strategy1Cash && `$${row.strategy1Cash.toFixed(2)}`}
-                  {row.strategy1Maturity && ` Maturity: $${row.strategy1Maturity.toFixed(2)}`}
-                  {row.strategy1Reinvest && ` Reinvest: $${row.strategy1Reinvest.toFixed(2)}`}
+              <tr key={row.period} className="border-b border-line-subtle">
+                <th scope="row" className="px-2 py-1 font-medium">
+                  {row.periodLabel}
+                  {row.date && ` (${formatDate(row.date)})`}
+                </th>
+                <td className="px-2 py-1">
+                  {cellText([
+                    row.strategy1Cash != null && formatMoney(row.strategy1Cash),
+                    row.strategy1Maturity != null && t("chart.maturityCash", { value: formatMoney(row.strategy1Maturity) }),
+                    row.strategy1Reinvest != null && t("chart.reinvestCash", { value: formatMoney(row.strategy1Reinvest) }),
+                  ], t("common.noCashFlow"))}
                 </td>
-                <td>{row.strategy2Cash ? `$${row.strategy2Cash.toFixed(2)}` : "No cash flow"}</td>
-                <td>
-                  {row.oneYearRate && `1Y: ${row.oneYearRate.toFixed(2)}%`}
-                  {row.forwardRate && `Forward: ${row.forwardRate.toFixed(2)}%`}
-                  {row.twoYearLine && `2Y: ${row.twoYearLine.toFixed(2)}%`}
+                <td className="px-2 py-1">{row.strategy2Cash ? formatMoney(row.strategy2Cash) : t("common.noCashFlow")}</td>
+                <td className="px-2 py-1">
+                  {cellText([
+                    row.oneYearRate != null && t("chart.oneYearCell", { rate: formatRate(row.oneYearRate) }),
+                    row.forwardRate != null && t("chart.forwardCell", { rate: formatRate(row.forwardRate) }),
+                    row.twoYearLine != null && t("chart.twoYearCell", { rate: formatRate(row.twoYearLine) }),
+                  ], t("common.notAvailable"))}
                 </td>
+                {arbitrage && (
+                  <td className="px-2 py-1">
+                    {arbitrage.legs
+                      .filter(leg => row[leg.key] != null)
+                      .map(leg => t("chart.legCash", { leg: legName(leg), value: formatMoney(row[leg.key]) }))
+                      .join("; ") || t("common.noCashFlow")}
+                  </td>
+                )}
               </tr>
             ))}
           </tbody>
@@ -389,189 +1007,3297 @@ function ForwardRateChart({ model, inputs, formatPercentage }) {
   );
 }
 
-// Results component
-function ResultsSection({ model, inputs }) {
+// Term structure: spot, one-year forward and par curves by maturity. In spot input mode
+// the spot points can be dragged and the other two curves follow.
+function YieldCurveChart({ model, inputs, onSpotChange }) {
+  const { t, formatRate } = useI18n();
+  const colors = useChartColors();
+  const svgRef = useRef(null);
+  const [dragging, setDragging] = useState(null);
+  const idPrefix = useId();
+
+  const spots = model.forwardMatrix.rows[0].cells.map(cell => cell.rate);
+  const forwards = model.forwardMatrix.rows.map(row => row.cells[0].rate);
+  const parResult = spotsToParYields(spots, inputs.compounding);
+  const parYields = parResult.ok ? parResult.value : [];
+  const points = spots.map((spot, i) => ({
+    maturity: i + 1,
+    spot,
+    forward: forwards[i],
+    par: parYields[i],
+  }));
+
+  const width = 640;
+  const height = 360;
+  const margin = { top: 20, right: 25, bottom: 45, left: 55 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+
+  // Hold the rate axis still while a point is dragged, or it would chase the pointer
+  const allRates = [...spots, ...forwards, ...parYields];
+  const domain = dragging
+    ? dragging.domain
+    : [Math.floor(Math.min(...allRates, 0)) - 1, Math.ceil(Math.max(...allRates)) + 1];
+  const rateTicks = gridValues(domain[0], domain[1], Math.max(1, Math.ceil((domain[1] - domain[0]) / 8)));
+
+  const x = (maturity) => margin.left + (points.length > 1 ? ((maturity - 1) / (points.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (rate) => margin.top + plotHeight - ((rate - domain[0]) / (domain[1] - domain[0])) * plotHeight;
+  const rateAt = (svgY) => domain[0] + ((margin.top + plotHeight - svgY) / plotHeight) * (domain[1] - domain[0]);
+  const path = (key) => points
+    .filter(point => point[key] != null)
+    .map((point, i) => `${i === 0 ? "M" : "L"}${x(point.maturity)},${y(point[key])}`)
+    .join(" ");
+
+  const canDrag = inputs.inputMode === "spot" && Boolean(onSpotChange);
+
+  const handlePointerMove = (e) => {
+    if (!dragging) return;
+    const rect = svgRef.current.getBoundingClientRect();
+    const svgY = ((e.clientY - rect.top) / rect.height) * height;
+    const clamped = Math.min(Math.max(rateAt(svgY), dragging.domain[0], MIN_RATE), dragging.domain[1], MAX_RATE);
+    onSpotChange(dragging.index, Math.round(clamped * 100) / 100);
+  };
+
+  const curves = [
+    { key: "spot", name: t("termStructure.spot"), color: colors.darkAlt },
+    { key: "forward", name: t("termStructure.forward"), color: colors.purple },
+    { key: "par", name: t("termStructure.par"), color: colors.orange },
+  ];
+
   return (
-    <div className="space-y-6">
-      {/* Forward Rate Result */}
-      <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
-        <div className="text-3xl font-serif text-blue-600 mb-2">{model.forwardRate.toFixed(2)}%</div>
-        <div className="text-sm text-gray-700">
-          <div><strong>Implied Forward Rate f(1,1)</strong> - the 1-year rate starting in year 1</div>
-          <div className="mt-2">
-            <div className="mb-2 text-xs">Formula: f(1,1) = [(1 + s₂)² ÷ (1 + s₁)] - 1</div>
-            <div className="font-mono text-xs bg-white px-2 py-1 rounded border">
-              f(1,1) = [(1 + {(inputs.s2/100).toFixed(3)})² ÷ (1 + {(inputs.s1/100).toFixed(3)})] - 1
-            </div>
-            <div className="text-xs mt-2 text-blue-600">✓ No arbitrage: both strategies yield ${model.strategy1Final.toFixed(2)}</div>
-          </div>
-        </div>
+    <>
+      {/* Chart Legend */}
+      <div className="mb-4 text-sm text-ink-muted flex items-center gap-3 flex-wrap">
+        {curves.map(curve => (
+          <span key={curve.key} className="inline-flex items-center">
+            <span className="w-3 h-1 mr-2" style={{ backgroundColor: curve.color }}></span>
+            {curve.name}
+          </span>
+        ))}
+        <span className="text-xs text-ink-muted">
+          {t(`termStructure.${canDrag ? "dragHint" : onSpotChange ? "noDragHint" : "lockedHint"}`)}
+        </span>
       </div>
 
-      {/* Strategy Comparison Boxes */}
-      <div className="space-y-4">
-        <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
-          <div className="font-semibold text-blue-800 mb-2 text-sm">One-Year Strategy</div>
-          <div className="text-xs text-blue-700 space-y-1">
-            <div>Year 0 → 1: $100 @ {inputs.s1}% = ${model.strategy1Year1Value.toFixed(2)}</div>
-            <div>Year 1 → 2: ${model.strategy1Year1Value.toFixed(2)} @ {model.forwardRate.toFixed(2)}% = ${model.strategy1Final.toFixed(2)}</div>
-            <div className="font-semibold pt-1 border-t border-blue-300">Final: ${model.strategy1Final.toFixed(2)}</div>
-          </div>
-        </div>
-        
-        <div className="p-4 bg-orange-50 rounded-lg border border-orange-200">
-          <div className="font-semibold text-orange-800 mb-2 text-sm">Two-Year Strategy</div>
-          <div className="text-xs text-orange-700 space-y-1">
-            <div>Year 0 → 2: $100 @ {inputs.s2}% annually</div>
-            <div>Compound: (1 + {(inputs.s2/100).toFixed(3)})² = {Math.pow(1 + inputs.s2/100, 2).toFixed(4)}</div>
-            <div className="font-semibold pt-1 border-t border-orange-300">Final: ${model.strategy2Final.toFixed(2)}</div>
-          </div>
+      {/* Chart */}
+      <div
+        role="img"
+        aria-labelledby={`${idPrefix}-title`}
+        aria-describedby={`${idPrefix}-description`}
+      >
+        <div className="sr-only">
+          <h3 id={`${idPrefix}-title`}>{t("termStructure.title")}</h3>
+          <p id={`${idPrefix}-description`}>
+            {t("termStructure.description", {
+              maturities: points.length,
+              adverb: t(`compounding.${inputs.compounding}.adverb`),
+              spotFrom: formatRate(spots[0]),
+              spotTo: formatRate(spots[spots.length - 1]),
+              forwardFrom: formatRate(Math.min(...forwards)),
+              forwardTo: formatRate(Math.max(...forwards)),
+            })}
+          </p>
         </div>
+
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${width} ${height}`}
+          className="w-full h-auto select-none"
+          onPointerMove={handlePointerMove}
+          onPointerUp={() => setDragging(null)}
+          onPointerCancel={() => setDragging(null)}
+          aria-hidden="true"
+        >
+          {/* Grid and axes */}
+          {rateTicks.map(tick => (
+            <g key={tick}>
+              <line x1={margin.left} y1={y(tick)} x2={margin.left + plotWidth} y2={y(tick)} stroke={colors.grid} strokeDasharray="2 2" />
+              <text x={margin.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="11" fill={colors.darkText}>
+                {formatRate(tick, 1)}
+              </text>
+            </g>
+          ))}
+          {domain[0] < 0 && (
+            <line x1={margin.left} y1={y(0)} x2={margin.left + plotWidth} y2={y(0)} stroke={colors.axis} strokeWidth={2} />
+          )}
+          <line x1={margin.left} y1={margin.top + plotHeight} x2={margin.left + plotWidth} y2={margin.top + plotHeight} stroke={colors.axis} />
+          <line x1={margin.left} y1={margin.top} x2={margin.left} y2={margin.top + plotHeight} stroke={colors.axis} />
+          {points.map(point => (
+            <text key={point.maturity} x={x(point.maturity)} y={margin.top + plotHeight + 16} textAnchor="middle" fontSize="11" fill={colors.darkText}>
+              {point.maturity}
+            </text>
+          ))}
+          <text x={margin.left + plotWidth / 2} y={height - 6} textAnchor="middle" fontSize="12" fill={colors.darkText}>
+            {t("termStructure.maturityAxis")}
+          </text>
+          <text
+            x={14}
+            y={margin.top + plotHeight / 2}
+            textAnchor="middle"
+            fontSize="12"
+            fill={colors.darkText}
+            transform={`rotate(-90 14 ${margin.top + plotHeight / 2})`}
+          >
+            {t("termStructure.rateAxis")}
+          </text>
+
+          {/* Curves, spot drawn last so its handles sit on top */}
+          {[...curves].reverse().map(curve => (
+            <path key={curve.key} d={path(curve.key)} fill="none" stroke={curve.color} strokeWidth={curve.key === "spot" ? 3 : 2} strokeDasharray={curve.key === "par" ? "6 4" : undefined} />
+          ))}
+          {points.map(point => (
+            <circle key={`f${point.maturity}`} cx={x(point.maturity)} cy={y(point.forward)} r={4} fill={colors.purple} />
+          ))}
+          {points.map((point, i) => (
+            <circle
+              key={`s${point.maturity}`}
+              cx={x(point.maturity)}
+              cy={y(point.spot)}
+              r={canDrag ? 8 : 5}
+              fill={colors.darkAlt}
+              stroke={colors.markerStroke}
+              strokeWidth={2}
+              style={canDrag ? { cursor: "ns-resize", touchAction: "none" } : undefined}
+              onPointerDown={canDrag ? (e) => {
+                svgRef.current.setPointerCapture(e.pointerId);
+                setDragging({ index: i, domain });
+              } : undefined}
+            />
+          ))}
+          {dragging && (
+            <text x={x(dragging.index + 1)} y={y(spots[dragging.index]) - 14} textAnchor="middle" fontSize="12" fontWeight="600" fill={colors.darkText}>
+              {formatRate(spots[dragging.index])}
+            </text>
+          )}
+        </svg>
       </div>
-    </div>
+
+      {/* Screen Reader Data Table */}
+      <div className="sr-only">
+        <table>
+          <caption>{t("termStructure.tableCaption")}</caption>
+          <thead>
+            <tr>
+              <th scope="col">{t("termStructure.maturityAxis")}</th>
+              <th scope="col">{t("termStructure.spotColumn")}</th>
+              <th scope="col">{t("termStructure.forwardColumn")}</th>
+              <th scope="col">{t("termStructure.parColumn")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {points.map(point => (
+              <tr key={point.maturity}>
+                <th scope="row">{point.maturity}</th>
+                <td>{formatRate(point.spot)}</td>
+                <td>{formatRate(point.forward)}</td>
+                <td>{point.par != null ? formatRate(point.par) : t("common.notAvailable")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
   );
 }
 
-function App() {
-  const [inputs, setInputs] = useState({
-    s1: 6.3,
-    s2: 8.0,
-  });
+// Spot and 3-month forward curves between the whole-year spot points under a chosen
+// interpolation method, plus f(t₁, t₂) for any fractional start and end times
+function CurveInterpolationPanel({ model, inputs }) {
+  const { t, formatRate, formatNumber } = useI18n();
+  const colors = useChartColors();
+  const [method, setMethod] = useState("linear");
+  const [times, setTimes] = useState({ start: 0.75, end: 1.25 });
+  const idPrefix = useId();
 
-  const validateInputs = useCallback((inputs) => {
-    const errors = {};
-    
-    if (!inputs.s1 || inputs.s1 < 0) {
-      errors.s1 = "1-Year Spot Rate must be positive";
-    } else if (inputs.s1 > 50) {
-      errors.s1 = "1-Year Spot Rate cannot exceed 50%";
-    }
-    
-    if (!inputs.s2 || inputs.s2 < 0) {
-      errors.s2 = "2-Year Spot Rate must be positive";
-    } else if (inputs.s2 > 50) {
-      errors.s2 = "2-Year Spot Rate cannot exceed 50%";
-    }
-    
-    if (inputs.s2 > 0 && inputs.s1 > 0 && inputs.s2 <= inputs.s1) {
-      errors.yieldCurve = "2-Year rate should typically be higher than 1-year rate for normal yield curve";
-    }
-    
-    return errors;
-  }, []);
+  const spots = useMemo(() => model.forwardMatrix.rows[0].cells.map(cell => cell.rate), [model.forwardMatrix]);
+  const maturities = spots.length;
 
-  const handleInputChange = useCallback((field, value) => {
-    setInputs(prev => ({ ...prev, [field]: parseFloat(value) || 0 }));
-  }, []);
+  const curveData = useMemo(() => {
+    const { rateAt } = interpolateSpotCurve(spots, method, inputs.compounding).value;
+    return gridValues(0.25, maturities, 0.05).map(t => {
+      const point = { t, spot: rateAt(t) };
+      if (t + 0.25 <= maturities + 1e-9) {
+        point.forward = forwardBetween(spots, t, Math.min(t + 0.25, maturities), method, inputs.compounding).value;
+      }
+      return point;
+    });
+  }, [spots, method, inputs.compounding, maturities]);
 
-  const inputErrors = validateInputs(inputs);
-  const model = useMemo(() => {
-    if (Object.keys(inputErrors).length > 0) return null;
-    return calculateForwardRates(inputs);
-  }, [inputs, inputErrors]);
+  const knots = spots.map((rate, i) => ({ t: i + 1, knot: rate }));
+  const forward = forwardBetween(spots, times.start, times.end, method, inputs.compounding);
+  const byMethod = INTERPOLATION_METHODS.map(key => ({
+    key,
+    result: forwardBetween(spots, times.start, times.end, key, inputs.compounding),
+  }));
 
-  const formatPercentage = (v) => {
-    if (v == null) return "-";
-    return (v).toFixed(2) + "%";
+  const handleTimeChange = (field, value) => {
+    const parsed = parseFloat(value);
+    setTimes(prev => ({ ...prev, [field]: Number.isNaN(parsed) ? NaN : parsed }));
   };
 
+  const timeLabel = (years) => (Number.isInteger(years * 12) && years < 1
+    ? t("interpolation.months", { count: Math.round(years * 12) })
+    : t("interpolation.years", { count: formatNumber(years, null) }));
+  const methodName = (key) => t(`interpolationMethods.${key}`);
+  const fields = [
+    { key: "start", label: t("interpolation.start") },
+    { key: "end", label: t("interpolation.end") },
+  ];
+
   return (
-    <div className="min-h-screen bg-gray-50 p-6 font-sans">
-      <main className="max-w-7xl mx-auto space-y-6">
-        
-        {/* RESULTS AND CHART */}
-        {model && model.isValid && (
-          <>
-            {/* MOBILE: Results first, then chart */}
-            <div className="lg:hidden space-y-6">
-              <Card title="Results">
-                <ResultsSection model={model} inputs={inputs} />
-              </Card>
-              <Card title="Forward Rate Analysis">
-                <ForwardRateChart model={model} inputs={inputs} formatPercentage={formatPercentage} />
-              </Card>
-            </div>
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-x-4 gap-y-2 text-xs">
+        <div className="flex flex-col gap-1">
+          <label htmlFor={`${idPrefix}-method`} className="font-medium text-ink">{t("interpolation.method")}</label>
+          <select
+            id={`${idPrefix}-method`}
+            value={method}
+            onChange={(e) => setMethod(e.target.value)}
+            className="rounded-md border-line shadow-sm px-2 py-1 text-xs"
+          >
+            {INTERPOLATION_METHODS.map(key => (
+              <option key={key} value={key}>{methodName(key)}</option>
+            ))}
+          </select>
+        </div>
+        {fields.map(field => (
+          <div key={field.key} className="flex flex-col gap-1">
+            <label htmlFor={`${idPrefix}-${field.key}`} className="font-medium text-ink">{field.label}</label>
+            <input
+              id={`${idPrefix}-${field.key}`}
+              type="number"
+              step="0.25"
+              min="0"
+              max={maturities}
+              value={Number.isNaN(times[field.key]) ? "" : times[field.key]}
+              onChange={(e) => handleTimeChange(field.key, e.target.value)}
+              className="w-24 rounded-md border-line shadow-sm px-2 py-1 text-xs"
+            />
+          </div>
+        ))}
+      </div>
 
-            {/* DESKTOP: Two column layout - Results (1/5) + Chart (4/5) */}
-            <div className="hidden lg:grid lg:grid-cols-5 gap-6">
-              <div className="lg:col-span-1">
-                <Card title="Results">
-                  <ResultsSection model={model} inputs={inputs} />
-                </Card>
-              </div>
+      {forward.ok ? (
+        <div className="p-4 bg-accent-soft rounded-lg border border-accent-line text-xs text-accent space-y-1" aria-live="polite">
+          <div className="text-2xl font-serif text-accent">{formatRate(forward.value, 3)}</div>
+          <div>
+            <strong>{t("interpolation.forwardFromTo", { start: timeLabel(times.start), end: timeLabel(times.end) })}</strong>
+            {t("interpolation.forwardDetail", {
+              length: timeLabel(times.end - times.start),
+              start: timeLabel(times.start),
+              adverb: t(`compounding.${inputs.compounding}.adverb`),
+              method: methodName(method).toLocaleLowerCase(),
+            })}
+          </div>
+          <div className="text-ink-muted">
+            {t("interpolation.byMethod", {
+              rates: byMethod
+                .map(({ key, result }) => t("interpolation.methodRate", { method: methodName(key), rate: formatRate(result.value, 3) }))
+                .join(t("common.listSeparator")),
+            })}
+          </div>
+        </div>
+      ) : (
+        <ValidationMessage errors={{ forward: t(forward.message) }} />
+      )}
 
-              <div className="lg:col-span-4">
-                <Card title="Forward Rate Analysis">
-                  <ForwardRateChart model={model} inputs={inputs} formatPercentage={formatPercentage} />
-                </Card>
-              </div>
-            </div>
-          </>
-        )}
+      <div
+        role="img"
+        aria-labelledby={`${idPrefix}-title`}
+        aria-describedby={`${idPrefix}-description`}
+      >
+        <div className="sr-only">
+          <h3 id={`${idPrefix}-title`}>{t("interpolation.title")}</h3>
+          <p id={`${idPrefix}-description`}>
+            {t("interpolation.description", {
+              maturities,
+              method: methodName(method).toLocaleLowerCase(),
+              from: formatRate(Math.min(...curveData.map(p => p.spot))),
+              to: formatRate(Math.max(...curveData.map(p => p.spot))),
+            })}
+          </p>
+        </div>
+        <ResponsiveContainer width="100%" height={300}>
+          <ComposedChart data={curveData} margin={{ top: 10, right: 20, left: 10, bottom: 25 }}>
+            <CartesianGrid stroke={colors.grid} strokeDasharray="2 2" />
+            <XAxis
+              dataKey="t"
+              type="number"
+              domain={[0, maturities]}
+              ticks={Array.from({ length: maturities + 1 }, (_, i) => i)}
+              label={{ value: t("interpolation.maturityAxis"), position: "insideBottom", offset: -15 }}
+            />
+            <YAxis tickFormatter={(v) => formatRate(v, 1)} domain={["auto", "auto"]} />
+            <Tooltip
+              formatter={(value, name) => [formatRate(Number(value), 3), name]}
+              labelFormatter={(label) => t("interpolation.tooltipTime", { time: formatNumber(Number(label)) })}
+              contentStyle={{ fontSize: '12px' }}
+            />
+            {forward.ok && (
+              <ReferenceArea x1={times.start} x2={times.end} fill={colors.positive} fillOpacity={0.12} />
+            )}
+            <Line type="linear" dataKey="spot" stroke={colors.darkAlt} strokeWidth={2} dot={false} name={t("interpolation.spot")} isAnimationActive={false} />
+            <Line type="linear" dataKey="forward" stroke={colors.purple} strokeWidth={2} strokeDasharray="5 3" dot={false} name={t("interpolation.forward")} isAnimationActive={false} />
+            <Scatter data={knots} dataKey="knot" fill={colors.orange} name={t("interpolation.knots")} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
 
-        {/* INPUTS - Always at bottom, full width */}
-        <Card title="Implied Forward Rate Calculator">
-          <div className="flex flex-wrap items-end gap-x-6 gap-y-4">
-            
-            {/* First input - inline layout */}
-            <div className="flex items-center gap-2">
-              <label htmlFor="s1-input" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
-                1-Year Spot Rate (%)
-                <span className="text-red-500 ml-1" aria-label="required">*</span>
-                <InfoIcon id="s1-input">Enter as percentage (e.g., 6.3 for 6.3%)</InfoIcon>
-              </label>
-              <div className="w-24">
-                <input
-                  id="s1-input"
-                  type="number"
-                  step="0.1"
-                  min="0"
-                  max="50"
-                  value={inputs.s1}
-                  onChange={(e) => handleInputChange('s1', e.target.value)}
-                  className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${
-                    inputErrors.s1 
-                      ? 'border-red-300 focus:border-red-500 focus:ring-red-500' 
-                      : 'border-gray-300 focus:border-blue-500 focus:ring-blue-500'
-                  }`}
-                  aria-invalid={inputErrors.s1 ? 'true' : 'false'}
-                />
-              </div>
-            </div>
+      {/* Screen Reader Data Table */}
+      <div className="sr-only">
+        <table>
+          <caption>{t("interpolation.tableCaption")}</caption>
+          <thead>
+            <tr>
+              <th scope="col">{t("interpolation.maturityAxis")}</th>
+              <th scope="col">{t("interpolation.spotColumn")}</th>
+              <th scope="col">{t("interpolation.forwardColumn")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {curveData.filter(point => Number.isInteger(point.t * 2)).map(point => (
+              <tr key={point.t}>
+                <th scope="row">{formatNumber(point.t, null)}</th>
+                <td>{formatRate(point.spot, 3)}</td>
+                <td>{point.forward != null ? formatRate(point.forward, 3) : t("interpolation.beyondCurve")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
 
-            {/* Second input - inline layout */}
-            <div className="flex items-center gap-2">
-              <label htmlFor="s2-input" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
-                2-Year Spot Rate (%)
-                <span className="text-red-500 ml-1" aria-label="required">*</span>
-                <InfoIcon id="s2-input">Enter as percentage (e.g., 8.0 for 8.0%)</InfoIcon>
-              </label>
-              <div className="w-24">
-                <input
-                  id="s2-input"
-                  type="number"
-                  step="0.1"
-                  min="0"
-                  max="50"
-                  value={inputs.s2}
-                  onChange={(e) => handleInputChange('s2', e.target.value)}
-                  className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${
-                    inputErrors.s2 
-                      ? 'border-red-300 focus:border-red-500 focus:ring-red-500' 
-                      : 'border-gray-300 focus:border-blue-500 focus:ring-blue-500'
-                  }`}
-                  aria-invalid={inputErrors.s2 ? 'true' : 'false'}
-                />
-              </div>
-            </div>
+// What each theory reads into its split of the forward, in the locale's words
+function theoryNote(t, row, forward) {
+  if (row.theory === "habitat") return t(`theories.habitat.${row.premium >= 0 ? "positive" : "negative"}`);
+  return t(`theories.${row.theory}.${row.consistent ? "consistent" : "inconsistent"}`, forward);
+}
 
-          </div>
-          
-          <ValidationMessage errors={inputErrors} />
-        </Card>
+// Is the forward a forecast? Expected rate + term premium under each term-structure theory
+function ForwardTheoryPanel({ model, inputs, errors, onOptionalChange, onTheoryChange }) {
+  const { t, formatRate, formatNumber } = useI18n();
+  const result = decomposeForward({
+    forwardRate: model.forwardRate,
+    expectedRate: inputs.expectedRate,
+    termPremium: inputs.termPremium,
+  });
+  const idPrefix = useId();
+  const fields = [
+    { key: "expectedRate", label: t("theory.expectedRate"), help: t("theory.expectedRateHelp") },
+    { key: "termPremium", label: t("theory.termPremium"), help: t("theory.termPremiumHelp") },
+  ];
 
-      </main>
-    </div>
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-x-4 gap-y-2 text-xs">
+        {fields.map(field => (
+          <div key={field.key} className="flex flex-col gap-1">
+            <label htmlFor={`${idPrefix}-${field.key}`} className="font-medium text-ink flex items-center">
+              {field.label}
+              <InfoIcon id={`${idPrefix}-${field.key}`}>{field.help}</InfoIcon>
+            </label>
+            <RateInput
+              id={`${idPrefix}-${field.key}`}
+              value={inputs[field.key]}
+              error={errors[field.key]}
+              optional
+              placeholder={t("common.optional")}
+              onChange={(rate) => onOptionalChange(field.key, rate)}
+            />
+          </div>
+        ))}
+        <div className="flex flex-col gap-1">
+          <label htmlFor={`${idPrefix}-theory`} className="font-medium text-ink">{t("theory.showInChart")}</label>
+          <select
+            id={`${idPrefix}-theory`}
+            value={inputs.premiumTheory}
+            onChange={(e) => onTheoryChange(e.target.value)}
+            className="rounded-md border-line shadow-sm px-2 py-1 text-xs"
+          >
+            {TERM_STRUCTURE_THEORIES.map(key => (
+              <option key={key} value={key}>{t(`theories.${key}.name`)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {!result.ok ? (
+        <p className="text-xs text-ink-muted">
+          {t("theory.prompt", { error: result.message, forward: formatRate(model.forwardRate) })}
+        </p>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs border-collapse">
+              <caption className="text-left text-ink-muted mb-2">
+                {t("theory.caption", { forward: formatRate(model.forwardRate) })}
+              </caption>
+              <thead>
+                <tr>
+                  <th scope="col" className="px-2 py-1 text-left border-b">{t("theory.theoryColumn")}</th>
+                  <th scope="col" className="px-2 py-1 text-right border-b">{t("theory.expectedColumn")}</th>
+                  <th scope="col" className="px-2 py-1 text-right border-b">{t("theory.premiumColumn")}</th>
+                  <th scope="col" className="px-2 py-1 text-left border-b">{t("theory.readingColumn")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.value.theories.map(row => (
+                  <tr key={row.theory} className={row.theory === inputs.premiumTheory ? "bg-accent-soft" : ""}>
+                    <th scope="row" className="px-2 py-1 text-left align-top">{t(`theories.${row.theory}.name`)}</th>
+                    <td className="px-2 py-1 text-right font-mono align-top">{formatRate(row.expectedRate)}</td>
+                    <td className="px-2 py-1 text-right font-mono align-top">{formatRate(row.premium)}</td>
+                    <td className={`px-2 py-1 align-top ${row.consistent ? "text-ink" : "text-secondary"}`}>
+                      {row.consistent ? "" : "⚠ "}
+                      {theoryNote(t, row, {
+                        forward: formatRate(model.forwardRate),
+                        expected: formatRate(model.forwardRate - result.value.impliedPremium),
+                      })}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {result.value.assumedPremiumGap != null && Math.abs(result.value.assumedPremiumGap) >= 0.005 && (
+            <p className="text-xs text-secondary">
+              {t("theory.premiumGap", {
+                implied: formatRate(result.value.impliedPremium),
+                assumed: formatRate(inputs.termPremium),
+                gap: formatNumber(result.value.assumedPremiumGap),
+              })}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Locked-in arbitrage trade: each leg's cash flows by year and the riskless year-2 profit
+function ArbitragePanel({ model, inputs, formatMoney }) {
+  const { t, formatRate } = useI18n();
+  const { arbitrage } = model;
+  const formatCash = (v) => (v === 0 ? "–" : formatMoney(v, "accounting"));
+  const net = [0, 1, 2].map(period => arbitrage.legs.reduce((sum, leg) => sum + leg.cashFlows[period], 0));
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 bg-secondary-soft rounded-lg border border-secondary-line text-xs text-secondary space-y-1">
+        <div className="font-semibold text-sm">
+          {t("arbitrage.comparison", {
+            market: formatRate(arbitrage.marketForward),
+            sign: arbitrage.direction === "borrowLong" ? ">" : "<",
+            forward: formatRate(model.forwardRate),
+          })}
+        </div>
+        <div>{t(`arbitrage.${arbitrage.direction}`)}</div>
+        <div>
+          {t("arbitrage.notional", { notional: formatMoney(arbitrage.notional), adverb: t(`compounding.${inputs.compounding}.adverb`) })}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs font-mono border-collapse">
+          <caption className="text-left font-sans text-ink-muted mb-2">{t("arbitrage.caption")}</caption>
+          <thead>
+            <tr>
+              <th scope="col" className="px-2 py-1 text-left font-sans border-b">{t("arbitrage.leg")}</th>
+              {[0, 1, 2].map(period => (
+                <th key={period} scope="col" className="px-2 py-1 text-right font-sans border-b">{t("arbitrage.yearColumn", { year: period })}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {arbitrage.legs.map(leg => (
+              <tr key={leg.key}>
+                <th scope="row" className="px-2 py-1 text-left font-sans">{t(`arbitrageLegs.${leg.key}.${arbitrage.direction}`)}</th>
+                {leg.cashFlows.map((cash, period) => (
+                  <td key={period} className="px-2 py-1 text-right">{formatCash(cash)}</td>
+                ))}
+              </tr>
+            ))}
+            <tr className="border-t font-semibold">
+              <th scope="row" className="px-2 py-1 text-left font-sans">{t("arbitrage.net")}</th>
+              {net.map((cash, period) => (
+                <td key={period} className="px-2 py-1 text-right">{formatCash(Math.abs(cash) < 0.005 ? 0 : cash)}</td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div className="text-sm text-accent font-semibold">
+        {t("arbitrage.profit", { profit: formatMoney(arbitrage.profit) })}
+      </div>
+    </div>
+  );
+}
+
+// FRA on period 2 priced off the calculator's curve: value today, settlement under a
+// realized rate, and the buyer's payoff across realized rates
+function FraPanel({ model, inputs, formatMoney }) {
+  const { t, formatRate } = useI18n();
+  const colors = useChartColors();
+  const defaultRate = Number(model.forwardRate.toFixed(2));
+  const [terms, setTerms] = useState({
+    notional: 1000000,
+    contractRate: defaultRate,
+    realizedRate: defaultRate,
+    settlement: "advance",
+  });
+  const idPrefix = useId();
+
+  const params = { s2: inputs.s2, forwardRate: model.forwardRate, compounding: inputs.compounding, accrual: model.accrual };
+  const pricing = priceFra({ ...params, ...terms });
+  const fra = pricing.ok ? pricing.value : null;
+
+  const payoffData = useMemo(() => {
+    if (!pricing.ok) return [];
+    const center = Math.round(model.forwardRate);
+    return gridValues(center - 5, center + 5, 0.25).map(realizedRate => ({
+      realizedRate,
+      payment: fraSettlementPayment({ ...terms, realizedRate, compounding: inputs.compounding, accrual: model.accrual }),
+    }));
+  }, [pricing.ok, terms, model.forwardRate, model.accrual, inputs.compounding]);
+
+  const handleNumberChange = (field, value) => {
+    const parsed = parseFloat(value);
+    setTerms(prev => ({ ...prev, [field]: Number.isNaN(parsed) ? NaN : parsed }));
+  };
+
+  // The rates come from RateInput: a number in %, or null while unreadable
+  const handleRateChange = (field, rate) => {
+    setTerms(prev => ({ ...prev, [field]: rate }));
+  };
+
+  const rateFields = [
+    { key: "contractRate", label: t("fra.contractRate") },
+    { key: "realizedRate", label: t("fra.realizedRate") },
+  ];
+  const settlementYearText = t(fra && fra.settlementYear === 1 ? "fra.year1" : "fra.year2");
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-x-4 gap-y-2 text-xs">
+        <div className="flex flex-col gap-1">
+          <label htmlFor={`${idPrefix}-notional`} className="font-medium text-ink">{t("fra.notional", { currency: inputs.currency })}</label>
+          <input
+            id={`${idPrefix}-notional`}
+            type="number"
+            step="100000"
+            value={Number.isNaN(terms.notional) ? "" : terms.notional}
+            onChange={(e) => handleNumberChange("notional", e.target.value)}
+            className="w-32 rounded-md border-line shadow-sm px-2 py-1 text-xs"
+          />
+        </div>
+        {rateFields.map(field => (
+          <div key={field.key} className="flex flex-col gap-1">
+            <label htmlFor={`${idPrefix}-${field.key}`} className="font-medium text-ink">{field.label}</label>
+            <RateInput
+              id={`${idPrefix}-${field.key}`}
+              value={terms[field.key]}
+              step={0.05}
+              onChange={(rate) => handleRateChange(field.key, rate)}
+            />
+          </div>
+        ))}
+        <div className="flex flex-col gap-1">
+          <label htmlFor={`${idPrefix}-settlement`} className="font-medium text-ink">{t("fra.settlement")}</label>
+          <select
+            id={`${idPrefix}-settlement`}
+            value={terms.settlement}
+            onChange={(e) => setTerms(prev => ({ ...prev, settlement: e.target.value }))}
+            className="rounded-md border-line shadow-sm px-2 py-1 text-xs"
+          >
+            {FRA_SETTLEMENTS.map(key => (
+              <option key={key} value={key}>{t(`settlements.${key}`)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {!pricing.ok && <ValidationMessage errors={{ fra: t(pricing.message) }} />}
+
+      {fra && (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="p-4 bg-accent-soft rounded-lg border border-accent-line text-xs text-accent space-y-1">
+              <div className="font-semibold text-accent text-sm">{t("fra.valueAtInception")}</div>
+              <div className="text-2xl font-serif text-accent">{formatMoney(fra.valueAtInception, "accounting")}</div>
+              <div>
+                {t("fra.valueExplanation", {
+                  contract: formatRate(fra.contractRate),
+                  forward: formatRate(model.forwardRate),
+                  s2: formatRate(inputs.s2, null),
+                })}
+              </div>
+            </div>
+            <div className="p-4 bg-secondary-soft rounded-lg border border-secondary-line text-xs text-secondary space-y-1">
+              <div className="font-semibold text-secondary text-sm">{t("fra.settlementAt", { year: settlementYearText })}</div>
+              <div className="text-2xl font-serif text-secondary">{formatMoney(fra.settlementPayment, "accounting")}</div>
+              <div>
+                {t(fra.settlementPayment >= 0 ? "fra.paidTo" : "fra.paidBy", { rate: formatRate(terms.realizedRate) })}
+                {t(fra.settlementYear === 1 ? "fra.discounted" : "fra.undiscounted")}
+              </div>
+            </div>
+          </div>
+
+          <div
+            role="img"
+            aria-labelledby={`${idPrefix}-title`}
+            aria-describedby={`${idPrefix}-description`}
+          >
+            <div className="sr-only">
+              <h3 id={`${idPrefix}-title`}>{t("fra.title")}</h3>
+              <p id={`${idPrefix}-description`}>
+                {t("fra.description", {
+                  year: settlementYearText,
+                  from: formatRate(payoffData[0].realizedRate, null),
+                  to: formatRate(payoffData[payoffData.length - 1].realizedRate, null),
+                  contract: formatRate(fra.contractRate),
+                  payment: formatMoney(fra.settlementPayment),
+                })}
+              </p>
+            </div>
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={payoffData} margin={{ top: 10, right: 20, left: 30, bottom: 25 }}>
+                <CartesianGrid stroke={colors.grid} strokeDasharray="2 2" />
+                <XAxis
+                  dataKey="realizedRate"
+                  type="number"
+                  domain={["dataMin", "dataMax"]}
+                  tickFormatter={(v) => formatRate(v, 1)}
+                  label={{ value: t("fra.rateAxis"), position: "insideBottom", offset: -15 }}
+                />
+                <YAxis tickFormatter={(v) => formatMoney(v, "whole")} />
+                <Tooltip
+                  formatter={(value) => [formatMoney(Number(value)), t("fra.payment")]}
+                  labelFormatter={(label) => t("fra.tooltipRate", { rate: formatRate(Number(label)) })}
+                  contentStyle={{ fontSize: '12px' }}
+                />
+                <ReferenceLine y={0} stroke={colors.axis} strokeWidth={2} />
+                <ReferenceLine x={model.forwardRate} stroke={colors.purpleAlt} strokeDasharray="4 3" label={{ value: "f(1,1)", position: "top", fontSize: 11, fill: colors.darkText }} />
+                <ReferenceLine x={terms.realizedRate} stroke={colors.orange} strokeWidth={2} />
+                <Line type="linear" dataKey="payment" stroke={colors.primary} strokeWidth={2} dot={false} name={t("fra.payment")} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* Screen Reader Data Table */}
+          <div className="sr-only">
+            <table>
+              <caption>{t("fra.tableCaption")}</caption>
+              <thead>
+                <tr>
+                  <th scope="col">{t("fra.rateColumn")}</th>
+                  <th scope="col">{t("fra.paymentColumn")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {payoffData.filter((_, i) => i % 4 === 0).map(point => (
+                  <tr key={point.realizedRate}>
+                    <th scope="row">{formatRate(point.realizedRate)}</th>
+                    <td>{formatMoney(point.payment)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Buy the 2-year bond and sell it at year 1, against holding the 1-year bond to maturity,
+// for a realized 1-year rate and across a range of them; the implied forward is the breakeven
+function HorizonPanel({ model, inputs, formatMoney }) {
+  const { t, formatNumber, formatRate } = useI18n();
+  const colors = useChartColors();
+  const center = Math.round(model.forwardRate);
+  const [scenario, setScenario] = useState({
+    realizedRate: Number(model.forwardRate.toFixed(2)),
+    from: center - 5,
+    to: center + 5,
+  });
+  const idPrefix = useId();
+
+  const returnsAt = (realizedRate) => horizonReturns({ ...model, compounding: inputs.compounding, realizedRate });
+  const result = returnsAt(scenario.realizedRate);
+  const horizon = result.ok ? result.value : null;
+  const unchanged = returnsAt(inputs.s1);
+
+  const rateError = (rate, label) => {
+    if (rate == null) return t("errors.rateRequired", { label: t(label) });
+    const problem = checkRateBounds(rate, label);
+    return problem && t(problem);
+  };
+  const errors = {};
+  const realizedError = rateError(scenario.realizedRate, { key: "labels.realizedRate" });
+  if (realizedError) errors.realizedRate = realizedError;
+  ["from", "to"].forEach(field => {
+    const error = rateError(scenario[field], { key: `horizon.${field === "from" ? "rangeFrom" : "rangeTo"}` });
+    if (error) errors[field] = error;
+  });
+  if (!errors.from && !errors.to && !(scenario.to > scenario.from)) errors.range = t("horizon.rangeOrder");
+  const rangeOk = !errors.from && !errors.to && !errors.range;
+
+  const returnData = useMemo(() => {
+    if (!rangeOk) return [];
+    return gridValues(scenario.from, scenario.to, (scenario.to - scenario.from) / 40).map(realizedRate => {
+      const { value } = horizonReturns({ ...model, compounding: inputs.compounding, realizedRate });
+      return { realizedRate, salePrice: value.salePrice, strategy1Return: value.strategy1Return, strategy2Return: value.strategy2Return };
+    });
+  }, [rangeOk, scenario.from, scenario.to, model, inputs.compounding]);
+
+  const fields = [
+    { key: "realizedRate", label: t("horizon.realizedRate") },
+    { key: "from", label: t("horizon.rangeFrom") },
+    { key: "to", label: t("horizon.rangeTo") },
+  ];
+  const points = horizon ? Math.abs(horizon.excessReturn) : 0;
+  const comparison = points < 0.005 ? "horizon.even" : horizon && horizon.excessReturn > 0 ? "horizon.ahead" : "horizon.behind";
+  const inRange = (rate) => rate >= scenario.from && rate <= scenario.to;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-start gap-x-4 gap-y-2 text-xs">
+        {fields.map(field => (
+          <div key={field.key} className="flex flex-col gap-1">
+            <label htmlFor={`${idPrefix}-${field.key}`} className="font-medium text-ink">{field.label}</label>
+            <RateInput
+              id={`${idPrefix}-${field.key}`}
+              value={scenario[field.key]}
+              error={errors[field.key]}
+              step={field.key === "realizedRate" ? 0.05 : 0.5}
+              onChange={(rate) => setScenario(prev => ({ ...prev, [field.key]: rate }))}
+            />
+          </div>
+        ))}
+      </div>
+
+      {errors.range && <ValidationMessage errors={{ range: errors.range }} />}
+
+      {horizon && (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="p-4 bg-accent-soft rounded-lg border border-accent-line text-xs text-accent space-y-1">
+              <div className="font-semibold text-sm">{t("horizon.oneYear")}</div>
+              <div>{t("horizon.valueAtHorizon", { value: formatMoney(horizon.strategy1Value) })}</div>
+              <div>{t("horizon.holdingReturn")}</div>
+              <div className="text-2xl font-serif">{formatRate(horizon.strategy1Return)}</div>
+            </div>
+            <div className="p-4 bg-secondary-soft rounded-lg border border-secondary-line text-xs text-secondary space-y-1">
+              <div className="font-semibold text-sm">{t("horizon.twoYear")}</div>
+              <div>{t("horizon.salePrice", { price: formatMoney(horizon.salePrice) })}</div>
+              <div>{t("horizon.holdingReturn")}</div>
+              <div className="text-2xl font-serif">{formatRate(horizon.strategy2Return)}</div>
+            </div>
+          </div>
+
+          <div className="text-xs text-ink space-y-1">
+            <p>{t(comparison, { points: formatNumber(points, 2), forward: formatRate(model.forwardRate) })}</p>
+            {unchanged.ok && (
+              <p>{t("horizon.rollDown", { s1: formatRate(inputs.s1, null), rate: formatRate(unchanged.value.strategy2Return) })}</p>
+            )}
+          </div>
+        </>
+      )}
+
+      {returnData.length > 0 && (
+        <>
+          <div
+            role="img"
+            aria-labelledby={`${idPrefix}-title`}
+            aria-describedby={`${idPrefix}-description`}
+          >
+            <div className="sr-only">
+              <h3 id={`${idPrefix}-title`}>{t("horizon.title")}</h3>
+              <p id={`${idPrefix}-description`}>
+                {t("horizon.description", {
+                  from: formatRate(scenario.from, null),
+                  to: formatRate(scenario.to, null),
+                  oneYear: formatRate(returnData[0].strategy1Return),
+                  forward: formatRate(model.forwardRate),
+                })}
+              </p>
+            </div>
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={returnData} margin={{ top: 20, right: 20, left: 10, bottom: 25 }}>
+                <CartesianGrid stroke={colors.grid} strokeDasharray="2 2" />
+                <XAxis
+                  dataKey="realizedRate"
+                  type="number"
+                  domain={["dataMin", "dataMax"]}
+                  tickFormatter={(v) => formatRate(v, 1)}
+                  label={{ value: t("horizon.rateAxis"), position: "insideBottom", offset: -15 }}
+                />
+                <YAxis
+                  tickFormatter={(v) => formatRate(v, 1)}
+                  label={{ value: t("horizon.returnAxis"), angle: -90, position: "insideLeft", offset: 0, style: { textAnchor: "middle" } }}
+                />
+                <Tooltip
+                  formatter={(value, name) => [formatRate(Number(value)), name]}
+                  labelFormatter={(label) => t("horizon.tooltipRate", { rate: formatRate(Number(label)) })}
+                  contentStyle={{ fontSize: '12px' }}
+                />
+                {inRange(model.forwardRate) && (
+                  <ReferenceLine x={model.forwardRate} stroke={colors.purpleAlt} strokeDasharray="4 3" label={{ value: t("horizon.breakeven"), position: "top", fontSize: 11, fill: colors.darkText }} />
+                )}
+                {inRange(inputs.s1) && (
+                  <ReferenceLine x={inputs.s1} stroke={colors.axis} strokeDasharray="2 2" label={{ value: t("horizon.unchanged"), position: "insideTopRight", fontSize: 11, fill: colors.darkText }} />
+                )}
+                {horizon && inRange(horizon.realizedRate) && (
+                  <ReferenceLine x={horizon.realizedRate} stroke={colors.orange} strokeWidth={2} />
+                )}
+                <Line type="linear" dataKey="strategy1Return" stroke={colors.primary} strokeWidth={2} dot={false} name={t("horizon.oneYear")} />
+                <Line type="monotone" dataKey="strategy2Return" stroke={colors.negative} strokeWidth={2} dot={false} name={t("horizon.twoYear")} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          {/* Screen Reader Data Table */}
+          <div className="sr-only">
+            <table>
+              <caption>{t("horizon.tableCaption")}</caption>
+              <thead>
+                <tr>
+                  <th scope="col">{t("horizon.rateColumn")}</th>
+                  <th scope="col">{t("horizon.salePriceColumn")}</th>
+                  <th scope="col">{t("horizon.oneYearColumn")}</th>
+                  <th scope="col">{t("horizon.twoYearColumn")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {returnData.filter((_, i) => i % 4 === 0).map(point => (
+                  <tr key={point.realizedRate}>
+                    <th scope="row">{formatRate(point.realizedRate)}</th>
+                    <td>{formatMoney(point.salePrice)}</td>
+                    <td>{formatRate(point.strategy1Return)}</td>
+                    <td>{formatRate(point.strategy2Return)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+const SUPERSCRIPT_DIGITS = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+const superscript = (n) => String(n).split("").map(d => SUPERSCRIPT_DIGITS[d]).join("");
+const SUBSCRIPT_DIGITS = "₀₁₂₃₄₅₆₇₈₉";
+const subscript = (n) => String(n).split("").map(d => SUBSCRIPT_DIGITS[d]).join("");
+
+// Year fractions print to 4 decimals without trailing zeros, e.g. 1.0139 or 2,
+// with the locale's decimal separator
+const fractionText = (years, formatNumber) => formatNumber(Number(years.toFixed(4)), null);
+
+// Compounding expression for `rate` held `years`, e.g. "(1 + s₂)²" or "(1 + s₂/2)⁴".
+// Fractional exponents from day counts are written out: "(1 + s₁)^1.0139".
+function compoundText(rate, years, compounding, formatNumber) {
+  const m = COMPOUNDING[compounding].periods;
+  if (m == null) return years === 1 ? `e^${rate}` : `e^(${fractionText(years, formatNumber)} × ${rate})`;
+  const base = m === 1 ? `(1 + ${rate})` : `(1 + ${rate}/${m})`;
+  const exponent = Number((m * years).toFixed(4));
+  if (exponent === 1) return base;
+  return Number.isInteger(exponent) ? `${base}${superscript(exponent)}` : `${base}^${formatNumber(exponent, null)}`;
+}
+
+// f(1,1) formula written in terms of two spot-rate expressions, accruing each period's year fraction
+function forwardFormulaText(s1, s2, compounding, accrual, formatNumber) {
+  const m = COMPOUNDING[compounding].periods;
+  const { first, second, total } = accrual;
+  const fraction = (years) => fractionText(years, formatNumber);
+  if (m == null) {
+    if (!accrual.dates) return `f(1,1) = 2 × ${s2} - ${s1}`;
+    return `f(1,1) = (${fraction(total)} × ${s2} - ${fraction(first)} × ${s1}) ÷ ${fraction(second)}`;
+  }
+  const ratio = `[${compoundText(s2, total, compounding, formatNumber)} ÷ ${compoundText(s1, first, compounding, formatNumber)}]`;
+  const root = Number((m * second).toFixed(4));
+  const rooted = root === 1 ? ratio : `${ratio}^(1/${formatNumber(root, null)})`;
+  if (m === 1) return `f(1,1) = ${rooted} - 1`;
+  return `f(1,1) = ${m} × {${rooted} - 1}`;
+}
+
+// Results component
+function ResultsSection({ model, inputs, highlight = [], formatMoney }) {
+  const { t, formatRate, formatNumber, formatDate } = useI18n();
+  const { compounding } = inputs;
+  const { accrual } = model;
+  const s1Text = formatNumber(inputs.s1/100, 3);
+  const s2Text = formatNumber(inputs.s2/100, 3);
+  // Walkthrough step mode marks the lines that match the bars being revealed
+  const mark = (id) => (highlight.includes(id) ? "bg-highlight ring-2 ring-highlight-line rounded" : "");
+
+  return (
+    <div className="space-y-6">
+      {/* Forward Rate Result */}
+      <div className="p-4 bg-accent-soft rounded-lg border border-accent-line">
+        <div className="text-3xl font-serif text-accent mb-2">{formatRate(model.forwardRate)}</div>
+        <div className="text-sm text-ink">
+          <div><strong>{t("results.forwardLabel")}</strong>{t("results.forwardDetail")}</div>
+          <div className="text-xs text-ink-muted mt-1">
+            {t("results.quoted", { compounding: t(`compounding.${compounding}.label`).toLowerCase() })}
+          </div>
+          {accrual.dates && (
+            <div className="text-xs text-ink-muted mt-1">
+              {t("results.accrual", {
+                dayCount: t(`dayCounts.${accrual.dayCount}`),
+                start: formatDate(accrual.dates[0]),
+                middle: formatDate(accrual.dates[1]),
+                end: formatDate(accrual.dates[2]),
+                first: fractionText(accrual.first, formatNumber),
+                second: fractionText(accrual.second, formatNumber),
+              })}
+            </div>
+          )}
+          <div className="mt-2">
+            <div className="mb-2 text-xs">
+              {t("results.formula", { formula: forwardFormulaText("s₁", "s₂", compounding, accrual, formatNumber) })}
+            </div>
+            <div className={`font-mono text-xs bg-surface px-2 py-1 rounded border ${mark("forward")}`}>
+              {forwardFormulaText(s1Text, s2Text, compounding, accrual, formatNumber)}
+            </div>
+            {model.arbitrage ? (
+              <div className="text-xs mt-2 text-secondary">
+                {t("results.arbitrage", { market: formatRate(model.arbitrage.marketForward), profit: formatMoney(model.arbitrage.profit) })}
+              </div>
+            ) : (
+              <div className={`text-xs mt-2 text-accent ${mark("equality")}`}>
+                {t("results.noArbitrage", { final: formatMoney(model.strategy1Final) })}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Strategy Comparison Boxes */}
+      <div className="space-y-4">
+        <div className="p-4 bg-accent-soft rounded-lg border border-accent-line">
+          <div className="font-semibold text-accent mb-2 text-sm">{t("results.oneYear")}</div>
+          <div className="text-xs text-accent space-y-1">
+            <div className={mark("s1Invest")}>
+              {t("results.firstPeriod", {
+                investment: formatMoney(model.investment),
+                s1: formatRate(inputs.s1, null),
+                value: formatMoney(model.strategy1Year1Value),
+              })}
+            </div>
+            <div className={mark("s1Reinvest")}>
+              {t("results.secondPeriod", {
+                value: formatMoney(model.strategy1Year1Value),
+                forward: formatRate(model.forwardRate),
+                final: formatMoney(model.strategy1Final),
+              })}
+            </div>
+            <div className={`font-semibold pt-1 border-t border-accent-line ${mark("equality")}`}>
+              {t("results.final", { value: formatMoney(model.strategy1Final) })}
+            </div>
+          </div>
+        </div>
+        
+        <div className="p-4 bg-secondary-soft rounded-lg border border-secondary-line">
+          <div className="font-semibold text-secondary mb-2 text-sm">{t("results.twoYear")}</div>
+          <div className="text-xs text-secondary space-y-1">
+            <div className={mark("s2Invest")}>
+              {t("results.fullPeriod", {
+                investment: formatMoney(model.investment),
+                s2: formatRate(inputs.s2, null),
+                adverb: t(`compounding.${compounding}.adverb`),
+              })}
+            </div>
+            <div className={mark("s2Compound")}>
+              {t("results.compound", {
+                expression: compoundText(s2Text, accrual.total, compounding, formatNumber),
+                growth: formatNumber(growthFactor(inputs.s2/100, accrual.total, compounding), 4),
+              })}
+            </div>
+            <div className={`font-semibold pt-1 border-t border-secondary-line ${mark("equality")}`}>
+              {t("results.final", { value: formatMoney(model.strategy2Final) })}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Same rates re-quoted under every compounding convention, plus a free-form converter
+function CompoundingEquivalents({ model, inputs }) {
+  const { t, formatRate } = useI18n();
+  const [custom, setCustom] = useState({ rate: 5, from: "semiannual" });
+  const idPrefix = useId();
+  const columns = [
+    { key: "s1", label: "s₁", rate: inputs.s1, from: inputs.compounding },
+    { key: "s2", label: "s₂", rate: inputs.s2, from: inputs.compounding },
+    { key: "f11", label: "f(1,1)", rate: model.forwardRate, from: inputs.compounding },
+    { key: "custom", label: t("equivalents.custom"), rate: custom.rate, from: custom.from },
+  ];
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <label htmlFor={`${idPrefix}-rate`} className="font-medium text-ink">{t("equivalents.customRate")}</label>
+        <RateInput
+          id={`${idPrefix}-rate`}
+          value={custom.rate}
+          onChange={(rate) => setCustom(prev => ({ ...prev, rate }))}
+        />
+        <label htmlFor={`${idPrefix}-from`} className="sr-only">{t("equivalents.customCompounding")}</label>
+        <select
+          id={`${idPrefix}-from`}
+          value={custom.from}
+          onChange={(e) => setCustom(prev => ({ ...prev, from: e.target.value }))}
+          className="rounded-md border-line shadow-sm px-1 py-1 text-xs"
+        >
+          {Object.keys(COMPOUNDING).map(key => (
+            <option key={key} value={key}>{t(`compounding.${key}.label`)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs font-mono border-collapse">
+          <caption className="text-left font-sans text-ink-muted mb-2">
+            {t("equivalents.caption")}
+          </caption>
+          <thead>
+            <tr>
+              <th scope="col" className="px-2 py-1 text-left font-sans border-b">{t("equivalents.compounding")}</th>
+              {columns.map(col => (
+                <th key={col.key} scope="col" className="px-2 py-1 text-right font-sans border-b">{col.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {Object.keys(COMPOUNDING).map(key => (
+              <tr key={key} className={key === inputs.compounding ? "bg-accent-soft font-semibold" : ""}>
+                <th scope="row" className="px-2 py-1 text-left font-sans">{t(`compounding.${key}.label`)}</th>
+                {columns.map(col => (
+                  <td key={col.key} className="px-2 py-1 text-right">
+                    {col.rate == null ? "–" : formatRate(convertRate(col.rate, col.from, key), 3)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Step-by-step bootstrap derivation, laid out like the ResultsSection formula block
+function BootstrapDerivation({ bootstrap, inputs }) {
+  const { t, formatNumber, formatRate } = useI18n();
+  return (
+    <div className="space-y-4">
+      <div className="text-xs text-ink-muted">
+        {t(inputs.inputMode === "par" ? "bootstrap.parYields" : "bootstrap.bonds", {
+          compounding: t(`compounding.${inputs.compounding}.label`).toLowerCase(),
+        })}
+      </div>
+      <div className="mb-2 text-xs">{t("bootstrap.formula")}</div>
+      {bootstrap.steps.map(step => {
+        const n = subscript(step.maturity);
+        return (
+          <div key={step.maturity} className="p-3 bg-accent-soft rounded-lg border border-accent-line">
+            <div className="font-semibold text-accent mb-2 text-sm">{t("bootstrap.year", { year: step.maturity })}</div>
+            <div className="font-mono text-xs bg-surface px-2 py-1 rounded border space-y-1">
+              <div>
+                {formatNumber(step.price, 3)} = {step.maturity > 1 && `${formatNumber(step.coupon, 3)} × ${formatNumber(step.annuity, 6)} + `}
+                {formatNumber(100 + step.coupon, 3)} × DF{n}
+              </div>
+              <div>DF{n} = {formatNumber(step.discountFactor, 6)}</div>
+              <div>s{n} = {formatRate(step.spotRate, 4)}</div>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Par-yield inputs, one per maturity year
+function ParYieldInputs({ parYields, errors, readOnly = false, onChange, onAdd, onRemove }) {
+  const { t } = useI18n();
+  return (
+    <>
+      {parYields.map((parYield, i) => {
+        const year = i + 1;
+        return (
+          <div key={year} className="flex items-center gap-2">
+            <label htmlFor={`par${year}-input`} className="font-medium text-ink whitespace-nowrap flex items-center text-sm">
+              {t("inputs.parYield", { year })}
+            </label>
+            <RateInput
+              id={`par${year}-input`}
+              value={parYield}
+              error={errors[`par${year}`]}
+              readOnly={readOnly}
+              onChange={(rate) => onChange(i, rate)}
+            />
+          </div>
+        );
+      })}
+
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={onAdd}
+          disabled={readOnly || parYields.length >= MAX_MATURITY}
+          className="px-3 py-2 text-sm rounded-md border border-accent-line text-accent hover:bg-accent-soft disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-focus"
+        >
+          {t("common.addMaturity")}
+        </button>
+        {parYields.length > 2 && !readOnly && (
+          <button
+            type="button"
+            onClick={onRemove}
+            className="px-3 py-2 text-sm rounded-md border border-line text-ink hover:bg-surface-muted focus:outline-none focus:ring-2 focus:ring-focus"
+          >
+            {t("common.removeMaturity", { year: parYields.length })}
+          </button>
+        )}
+      </div>
+    </>
+  );
+}
+
+// Coupon bond rows: coupon, price and maturity for each bond
+function BondInputs({ bonds, errors, readOnly = false, onChange, onAdd, onRemove }) {
+  const { t } = useI18n();
+  const fields = [
+    { key: "price", label: t("inputs.price"), step: "0.01" },
+    { key: "maturity", label: t("inputs.maturity"), step: "1" },
+  ];
+
+  // Rows keep their key when a bond above them is removed, so a coupon still being typed
+  // stays in its own row. Bonds carry no ids, so any other change in count (adding, undo,
+  // a preset) keeps the existing keys and adds or drops them at the end.
+  const [rowKeys, setRowKeys] = useState(() => ({ keys: bonds.map((_, i) => i), next: bonds.length }));
+  if (rowKeys.keys.length !== bonds.length) {
+    const keys = rowKeys.keys.slice(0, bonds.length);
+    let next = rowKeys.next;
+    while (keys.length < bonds.length) keys.push(next++);
+    setRowKeys({ keys, next });
+  }
+
+  const removeRow = (index) => {
+    setRowKeys(prev => ({ ...prev, keys: prev.keys.filter((_, i) => i !== index) }));
+    onRemove(index);
+  };
+
+  return (
+    <div className="w-full space-y-2">
+      {bonds.map((bond, i) => (
+        <fieldset key={rowKeys.keys[i]} className="flex flex-wrap items-center gap-x-4 gap-y-2">
+          <legend className="sr-only">{t("inputs.bond", { bond: i + 1 })}</legend>
+          <span className="text-sm font-medium text-ink w-14" aria-hidden="true">{t("inputs.bond", { bond: i + 1 })}</span>
+          <div className="flex items-center gap-2">
+            <label htmlFor={`bond${i}-coupon-input`} className="text-ink whitespace-nowrap text-sm">
+              {t("inputs.coupon")}
+            </label>
+            <RateInput
+              id={`bond${i}-coupon-input`}
+              value={bond.coupon}
+              error={errors[`bond${i}coupon`]}
+              min={0}
+              max={MAX_COUPON}
+              readOnly={readOnly}
+              onChange={(rate) => onChange(i, "coupon", rate)}
+            />
+          </div>
+          {fields.map(field => {
+            const errorKey = `bond${i}${field.key}`;
+            return (
+              <div key={field.key} className="flex items-center gap-2">
+                <label htmlFor={`bond${i}-${field.key}-input`} className="text-ink whitespace-nowrap text-sm">
+                  {field.label}
+                </label>
+                <div className="w-24">
+                  <input
+                    id={`bond${i}-${field.key}-input`}
+                    type="number"
+                    step={field.step}
+                    min="0"
+                    value={bond[field.key] ?? ""}
+                    readOnly={readOnly}
+                    onChange={(e) => onChange(i, field.key, parseAmount(e.target.value))}
+                    className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${
+                      errors[errorKey]
+                        ? 'border-alert-line focus:border-alert-strong focus:ring-alert-strong'
+                        : 'border-line focus:border-focus focus:ring-focus'
+                    }`}
+                    aria-invalid={errors[errorKey] ? 'true' : 'false'}
+                  />
+                </div>
+              </div>
+            );
+          })}
+          {bonds.length > 2 && !readOnly && (
+            <button
+              type="button"
+              onClick={() => removeRow(i)}
+              className="px-2 py-1 text-xs rounded-md border border-line text-ink hover:bg-surface-muted focus:outline-none focus:ring-2 focus:ring-focus"
+              aria-label={t("inputs.removeBond", { bond: i + 1 })}
+            >
+              {t("common.remove")}
+            </button>
+          )}
+        </fieldset>
+      ))}
+
+      <button
+        type="button"
+        onClick={onAdd}
+        disabled={readOnly || bonds.length >= MAX_MATURITY}
+        className="px-3 py-2 text-sm rounded-md border border-accent-line text-accent hover:bg-accent-soft disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-focus"
+      >
+        {t("inputs.addBond")}
+      </button>
+    </div>
+  );
+}
+
+// Forward matrix: rows are start years, columns are tenors
+function ForwardMatrix({ matrix }) {
+  const { t, formatRate } = useI18n();
+  const tenors = Array.from({ length: matrix.maturities }, (_, i) => i + 1);
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-xs font-mono border-collapse">
+        <caption className="text-left font-sans text-ink-muted mb-2">
+          {t("matrix.caption")}
+        </caption>
+        <thead>
+          <tr>
+            <th scope="col" className="px-2 py-1 text-left font-sans border-b">{t("matrix.start")}</th>
+            {tenors.map(tenor => (
+              <th key={tenor} scope="col" className="px-2 py-1 text-right font-sans border-b">
+                {t("matrix.tenor", { tenor })}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {matrix.rows.map(row => (
+            <tr key={row.start} className={row.start === 0 ? "bg-surface-muted" : ""}>
+              <th scope="row" className="px-2 py-1 text-left font-sans">
+                {row.start === 0 ? t("matrix.spotRow") : row.start}
+              </th>
+              {tenors.map(tenor => {
+                const cell = row.cells[tenor - 1];
+                const isHighlighted = row.start === 1 && tenor === 1;
+                return (
+                  <td
+                    key={tenor}
+                    className={`px-2 py-1 text-right ${isHighlighted ? "text-accent font-semibold" : ""}`}
+                  >
+                    {cell ? formatRate(cell.rate) : ""}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Blend two #rrggbb colors; t = 0 gives `from`, t = 1 gives `to`
+function mixColors(from, to, t) {
+  const channels = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  const [a, b] = [channels(from), channels(to)];
+  return `rgb(${a.map((c, i) => Math.round(c + (b[i] - c) * t)).join(",")})`;
+}
+
+const MAX_SENSITIVITY_CELLS = 2500;
+
+// Evenly spaced grid values from min to max inclusive
+function gridValues(min, max, step) {
+  const count = Math.floor((max - min) / step + 1e-9) + 1;
+  return Array.from({ length: count }, (_, i) => Number((min + i * step).toFixed(6)));
+}
+
+// Heatmap of f(1,1) over the (s1, s2) grid, drawn as SVG cells with current and hovered crosshairs
+function ForwardHeatmap({ cells, s1Values, s2Values, step, inputs, hover, onHover }) {
+  const { t, formatNumber, formatRate } = useI18n();
+  const colors = useChartColors();
+  const width = 640;
+  const height = 420;
+  const margin = { top: 10, right: 90, bottom: 45, left: 55 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+
+  const s1Min = s1Values[0] - step / 2;
+  const s1Max = s1Values[s1Values.length - 1] + step / 2;
+  const s2Min = s2Values[0] - step / 2;
+  const s2Max = s2Values[s2Values.length - 1] + step / 2;
+  const x = (v) => margin.left + ((v - s1Min) / (s1Max - s1Min)) * plotWidth;
+  const y = (v) => margin.top + plotHeight - ((v - s2Min) / (s2Max - s2Min)) * plotHeight;
+  const cellWidth = plotWidth / s1Values.length;
+  const cellHeight = plotHeight / s2Values.length;
+
+  const forwards = cells.map(cell => cell.forward);
+  const fMin = Math.min(...forwards);
+  const fMax = Math.max(...forwards);
+  const colorFor = (f) => mixColors(colors.positive, colors.negative, fMax > fMin ? (f - fMin) / (fMax - fMin) : 0.5);
+
+  const tickEvery = (values) => values.filter((_, i) => i % Math.max(1, Math.ceil(values.length / 8)) === 0);
+  const inView = (v, min, max) => v >= min && v <= max;
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height}`}
+      className="w-full h-auto"
+      onMouseLeave={() => onHover(null)}
+      aria-hidden="true"
+    >
+      {cells.map(cell => (
+        <rect
+          key={`${cell.s1}-${cell.s2}`}
+          x={x(cell.s1) - cellWidth / 2}
+          y={y(cell.s2) - cellHeight / 2}
+          width={cellWidth + 0.5}
+          height={cellHeight + 0.5}
+          fill={colorFor(cell.forward)}
+          onMouseEnter={() => onHover({ s1: cell.s1, s2: cell.s2 })}
+        />
+      ))}
+
+      {/* Axes */}
+      <line x1={margin.left} y1={margin.top + plotHeight} x2={margin.left + plotWidth} y2={margin.top + plotHeight} stroke={colors.axis} />
+      <line x1={margin.left} y1={margin.top} x2={margin.left} y2={margin.top + plotHeight} stroke={colors.axis} />
+      {tickEvery(s1Values).map(v => (
+        <text key={`x${v}`} x={x(v)} y={margin.top + plotHeight + 16} textAnchor="middle" fontSize="11" fill={colors.darkText}>
+          {formatNumber(v, 1)}
+        </text>
+      ))}
+      {tickEvery(s2Values).map(v => (
+        <text key={`y${v}`} x={margin.left - 6} y={y(v) + 4} textAnchor="end" fontSize="11" fill={colors.darkText}>
+          {formatNumber(v, 1)}
+        </text>
+      ))}
+      <text x={margin.left + plotWidth / 2} y={height - 6} textAnchor="middle" fontSize="12" fill={colors.darkText}>
+        {t("sensitivity.s1Axis")}
+      </text>
+      <text
+        x={14}
+        y={margin.top + plotHeight / 2}
+        textAnchor="middle"
+        fontSize="12"
+        fill={colors.darkText}
+        transform={`rotate(-90 14 ${margin.top + plotHeight / 2})`}
+      >
+        {t("sensitivity.s2Axis")}
+      </text>
+
+      {/* Current inputs (solid) and hovered point (dashed) */}
+      {inView(inputs.s1, s1Min, s1Max) && (
+        <line x1={x(inputs.s1)} y1={margin.top} x2={x(inputs.s1)} y2={margin.top + plotHeight} stroke={colors.dark} strokeWidth={2} />
+      )}
+      {inView(inputs.s2, s2Min, s2Max) && (
+        <line x1={margin.left} y1={y(inputs.s2)} x2={margin.left + plotWidth} y2={y(inputs.s2)} stroke={colors.dark} strokeWidth={2} />
+      )}
+      {hover && hover.s1 != null && (
+        <line x1={x(hover.s1)} y1={margin.top} x2={x(hover.s1)} y2={margin.top + plotHeight} stroke={colors.darkText} strokeDasharray="4 3" pointerEvents="none" />
+      )}
+      {hover && hover.s2 != null && (
+        <line x1={margin.left} y1={y(hover.s2)} x2={margin.left + plotWidth} y2={y(hover.s2)} stroke={colors.darkText} strokeDasharray="4 3" pointerEvents="none" />
+      )}
+
+      {/* Color scale */}
+      {Array.from({ length: 20 }, (_, i) => (
+        <rect
+          key={i}
+          x={width - margin.right + 25}
+          y={margin.top + (plotHeight * (19 - i)) / 20}
+          width={16}
+          height={plotHeight / 20 + 0.5}
+          fill={mixColors(colors.positive, colors.negative, i / 19)}
+        />
+      ))}
+      <text x={width - margin.right + 46} y={margin.top + 10} fontSize="11" fill={colors.darkText}>{formatRate(fMax, 1)}</text>
+      <text x={width - margin.right + 46} y={margin.top + plotHeight} fontSize="11" fill={colors.darkText}>{formatRate(fMin, 1)}</text>
+      <text x={width - margin.right + 33} y={margin.top + plotHeight + 16} textAnchor="middle" fontSize="11" fill={colors.darkText}>f(1,1)</text>
+    </svg>
+  );
+}
+
+// Line chart of one analytic partial derivative, with current and hovered crosshairs
+function SensitivityLineChart({ data, dataKey, name, color, current, hovered, xLabel, onHover }) {
+  const { formatNumber } = useI18n();
+  const colors = useChartColors();
+  return (
+    <ResponsiveContainer width="100%" height={220}>
+      <LineChart
+        data={data}
+        margin={{ top: 10, right: 20, left: 10, bottom: 25 }}
+        onMouseMove={(state) => onHover(state && state.activeLabel != null ? Number(state.activeLabel) : null)}
+        onMouseLeave={() => onHover(null)}
+      >
+        <CartesianGrid stroke={colors.grid} strokeDasharray="2 2" />
+        <XAxis
+          dataKey="rate"
+          type="number"
+          domain={["dataMin", "dataMax"]}
+          tickFormatter={(v) => formatNumber(v, 1)}
+          label={{ value: xLabel, position: "insideBottom", offset: -15 }}
+        />
+        <YAxis tickFormatter={(v) => formatNumber(v, 2)} domain={["auto", "auto"]} />
+        <Tooltip
+          formatter={(value) => [formatNumber(Number(value), 4), name]}
+          labelFormatter={(label) => `${xLabel}: ${formatNumber(Number(label), 2)}`}
+          contentStyle={{ fontSize: '12px' }}
+        />
+        <ReferenceLine x={current} stroke={colors.dark} strokeWidth={2} />
+        {hovered != null && <ReferenceLine x={hovered} stroke={colors.darkText} strokeDasharray="4 3" />}
+        <Line type="monotone" dataKey={dataKey} stroke={color} strokeWidth={2} dot={false} name={name} />
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
+
+// How f(1,1) responds to s1 and s2 over a user-defined grid, on the model's accrual periods
+function SensitivityPanel({ model, inputs }) {
+  const { t, formatNumber, formatRate } = useI18n();
+  const colors = useChartColors();
+  const [grid, setGrid] = useState(() => ({
+    s1Min: Math.floor(inputs.s1) - 3,
+    s1Max: Math.ceil(inputs.s1) + 3,
+    s2Min: Math.floor(inputs.s2) - 3,
+    s2Max: Math.ceil(inputs.s2) + 3,
+    step: 0.25,
+  }));
+  const [hover, setHover] = useState(null);
+
+  const gridErrors = {};
+  if (!(grid.s1Max > grid.s1Min)) gridErrors.s1 = t("sensitivity.s1Range");
+  if (!(grid.s2Max > grid.s2Min)) gridErrors.s2 = t("sensitivity.s2Range");
+  if (!(grid.step > 0)) gridErrors.step = t("sensitivity.stepPositive");
+  [grid.s1Min, grid.s1Max, grid.s2Min, grid.s2Max].forEach(rate => {
+    if (rate == null || rate < MIN_RATE || rate > MAX_RATE) {
+      gridErrors.range = t("sensitivity.rateRange", { min: formatRate(MIN_RATE, null), max: formatRate(MAX_RATE, null) });
+    }
+  });
+  const cellCount = Object.keys(gridErrors).length === 0
+    ? gridValues(grid.s1Min, grid.s1Max, grid.step).length * gridValues(grid.s2Min, grid.s2Max, grid.step).length
+    : 0;
+  if (cellCount > MAX_SENSITIVITY_CELLS) {
+    gridErrors.size = t("sensitivity.gridSize", { count: formatNumber(cellCount, 0), limit: formatNumber(MAX_SENSITIVITY_CELLS, 0) });
+  }
+  const isGridValid = Object.keys(gridErrors).length === 0;
+
+  const surface = useMemo(() => {
+    if (!isGridValid) return null;
+    const s1Values = gridValues(grid.s1Min, grid.s1Max, grid.step);
+    const s2Values = gridValues(grid.s2Min, grid.s2Max, grid.step);
+    const cells = s2Values.flatMap(s2 => s1Values.map(s1 => ({ s1, s2, forward: forwardRateAt(s1, s2, inputs.compounding, model.accrual) })));
+    const dS1Data = s1Values.map(s1 => ({ rate: s1, dS1: forwardRateSensitivity(s1, inputs.s2, inputs.compounding, model.accrual).dS1 }));
+    const dS2Data = s2Values.map(s2 => ({ rate: s2, dS2: forwardRateSensitivity(inputs.s1, s2, inputs.compounding, model.accrual).dS2 }));
+    return { s1Values, s2Values, cells, dS1Data, dS2Data };
+  }, [grid, isGridValid, inputs.s1, inputs.s2, inputs.compounding, model.accrual]);
+
+  const current = forwardRateSensitivity(inputs.s1, inputs.s2, inputs.compounding, model.accrual);
+  const hoveredForward = hover && hover.s1 != null && hover.s2 != null
+    ? forwardRateAt(hover.s1, hover.s2, inputs.compounding, model.accrual)
+    : null;
+
+  const fields = [
+    { key: "s1Min", label: t("sensitivity.s1Min") },
+    { key: "s1Max", label: t("sensitivity.s1Max") },
+    { key: "s2Min", label: t("sensitivity.s2Min") },
+    { key: "s2Max", label: t("sensitivity.s2Max") },
+    { key: "step", label: t("sensitivity.step") },
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-x-4 gap-y-2">
+        {fields.map(field => (
+          <div key={field.key} className="flex items-center gap-2">
+            <label htmlFor={`sensitivity-${field.key}`} className="text-ink whitespace-nowrap text-sm">{field.label}</label>
+            {field.key === "step" ? (
+              <input
+                id="sensitivity-step"
+                type="number"
+                step="0.05"
+                value={grid.step ?? ""}
+                onChange={(e) => setGrid(prev => ({ ...prev, step: parseAmount(e.target.value) }))}
+                className="w-20 rounded-md border-line shadow-sm px-2 py-1 text-sm"
+              />
+            ) : (
+              <RateInput
+                id={`sensitivity-${field.key}`}
+                value={grid[field.key]}
+                step={0.5}
+                onChange={(rate) => setGrid(prev => ({ ...prev, [field.key]: rate }))}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="text-xs text-ink">
+        {t("sensitivity.current", {
+          dS1: formatNumber(current.dS1, 4),
+          dS2: formatNumber(current.dS2, 4),
+          move: formatNumber(current.dS2, 2),
+        })}
+      </div>
+
+      <ValidationMessage errors={gridErrors} />
+
+      {surface && (
+        <div className="grid gap-6 lg:grid-cols-5">
+          <div className="lg:col-span-3">
+            <div className="text-sm font-semibold text-ink mb-1">{t("sensitivity.heatmapTitle")}</div>
+            <div
+              role="img"
+              aria-label={t("sensitivity.heatmapDescription", {
+                s1Min: formatRate(grid.s1Min, null),
+                s1Max: formatRate(grid.s1Max, null),
+                s2Min: formatRate(grid.s2Min, null),
+                s2Max: formatRate(grid.s2Max, null),
+                s1: formatRate(inputs.s1, null),
+                s2: formatRate(inputs.s2, null),
+              })}
+            >
+              <ForwardHeatmap
+                cells={surface.cells}
+                s1Values={surface.s1Values}
+                s2Values={surface.s2Values}
+                step={grid.step}
+                inputs={inputs}
+                hover={hover}
+                onHover={setHover}
+              />
+            </div>
+            <div className="text-xs text-ink-muted h-4">
+              {hoveredForward != null && t("sensitivity.hovered", {
+                s1: formatRate(hover.s1),
+                s2: formatRate(hover.s2),
+                forward: formatRate(hoveredForward),
+              })}
+            </div>
+          </div>
+
+          <div className="lg:col-span-2 space-y-4">
+            <div>
+              <div className="text-sm font-semibold text-ink mb-1">{t("sensitivity.dS1Title", { s2: formatRate(inputs.s2, null) })}</div>
+              <SensitivityLineChart
+                data={surface.dS1Data}
+                dataKey="dS1"
+                name="∂f/∂s₁"
+                color={colors.primary}
+                current={inputs.s1}
+                hovered={hover ? hover.s1 : null}
+                xLabel="s₁ (%)"
+                onHover={(s1) => setHover(s1 == null ? null : { s1, s2: null })}
+              />
+            </div>
+            <div>
+              <div className="text-sm font-semibold text-ink mb-1">{t("sensitivity.dS2Title", { s1: formatRate(inputs.s1, null) })}</div>
+              <SensitivityLineChart
+                data={surface.dS2Data}
+                dataKey="dS2"
+                name="∂f/∂s₂"
+                color={colors.orange}
+                current={inputs.s2}
+                hovered={hover ? hover.s2 : null}
+                xLabel="s₂ (%)"
+                onHover={(s2) => setHover(s2 == null ? null : { s1: null, s2 })}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Inputs shown as rates in the timeline
+const HISTORY_RATE_FIELDS = ["s1", "s2", "marketForward", "expectedRate", "termPremium"];
+
+// Input types the browser edits as text, with their own undo stack
+const TYPED_INPUT_TYPES = new Set(["text", "number", "search", "url", "email", "tel"]);
+
+// Undo/redo controls and the timeline of input changes; clicking a step restores it
+function HistoryPanel({ history, onUndo, onRedo, onRestore }) {
+  const { t, formatRate, formatNumber, formatDate, formatTime } = useI18n();
+  const [status, setStatus] = useState("");
+  const { steps, index } = history;
+
+  const formatValue = (field, value) => {
+    if (value == null || value === "" || (Array.isArray(value) && value.length === 0)) return t("history.none");
+    if (HISTORY_RATE_FIELDS.includes(field)) return formatRate(value, null);
+    if (field === "extraSpots" || field === "parYields") return value.map(rate => (rate == null ? "–" : formatRate(rate, null))).join(", ");
+    if (field === "bonds") return t("history.bonds", { count: value.length });
+    if (field === "notional" || field === "investment") return formatNumber(value, null);
+    if (field === "compounding") return t(`compounding.${value}.label`);
+    if (field === "dayCount") return t(`dayCounts.${value}`);
+    if (field === "premiumTheory") return t(`theories.${value}.name`);
+    if (field === "inputMode") return t(`inputs.${value}`);
+    if (field === "startDate" || field === "endDate") return formatDate(value);
+    return String(value);
+  };
+
+  const describe = (step) => (step.changes.length === 0
+    ? t("history.start")
+    : step.changes.map(({ field, from, to }) => t("history.change", {
+      field: t(`history.fields.${field}`),
+      from: formatValue(field, from),
+      to: formatValue(field, to),
+    })).join("; "));
+
+  const announce = (number) => setStatus(t("history.showing", { number, total: steps.length }));
+
+  const handleExport = () => {
+    const blob = new Blob([JSON.stringify(historyLog(history), null, 2)], { type: "application/json" });
+    downloadBlob(blob, "forward-rate-history.json");
+    setStatus(t("history.exported", { count: history.log.length }));
+  };
+
+  const buttonClass = "px-3 py-1 text-sm rounded-md border border-line text-ink hover:bg-surface-muted focus:outline-none focus:ring-2 focus:ring-focus disabled:opacity-50";
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={() => { onUndo(); announce(index); }}
+          disabled={index === 0}
+          aria-keyshortcuts="Control+Z Meta+Z"
+          className={buttonClass}
+        >
+          {t("history.undo")}
+        </button>
+        <button
+          type="button"
+          onClick={() => { onRedo(); announce(index + 2); }}
+          disabled={index === steps.length - 1}
+          aria-keyshortcuts="Control+Y Control+Shift+Z Meta+Shift+Z"
+          className={buttonClass}
+        >
+          {t("history.redo")}
+        </button>
+        <button type="button" onClick={handleExport} className={buttonClass}>{t("history.exportJson")}</button>
+      </div>
+      <p className="text-xs text-ink-muted">{t("history.shortcuts")}</p>
+
+      <ol className="divide-y divide-line-subtle border rounded-lg max-h-64 overflow-y-auto" aria-label={t("history.timeline")}>
+        {steps.map((step, i) => ({ step, i })).reverse().map(({ step, i }) => (
+          <li key={`${i}-${step.at}`}>
+            <button
+              type="button"
+              onClick={() => { onRestore(i); announce(i + 1); }}
+              aria-current={i === index ? "step" : undefined}
+              className={`w-full text-left px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-inset focus:ring-focus ${
+                i === index ? "bg-accent-soft" : "hover:bg-surface-muted"
+              } ${i > index ? "opacity-60" : ""}`}
+            >
+              <span className="font-semibold text-ink">{t("history.step", { number: i + 1 })}</span>
+              <span className="text-ink-muted"> · {formatTime(step.at)} · </span>
+              <span className="text-ink">{describe(step)}</span>
+              <span className="text-ink-muted"> · {step.forwardRate != null ? t("history.forward", { rate: formatRate(step.forwardRate) }) : t("history.invalid")}</span>
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <div className="text-xs text-ink-muted" role="status" aria-live="polite">{status}</div>
+    </div>
+  );
+}
+
+// Built-in presets, share link and the saved scenario library
+function ScenarioLibrary({ inputs, onLoad }) {
+  const { t, formatRate } = useI18n();
+  const [library, setLibrary] = useState(loadLibrary);
+  const [name, setName] = useState("");
+  const [renaming, setRenaming] = useState(null);
+  const [status, setStatus] = useState("");
+  const fileInputRef = useRef(null);
+
+  const updateLibrary = (next) => {
+    setLibrary(next);
+    saveLibrary(next);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    updateLibrary([...library, createLibraryEntry(trimmed, inputs)]);
+    setName("");
+    setStatus(t("scenarios.saved", { name: trimmed }));
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    const trimmed = renaming.name.trim();
+    if (trimmed) {
+      updateLibrary(library.map(entry => (entry.id === renaming.id ? { ...entry, name: trimmed } : entry)));
+    }
+    setRenaming(null);
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(scenarioUrl(inputs));
+      setStatus(t("scenarios.linkCopied"));
+    } catch {
+      setStatus(t("scenarios.copyFailed"));
+    }
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([JSON.stringify(library, null, 2)], { type: "application/json" });
+    downloadBlob(blob, "forward-rate-scenarios.json");
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const { entries, message } = parseLibraryImport(await file.text());
+    if (message) {
+      setStatus(t("scenarios.importFailed", { error: message }));
+      return;
+    }
+    updateLibrary([...library, ...entries]);
+    setStatus(t("scenarios.imported", { count: entries.length }));
+  };
+
+  // Preset names show their rates in the locale's format
+  const presetName = (preset) => {
+    const { s1, s2 } = { ...DEFAULT_INPUTS, ...preset.inputs };
+    return t(`presets.${preset.id}`, { s1: formatRate(s1, 1), s2: formatRate(s2, 1) });
+  };
+
+  const buttonClass = "px-3 py-1 text-sm rounded-md border border-line text-ink hover:bg-surface-muted focus:outline-none focus:ring-2 focus:ring-focus";
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-ink">{t("scenarios.presets")}</span>
+        {PRESET_SCENARIOS.map(preset => (
+          <button
+            key={preset.id}
+            type="button"
+            onClick={() => onLoad({ ...DEFAULT_INPUTS, ...preset.inputs })}
+            className={buttonClass}
+          >
+            {presetName(preset)}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button type="button" onClick={handleCopyLink} className={buttonClass}>{t("scenarios.copyLink")}</button>
+        <form onSubmit={handleSave} className="flex items-center gap-2">
+          <label htmlFor="scenario-name-input" className="sr-only">{t("scenarios.name")}</label>
+          <input
+            id="scenario-name-input"
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={t("scenarios.name")}
+            className="rounded-md border-line shadow-sm px-2 py-1 text-sm"
+          />
+          <button type="submit" disabled={!name.trim()} className={`${buttonClass} disabled:opacity-50`}>{t("scenarios.save")}</button>
+        </form>
+        <button type="button" onClick={handleExport} disabled={library.length === 0} className={`${buttonClass} disabled:opacity-50`}>
+          {t("scenarios.exportJson")}
+        </button>
+        <button type="button" onClick={() => fileInputRef.current.click()} className={buttonClass}>{t("scenarios.importJson")}</button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          className="hidden"
+          aria-label={t("scenarios.importFile")}
+        />
+      </div>
+
+      {library.length > 0 && (
+        <ul className="divide-y divide-line-subtle border rounded-lg" aria-label={t("scenarios.library")}>
+          {library.map(entry => (
+            <li key={entry.id} className="flex flex-wrap items-center gap-2 px-3 py-2 text-sm">
+              {renaming && renaming.id === entry.id ? (
+                <form onSubmit={handleRename} className="flex items-center gap-2 flex-1">
+                  <label htmlFor={`rename-${entry.id}`} className="sr-only">{t("scenarios.newName", { name: entry.name })}</label>
+                  <input
+                    id={`rename-${entry.id}`}
+                    type="text"
+                    value={renaming.name}
+                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                    className="rounded-md border-line shadow-sm px-2 py-1 text-sm flex-1"
+                    autoFocus
+                  />
+                  <button type="submit" className={buttonClass}>{t("common.ok")}</button>
+                  <button type="button" onClick={() => setRenaming(null)} className={buttonClass}>{t("common.cancel")}</button>
+                </form>
+              ) : (
+                <>
+                  <span className="flex-1 text-ink">{entry.name}</span>
+                  <button type="button" onClick={() => onLoad({ ...DEFAULT_INPUTS, ...sanitizeScenario(entry.inputs) })} className={buttonClass}>{t("scenarios.load")}</button>
+                  <button type="button" onClick={() => setRenaming({ id: entry.id, name: entry.name })} className={buttonClass}>{t("scenarios.rename")}</button>
+                  <button
+                    type="button"
+                    onClick={() => updateLibrary(library.filter(item => item.id !== entry.id))}
+                    className={buttonClass}
+                    aria-label={t("scenarios.deleteEntry", { name: entry.name })}
+                  >
+                    {t("scenarios.delete")}
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="text-xs text-ink-muted" role="status" aria-live="polite">{status}</div>
+    </div>
+  );
+}
+
+// One-page printable layout: results, chart and formulas
+function PrintView({ model, inputs, bootstrap, formatMoney, onClose }) {
+  const { t } = useI18n();
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-end gap-2 print:hidden">
+        <button
+          type="button"
+          onClick={() => window.print()}
+          className="px-3 py-2 text-sm rounded-md border border-accent-line text-accent hover:bg-accent-soft focus:outline-none focus:ring-2 focus:ring-focus"
+        >
+          {t("print.print")}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-3 py-2 text-sm rounded-md border border-line text-ink hover:bg-surface-muted focus:outline-none focus:ring-2 focus:ring-focus"
+        >
+          {t("print.back")}
+        </button>
+      </div>
+
+      <h1 className="font-serif text-2xl text-ink">{t("app.title")}</h1>
+
+      <div className="grid grid-cols-3 gap-4 print-avoid-break">
+        <div className="col-span-1">
+          <ResultsSection model={model} inputs={inputs} formatMoney={formatMoney} />
+        </div>
+        <div className="col-span-2">
+          <ForwardRateChart model={model} inputs={inputs} formatMoney={formatMoney} />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 print-avoid-break">
+        <div>
+          <h2 className="font-serif text-lg text-ink mb-2">{t("cards.matrix")}</h2>
+          <ForwardMatrix matrix={model.forwardMatrix} />
+        </div>
+        {bootstrap && (
+          <div>
+            <h2 className="font-serif text-lg text-ink mb-2">{t("cards.bootstrap")}</h2>
+            <BootstrapDerivation bootstrap={bootstrap} inputs={inputs} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Dialog for loading a spot curve from a pasted table or a local CSV file
+function CurveImportDialog({ onImport }) {
+  const { t, locale, formatRate } = useI18n();
+  const dialogRef = useRef(null);
+  const [text, setText] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [rateScale, setRateScale] = useState("auto");
+  const idPrefix = useId();
+
+  const result = useMemo(
+    () => (text.trim() ? parseCurveTable(text, { maxMaturity: MAX_MATURITY, rateScale, locale }) : null),
+    [text, rateScale, locale]
+  );
+
+  const open = () => dialogRef.current.showModal();
+  const close = () => dialogRef.current.close();
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFileName(file.name);
+    setText(await file.text());
+    e.target.value = "";
+  };
+
+  const handleUse = () => {
+    onImport(result.spotRates);
+    close();
+  };
+
+  const describeDetection = ({ header, delimiter, rateScale, maturityUnit }) => [
+    t(header ? "curveImport.header" : "curveImport.noHeader"),
+    t(`curveImport.delimiters.${delimiter}`),
+    t(rateScale === "decimal" ? "curveImport.decimal" : "curveImport.percent"),
+    t(`curveImport.${maturityUnit}`),
+  ].join(t("common.listSeparator"));
+
+  const buttonClass = "px-3 py-2 text-sm rounded-md border border-accent-line text-accent hover:bg-accent-soft disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-focus";
+
+  return (
+    <>
+      <button type="button" onClick={open} className={buttonClass}>
+        {t("curveImport.open")}
+      </button>
+
+      <dialog
+        ref={dialogRef}
+        aria-labelledby={`${idPrefix}-title`}
+        className="w-full max-w-xl rounded-lg p-0 shadow-xl backdrop:bg-gray-900/40"
+      >
+        <div className="p-6 space-y-4">
+          <h2 id={`${idPrefix}-title`} className="font-serif text-xl text-ink">{t("curveImport.title")}</h2>
+          <p className="text-sm text-ink-muted">{t("curveImport.intro")}</p>
+
+          <div className="space-y-1">
+            <label htmlFor={`${idPrefix}-text`} className="block text-sm font-medium text-ink">{t("curveImport.table")}</label>
+            <textarea
+              id={`${idPrefix}-text`}
+              value={text}
+              onChange={(e) => {
+                setText(e.target.value);
+                setFileName("");
+              }}
+              rows={8}
+              placeholder={"Maturity,Rate\n1,6.3\n2,8.0\n3,8.5"}
+              className="block w-full rounded-md border-line shadow-sm px-2 py-2 text-sm font-mono"
+            />
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <label htmlFor={`${idPrefix}-file`} className="font-medium text-ink">{t("curveImport.file")}</label>
+            <input id={`${idPrefix}-file`} type="file" accept=".csv,.txt,.tsv,text/csv,text/plain" onChange={handleFile} className="text-sm" />
+            {fileName && <span className="text-xs text-ink-muted">{t("curveImport.loaded", { file: fileName })}</span>}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <label htmlFor={`${idPrefix}-scale`} className="font-medium text-ink">{t("curveImport.scale")}</label>
+            <select
+              id={`${idPrefix}-scale`}
+              value={rateScale}
+              onChange={(e) => setRateScale(e.target.value)}
+              className="rounded-md border-line shadow-sm px-2 py-1 text-sm"
+            >
+              {["auto", "percent", "decimal"].map(scale => (
+                <option key={scale} value={scale}>{t(`curveImport.scales.${scale}`)}</option>
+              ))}
+            </select>
+          </div>
+
+          {result && result.detected && (
+            <div className="text-xs text-ink-muted">{t("curveImport.detected", { details: describeDetection(result.detected) })}</div>
+          )}
+          {result && <ValidationMessage errors={result.errors} />}
+          {result && <WarningMessage warnings={result.warnings} title={t("curveImport.notes")} />}
+
+          {result && result.spotRates && (
+            <table className="text-xs font-mono border-collapse">
+              <caption className="text-left font-sans text-ink-muted mb-1">{t("curveImport.caption")}</caption>
+              <thead>
+                <tr>
+                  <th scope="col" className="px-2 py-1 text-left font-sans border-b">{t("curveImport.maturity")}</th>
+                  <th scope="col" className="px-2 py-1 text-right font-sans border-b">{t("curveImport.rate")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.spotRates.map((rate, i) => (
+                  <tr key={i}>
+                    <th scope="row" className="px-2 py-1 text-left font-sans">{t("curveImport.yearRow", { year: i + 1 })}</th>
+                    <td className="px-2 py-1 text-right">{formatRate(rate, 4)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={close}
+              className="px-3 py-2 text-sm rounded-md border border-line text-ink hover:bg-surface-muted focus:outline-none focus:ring-2 focus:ring-focus"
+            >
+              {t("common.cancel")}
+            </button>
+            <button type="button" onClick={handleUse} disabled={!result || !result.spotRates} className={buttonClass}>
+              {t("curveImport.use")}
+            </button>
+          </div>
+        </div>
+      </dialog>
+    </>
+  );
+}
+
+const MAX_COMPARED_SCENARIOS = 4;
+// Static class names so Tailwind keeps them in the build
+const COMPARISON_GRID_COLUMNS = ["", "lg:grid-cols-1", "lg:grid-cols-2", "lg:grid-cols-3", "lg:grid-cols-4"];
+
+const comparisonScenario = (name, inputs) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  name,
+  inputs: { ...DEFAULT_INPUTS, ...inputs },
+});
+
+// Up to four scenarios side by side on shared chart axes; the first column is the baseline
+function ScenarioComparison({ currentInputs }) {
+  const { t, tag, formatRate, formatNumber } = useI18n();
+  const presetName = (preset) => {
+    const { s1, s2 } = { ...DEFAULT_INPUTS, ...preset.inputs };
+    return t(`presets.${preset.id}`, { s1: formatRate(s1, 1), s2: formatRate(s2, 1) });
+  };
+  const [scenarios, setScenarios] = useState(() => [
+    comparisonScenario(t("comparison.current"), currentInputs),
+    ...PRESET_SCENARIOS.filter(preset => preset.id === "flat" || preset.id === "inverted")
+      .map(preset => comparisonScenario(presetName(preset), preset.inputs)),
+  ]);
+  const [addChoice, setAddChoice] = useState("current");
+
+  const columns = scenarios.map(scenario => {
+    const result = calculateForwardRates(scenario.inputs);
+    return {
+      ...scenario,
+      model: result.ok ? result.value : null,
+      error: result.ok ? null : t(result.message),
+      formatMoney: createMoneyFormatter(scenario.inputs.currency, tag),
+    };
+  });
+  const modelled = columns.filter(column => column.model);
+
+  // One rate axis and one cash axis across every panel so bar heights compare directly
+  const axes = modelled.length > 0 ? modelled
+    .map(column => forwardChartAxes(column.model, column.inputs))
+    .reduce((merged, next) => ({
+      rateDomain: [Math.min(merged.rateDomain[0], next.rateDomain[0]), Math.max(merged.rateDomain[1], next.rateDomain[1])],
+      cashAxis: {
+        domain: [Math.min(merged.cashAxis.domain[0], next.cashAxis.domain[0]), Math.max(merged.cashAxis.domain[1], next.cashAxis.domain[1])],
+        ticks: undefined,
+      },
+    })) : null;
+
+  const updateScenario = (id, changes) => {
+    setScenarios(prev => prev.map(scenario => (scenario.id === id ? { ...scenario, ...changes } : scenario)));
+  };
+  // `rate` comes from RateInput: a number in %, or null while the field is empty or unreadable
+  const updateRate = (id, field, rate) => {
+    setScenarios(prev => prev.map(scenario => (
+      scenario.id === id ? { ...scenario, inputs: { ...scenario.inputs, [field]: rate } } : scenario
+    )));
+  };
+
+  const handleAdd = () => {
+    const preset = PRESET_SCENARIOS.find(p => p.id === addChoice);
+    const scenario = preset
+      ? comparisonScenario(presetName(preset), preset.inputs)
+      : comparisonScenario(t("comparison.current"), currentInputs);
+    setScenarios(prev => (prev.length >= MAX_COMPARED_SCENARIOS ? prev : [...prev, scenario]));
+  };
+
+  const baseline = columns[0] && columns[0].model;
+  const buttonClass = "px-3 py-2 text-sm rounded-md border border-accent-line text-accent hover:bg-accent-soft disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-focus";
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <label htmlFor="comparison-add-select" className="font-medium text-ink text-sm">{t("comparison.add")}</label>
+        <select
+          id="comparison-add-select"
+          value={addChoice}
+          onChange={(e) => setAddChoice(e.target.value)}
+          className="rounded-md shadow-sm px-2 py-2 text-sm border-line focus:border-focus focus:ring-focus"
+        >
+          <option value="current">{t("comparison.currentOption")}</option>
+          {PRESET_SCENARIOS.map(preset => (
+            <option key={preset.id} value={preset.id}>{presetName(preset)}</option>
+          ))}
+        </select>
+        <button type="button" onClick={handleAdd} disabled={scenarios.length >= MAX_COMPARED_SCENARIOS} className={buttonClass}>
+          {t("comparison.addButton")}
+        </button>
+        <span className="text-xs text-ink-muted">
+          {t("comparison.count", { count: scenarios.length, max: MAX_COMPARED_SCENARIOS })}
+        </span>
+      </div>
+
+      {/* Summary against the baseline */}
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs font-mono border-collapse">
+          <caption className="text-left font-sans text-ink-muted mb-2">{t("comparison.caption")}</caption>
+          <thead>
+            <tr>
+              <th scope="col" className="px-2 py-1 text-left font-sans border-b">{t("comparison.scenario")}</th>
+              <th scope="col" className="px-2 py-1 text-right font-sans border-b">s₁</th>
+              <th scope="col" className="px-2 py-1 text-right font-sans border-b">s₂</th>
+              <th scope="col" className="px-2 py-1 text-right font-sans border-b">f(1,1)</th>
+              <th scope="col" className="px-2 py-1 text-right font-sans border-b">{t("comparison.terminal")}</th>
+              <th scope="col" className="px-2 py-1 text-right font-sans border-b">{t("comparison.forwardDelta")}</th>
+              <th scope="col" className="px-2 py-1 text-right font-sans border-b">{t("comparison.terminalDelta")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {columns.map((column, i) => (
+              <tr key={column.id}>
+                <th scope="row" className="px-2 py-1 text-left font-sans">
+                  {i === 0 ? t("comparison.baselineRow", { name: column.name }) : column.name}
+                </th>
+                <td className="px-2 py-1 text-right">{column.inputs.s1 == null ? "–" : formatRate(column.inputs.s1)}</td>
+                <td className="px-2 py-1 text-right">{column.inputs.s2 == null ? "–" : formatRate(column.inputs.s2)}</td>
+                {column.model ? (
+                  <>
+                    <td className="px-2 py-1 text-right">{formatRate(column.model.forwardRate)}</td>
+                    <td className="px-2 py-1 text-right">{column.formatMoney(column.model.strategy2Final)}</td>
+                    <td className="px-2 py-1 text-right">
+                      {i === 0 || !baseline ? "–" : t("comparison.points", {
+                        value: formatNumber(column.model.forwardRate - baseline.forwardRate, 2, { signDisplay: "exceptZero" }),
+                      })}
+                    </td>
+                    <td className="px-2 py-1 text-right">
+                      {i === 0 || !baseline ? "–" : `${column.model.strategy2Final >= baseline.strategy2Final ? "+" : ""}${column.formatMoney(column.model.strategy2Final - baseline.strategy2Final)}`}
+                    </td>
+                  </>
+                ) : (
+                  <td colSpan={4} className="px-2 py-1 text-left font-sans text-alert-ink">{column.error}</td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className={`grid grid-cols-1 gap-6 ${COMPARISON_GRID_COLUMNS[columns.length]}`}>
+        {columns.map((column, i) => (
+          <section key={column.id} aria-label={t("comparison.section", { name: column.name })} className="space-y-4 min-w-0">
+            <div className="flex items-center gap-2">
+              <label htmlFor={`comparison-name-${column.id}`} className="sr-only">{t("scenarios.name")}</label>
+              <input
+                id={`comparison-name-${column.id}`}
+                type="text"
+                value={column.name}
+                onChange={(e) => updateScenario(column.id, { name: e.target.value })}
+                className="flex-1 min-w-0 rounded-md border-line shadow-sm px-2 py-1 text-sm font-semibold"
+              />
+              {i === 0 && <span className="text-xs text-ink-muted">{t("comparison.baseline")}</span>}
+              {scenarios.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => setScenarios(prev => prev.filter(scenario => scenario.id !== column.id))}
+                  className="px-2 py-1 text-xs rounded-md border border-line text-ink hover:bg-surface-muted focus:outline-none focus:ring-2 focus:ring-focus"
+                  aria-label={t("comparison.remove", { name: column.name })}
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+            <div className="flex gap-3 text-xs">
+              {[["s1", "s₁ (%)"], ["s2", "s₂ (%)"]].map(([field, label]) => (
+                <div key={field} className="flex items-center gap-1">
+                  <label htmlFor={`comparison-${field}-${column.id}`} className="font-medium text-ink">{label}</label>
+                  <RateInput
+                    id={`comparison-${field}-${column.id}`}
+                    value={column.inputs[field]}
+                    onChange={(rate) => updateRate(column.id, field, rate)}
+                  />
+                </div>
+              ))}
+            </div>
+
+            {column.model ? (
+              <>
+                <ResultsSection model={column.model} inputs={column.inputs} formatMoney={column.formatMoney} />
+                <ForwardRateChart
+                  model={column.model}
+                  inputs={column.inputs}
+                  formatMoney={column.formatMoney}
+                  axes={axes}
+                />
+              </>
+            ) : (
+              <ValidationMessage errors={{ calculation: column.error }} />
+            )}
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Practice mode: seeded problems, typed answers, grading and a worked solution
+function PracticePanel({ compounding }) {
+  const { t, locale, tag, formatRate } = useI18n();
+  // Problems are set in dollars whatever the calculator's currency
+  const formatMoney = useMemo(() => createMoneyFormatter("USD", tag), [tag]);
+  const [seedText, setSeedText] = useState(() => String(Math.floor(Math.random() * 100000)));
+  const [tolerance, setTolerance] = useState(DEFAULT_TOLERANCE);
+  const [index, setIndex] = useState(0);
+  const [typed, setTyped] = useState({ forwardRate: "", strategy1Final: "", strategy2Final: "" });
+  const [graded, setGraded] = useState(null);
+  const [score, setScore] = useState({ attempted: 0, correct: 0 });
+
+  const problem = useMemo(
+    () => generateProblem(seedFromText(seedText), index, compounding),
+    [seedText, index, compounding]
+  );
+  const workedModel = useMemo(() => calculateForwardRates(problem).value, [problem]);
+
+  const resetAnswers = () => {
+    setTyped({ forwardRate: "", strategy1Final: "", strategy2Final: "" });
+    setGraded(null);
+  };
+
+  const handleSeedChange = (value) => {
+    setSeedText(value);
+    setIndex(0);
+    setScore({ attempted: 0, correct: 0 });
+    resetAnswers();
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (graded) return;
+    const result = gradeAnswers(typed, solveProblem(problem), tolerance, locale);
+    setGraded(result);
+    setScore(prev => ({ attempted: prev.attempted + 1, correct: prev.correct + (result.allCorrect ? 1 : 0) }));
+  };
+
+  const handleNext = () => {
+    setIndex(prev => prev + 1);
+    resetAnswers();
+  };
+
+  const answerFields = [
+    { key: "forwardRate", label: t("practice.forwardRate"), format: (v) => formatRate(v) },
+    { key: "strategy1Final", label: t("practice.strategy1Final"), format: (v) => formatMoney(v) },
+    { key: "strategy2Final", label: t("practice.strategy2Final"), format: (v) => formatMoney(v) },
+  ];
+  const buttonClass = "px-3 py-2 text-sm rounded-md border border-accent-line text-accent hover:bg-accent-soft disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-focus";
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-x-6 gap-y-3">
+        <div className="flex items-center gap-2">
+          <label htmlFor="practice-seed-input" className="font-medium text-ink whitespace-nowrap flex items-center text-sm">
+            {t("practice.seed")}
+            <InfoIcon id="practice-seed-input">{t("practice.seedHelp")}</InfoIcon>
+          </label>
+          <input
+            id="practice-seed-input"
+            type="text"
+            value={seedText}
+            onChange={(e) => handleSeedChange(e.target.value)}
+            className="w-28 rounded-md border-line shadow-sm px-2 py-2 text-sm"
+          />
+        </div>
+        <div className="flex items-center gap-2">
+          <label htmlFor="practice-rate-tolerance" className="text-ink whitespace-nowrap text-sm">{t("practice.rateTolerance")}</label>
+          <input
+            id="practice-rate-tolerance"
+            type="number"
+            step="0.005"
+            min="0"
+            value={tolerance.rate}
+            onChange={(e) => setTolerance(prev => ({ ...prev, rate: Math.max(0, parseFloat(e.target.value) || 0) }))}
+            className="w-20 rounded-md border-line shadow-sm px-2 py-2 text-sm"
+          />
+        </div>
+        <div className="flex items-center gap-2">
+          <label htmlFor="practice-money-tolerance" className="text-ink whitespace-nowrap text-sm">{t("practice.moneyTolerance")}</label>
+          <input
+            id="practice-money-tolerance"
+            type="number"
+            step="0.01"
+            min="0"
+            value={tolerance.money}
+            onChange={(e) => setTolerance(prev => ({ ...prev, money: Math.max(0, parseFloat(e.target.value) || 0) }))}
+            className="w-20 rounded-md border-line shadow-sm px-2 py-2 text-sm"
+          />
+        </div>
+        <div className="text-sm font-semibold text-ink" role="status" aria-live="polite">
+          {t("practice.score", { correct: score.correct, attempted: score.attempted })}
+        </div>
+      </div>
+
+      <div className="p-4 bg-accent-soft rounded-lg border border-accent-line">
+        <div className="font-semibold text-accent mb-1 text-sm">{t("practice.problem", { number: problem.index + 1 })}</div>
+        <div className="text-sm text-ink">
+          {t("practice.statement", {
+            s1: formatRate(problem.s1, null),
+            s2: formatRate(problem.s2, null),
+            compounding: t(`compounding.${compounding}.label`).toLowerCase(),
+            investment: formatMoney(100, "whole"),
+          })}
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-x-6 gap-y-3">
+        {answerFields.map(field => {
+          const result = graded && graded.fields[field.key];
+          return (
+            <div key={field.key} className="flex flex-col gap-1">
+              <label htmlFor={`practice-${field.key}`} className="text-sm font-medium text-ink">{field.label}</label>
+              <input
+                id={`practice-${field.key}`}
+                type="text"
+                inputMode="decimal"
+                value={typed[field.key]}
+                onChange={(e) => setTyped(prev => ({ ...prev, [field.key]: e.target.value }))}
+                readOnly={Boolean(graded)}
+                aria-invalid={result && !result.correct ? "true" : "false"}
+                aria-describedby={result ? `practice-${field.key}-feedback` : undefined}
+                className={`w-40 rounded-md shadow-sm px-2 py-2 text-sm ${
+                  result ? (result.correct ? "border-success-line" : "border-alert-line") : "border-line"
+                }`}
+              />
+              {result && (
+                <div id={`practice-${field.key}-feedback`} className={`text-xs ${result.correct ? "text-success" : "text-alert-ink"}`}>
+                  {result.correct ? t("practice.correct") : t("practice.expected", { value: field.format(result.expected) })}
+                </div>
+              )}
+            </div>
+          );
+        })}
+        <div className="flex gap-2">
+          <button type="submit" disabled={Boolean(graded)} className={buttonClass}>{t("practice.check")}</button>
+          <button type="button" onClick={handleNext} className={buttonClass}>{t("practice.next")}</button>
+        </div>
+      </form>
+
+      {graded && (
+        <div className="space-y-3" aria-live="polite">
+          <div className={`text-sm font-semibold ${graded.allCorrect ? "text-success" : "text-alert-ink"}`}>
+            {t(graded.allCorrect ? "practice.allCorrect" : "practice.notQuite")}
+          </div>
+          {!graded.allCorrect && (
+            <div className="max-w-md">
+              <ResultsSection model={workedModel} inputs={problem} formatMoney={formatMoney} />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// `embed` is set when the calculator runs as a widget on another page (see src/embed.jsx):
+// an EmbedConfig plus `onEvent(type, payload)`, with `ref` receiving setInputs/getState
+function App({ embed = null, ref }) {
+  const locked = embed ? embed.locked : NO_LOCKED_FIELDS;
+  // Import and dragging replace several curve points at once, so a partly locked curve
+  // would come out mixed; both are off while any curve input (or the input mode) is locked
+  const curveLocked = locked.includes("inputMode") || locked.some(field => CURVE_FIELDS.includes(field));
+  const showPanel = (panel) => !embed || !embed.hidden.includes(panel);
+
+  // A shared link pre-loads its scenario (a widget its configured inputs); anything it
+  // leaves out uses the defaults. Student edits never change a field the host locked.
+  const [inputs, setInputs] = useReducer(
+    (prev, update) => (update.fromHost
+      ? { ...prev, ...update.inputs }
+      : keepLocked(prev, typeof update === "function" ? update(prev) : update, locked)),
+    null,
+    () => ({ ...DEFAULT_INPUTS, ...(embed ? embed.inputs : decodeScenario(window.location.search)) })
+  );
+
+  // Keep the address bar in sync so the current scenario can be copied as a link.
+  // A widget leaves the host page's address alone.
+  useEffect(() => {
+    if (embed) return;
+    window.history.replaceState(null, "", `?${encodeScenario(inputs)}`);
+  }, [embed, inputs]);
+
+  // UI language: the widget's configured one, else the saved choice, else the browser's, else English
+  const [locale, setLocale] = useState(() => (embed && embed.locale) || preferredLocale());
+  const i18n = useMemo(() => createI18n(locale), [locale]);
+  const { t } = i18n;
+
+  // The notations a spot rate field accepts, shown with `rate` in each
+  const spotRateHelp = (rate) => ({
+    example: i18n.formatNumber(rate, 1),
+    rate: i18n.formatRate(rate, 1),
+    decimal: i18n.formatNumber(rate / 100, 3),
+    bp: `${Math.round(rate * 100)}bp`,
+    step: i18n.formatRate(0.1, 1),
+  });
+
+  // A widget's language and theme are the host's choice, so they are not saved
+  useEffect(() => {
+    if (embed) return;
+    document.documentElement.lang = locale;
+    saveLocale(locale);
+  }, [embed, locale]);
+
+  // Color theme: the widget's configured one, else the saved choice, else "system",
+  // which tracks the OS light/dark setting live
+  const [themeChoice, setThemeChoice] = useState(() => (embed && embed.theme) || preferredThemeChoice());
+  const [systemThemeName, setSystemThemeName] = useState(systemTheme);
+  const theme = THEMES[themeChoice === "system" ? systemThemeName : themeChoice];
+
+  useEffect(() => {
+    if (!embed) saveThemeChoice(themeChoice);
+  }, [embed, themeChoice]);
+
+  useEffect(() => {
+    const query = window.matchMedia?.("(prefers-color-scheme: dark)");
+    if (!query) return undefined;
+    const update = () => setSystemThemeName(systemTheme());
+    query.addEventListener("change", update);
+    return () => query.removeEventListener("change", update);
+  }, []);
+
+  // Message for a required rate: missing (null while its field is empty or unreadable) or out of bounds
+  const rateError = useCallback((rate, label) => {
+    if (rate == null) return t("errors.rateRequired", { label: t(label) });
+    const problem = checkRateBounds(rate, label);
+    return problem && t(problem);
+  }, [t]);
+
+  const validateInputs = useCallback((inputs) => {
+    const errors = {};
+    
+    const s1Error = rateError(inputs.s1, { key: "labels.spotRate", params: { year: 1 } });
+    if (s1Error) errors.s1 = s1Error;
+    
+    const s2Error = rateError(inputs.s2, { key: "labels.spotRate", params: { year: 2 } });
+    if (s2Error) errors.s2 = s2Error;
+    
+    inputs.extraSpots.forEach((rate, i) => {
+      const year = i + 3;
+      const error = rateError(rate, { key: "labels.spotRate", params: { year } });
+      if (error) errors[`s${year}`] = error;
+    });
+    
+    if (inputs.marketForward != null) {
+      const error = rateError(inputs.marketForward, { key: "labels.marketForward" });
+      if (error) errors.marketForward = error;
+    }
+    
+    if (!inputs.notional || inputs.notional < 0) {
+      errors.notional = t("errors.notional");
+    }
+
+    ["expectedRate", "termPremium"].forEach(field => {
+      if (inputs[field] == null) return;
+      const error = rateError(inputs[field], { key: `labels.${field}` });
+      if (error) errors[field] = error;
+    });
+
+    if (!inputs.investment || inputs.investment < 0) {
+      errors.investment = t("errors.investment");
+    }
+
+    const accrual = accrualSchedule(inputs);
+    if (!accrual.ok) errors.dates = t(accrual.message);
+    
+    return errors;
+  }, [t, rateError]);
+
+  const validateBootstrapInputs = useCallback((inputs) => {
+    const errors = {};
+
+    if (inputs.inputMode === "par") {
+      inputs.parYields.forEach((parYield, i) => {
+        const year = i + 1;
+        const error = rateError(parYield, { key: "labels.parYield", params: { year } });
+        if (error) errors[`par${year}`] = error;
+      });
+    }
+
+    if (inputs.inputMode === "bonds") {
+      inputs.bonds.forEach((bond, i) => {
+        if (bond.coupon == null || bond.coupon < 0 || bond.coupon > MAX_COUPON) {
+          errors[`bond${i}coupon`] = t("errors.bondCoupon", { bond: i + 1 });
+        }
+        if (!bond.price || bond.price < 0) {
+          errors[`bond${i}price`] = t("errors.bondPrice", { bond: i + 1 });
+        }
+        if (!Number.isInteger(bond.maturity) || bond.maturity < 1) {
+          errors[`bond${i}maturity`] = t("errors.bondMaturity", { bond: i + 1 });
+        }
+      });
+    }
+
+    return errors;
+  }, [t, rateError]);
+
+  const handleInputChange = useCallback((field, value) => {
+    setInputs(prev => ({ ...prev, [field]: parseAmount(value) }));
+  }, []);
+
+  // Rates come from RateInput already parsed: a number in %, or null while unreadable
+  const handleRateChange = useCallback((field, rate) => {
+    setInputs(prev => ({ ...prev, [field]: rate }));
+  }, []);
+
+  const handleExtraSpotChange = useCallback((index, value) => {
+    setInputs(prev => ({
+      ...prev,
+      extraSpots: prev.extraSpots.map((rate, i) => (i === index ? value : rate)),
+    }));
+  }, []);
+
+  // Point `index` of the spot curve: s1, s2, then the extra maturities
+  const handleSpotPointChange = useCallback((index, rate) => {
+    setInputs(prev => {
+      if (index === 0) return { ...prev, s1: rate };
+      if (index === 1) return { ...prev, s2: rate };
+      return { ...prev, extraSpots: prev.extraSpots.map((spot, i) => (i === index - 2 ? rate : spot)) };
+    });
+  }, []);
+
+  // Switching to a dated convention starts from today and a two-year horizon
+  const handleDayCountChange = useCallback((dayCount) => {
+    setInputs(prev => {
+      if (dayCount === "years" || prev.startDate) return { ...prev, dayCount };
+      const today = new Date().toISOString().slice(0, 10);
+      return { ...prev, dayCount, startDate: today, endDate: addYears(today, 2) };
+    });
+  }, []);
+
+  // An imported curve replaces the spot inputs, so it applies in spot-rate mode
+  const handleCurveImport = useCallback((spotRates) => {
+    const [s1, s2, ...extraSpots] = spotRates;
+    setInputs(prev => ({ ...prev, inputMode: "spot", s1, s2, extraSpots }));
+  }, []);
+
+  const addMaturity = useCallback(() => {
+    setInputs(prev => {
+      if (prev.extraSpots.length + 2 >= MAX_MATURITY) return prev;
+      const last = prev.extraSpots.length > 0 ? prev.extraSpots[prev.extraSpots.length - 1] : prev.s2;
+      return { ...prev, extraSpots: [...prev.extraSpots, last] };
+    });
+  }, []);
+
+  const removeMaturity = useCallback(() => {
+    setInputs(prev => ({ ...prev, extraSpots: prev.extraSpots.slice(0, -1) }));
+  }, []);
+
+  const handleParYieldChange = useCallback((index, value) => {
+    setInputs(prev => ({
+      ...prev,
+      parYields: prev.parYields.map((rate, i) => (i === index ? value : rate)),
+    }));
+  }, []);
+
+  const addParYield = useCallback(() => {
+    setInputs(prev => {
+      if (prev.parYields.length >= MAX_MATURITY) return prev;
+      return { ...prev, parYields: [...prev.parYields, prev.parYields[prev.parYields.length - 1]] };
+    });
+  }, []);
+
+  const removeParYield = useCallback(() => {
+    setInputs(prev => ({ ...prev, parYields: prev.parYields.slice(0, -1) }));
+  }, []);
+
+  const handleBondChange = useCallback((index, field, value) => {
+    setInputs(prev => ({
+      ...prev,
+      bonds: prev.bonds.map((bond, i) => (i === index ? { ...bond, [field]: value } : bond)),
+    }));
+  }, []);
+
+  const addBond = useCallback(() => {
+    setInputs(prev => {
+      if (prev.bonds.length >= MAX_MATURITY) return prev;
+      const last = prev.bonds[prev.bonds.length - 1];
+      const maturity = Math.max(...prev.bonds.map(bond => bond.maturity)) + 1;
+      return { ...prev, bonds: [...prev.bonds, { coupon: last.coupon, price: 100, maturity }] };
+    });
+  }, []);
+
+  const removeBond = useCallback((index) => {
+    setInputs(prev => ({ ...prev, bonds: prev.bonds.filter((_, i) => i !== index) }));
+  }, []);
+
+  // In a bootstrap mode the spot curve is derived, then fed through the same calculator
+  const bootstrapResult = useMemo(() => {
+    if (inputs.inputMode === "spot") return null;
+    const bonds = inputs.inputMode === "par" ? parYieldsToBonds(inputs.parYields) : inputs.bonds;
+    return bootstrapSpotCurve(bonds, inputs.compounding);
+  }, [inputs]);
+  const bootstrap = bootstrapResult && bootstrapResult.ok ? bootstrapResult.value : null;
+
+  const curveInputs = useMemo(() => {
+    if (!bootstrap || bootstrap.spotRates.length < 2) return inputs;
+    const [s1, s2, ...extraSpots] = bootstrap.spotRates;
+    return { ...inputs, s1, s2, extraSpots };
+  }, [inputs, bootstrap]);
+
+  // Memoized so the model below is only recalculated when an input actually changes
+  const inputErrors = useMemo(() => {
+    if (!bootstrapResult) return validateInputs(inputs);
+    const errors = validateBootstrapInputs(inputs);
+    if (Object.keys(errors).length > 0) return errors;
+    if (!bootstrapResult.ok) return { bootstrap: t(bootstrapResult.message) };
+    if (bootstrapResult.value.spotRates.length < 2) return { bootstrap: t("errors.tooFewMaturities") };
+    return validateInputs(curveInputs);
+  }, [inputs, bootstrapResult, curveInputs, t, validateInputs, validateBootstrapInputs]);
+  const modelResult = useMemo(() => {
+    if (Object.keys(inputErrors).length > 0) return null;
+    return calculateForwardRates(curveInputs);
+  }, [curveInputs, inputErrors]);
+  const model = modelResult && modelResult.ok ? modelResult.value : null;
+  const displayErrors = modelResult && !modelResult.ok ? { ...inputErrors, calculation: t(modelResult.message) } : inputErrors;
+
+  const [printView, setPrintView] = useState(false);
+  const [appMode, setAppMode] = useState("explore");
+  const [walkthroughStep, setWalkthroughStep] = useState(null);
+  const walkthroughHighlight = walkthroughStep != null ? WALKTHROUGH_STEPS[walkthroughStep].highlight : [];
+
+  const rateWarnings = model ? describeRateRegime(curveInputs, model, i18n) : null;
+
+  // Theory picked for the chart's stacked expected-rate + premium bar
+  const decompositionResult = model ? decomposeForward({
+    forwardRate: model.forwardRate,
+    expectedRate: inputs.expectedRate,
+    termPremium: inputs.termPremium,
+  }) : null;
+  const chartDecomposition = decompositionResult && decompositionResult.ok
+    ? decompositionResult.value.theories.find(row => row.theory === inputs.premiumTheory)
+    : null;
+
+  const formatMoney = useMemo(() => createMoneyFormatter(inputs.currency, i18n.tag), [inputs.currency, i18n.tag]);
+
+  // Widget events for the host page: mounted (commands now apply), every input change,
+  // and each valid result
+  const forwardRate = model ? model.forwardRate : null;
+
+  useEffect(() => {
+    if (embed) embed.onEvent("ready", {});
+  }, [embed]);
+
+  useEffect(() => {
+    if (embed) embed.onEvent("inputchange", { inputs });
+  }, [embed, inputs]);
+
+  useEffect(() => {
+    if (embed && forwardRate != null) embed.onEvent("result", { forwardRate, inputs: curveInputs });
+  }, [embed, forwardRate, curveInputs]);
+
+  // Input history for undo/redo and the timeline, each step recorded with its result
+  const [history, setHistory] = useState(null);
+
+  useEffect(() => {
+    setHistory(prev => (prev ? recordInputs(prev, inputs, forwardRate) : createHistory(inputs, forwardRate)));
+  }, [inputs, forwardRate]);
+
+  const showStep = (next) => {
+    setHistory(next);
+    setInputs(next.steps[next.index].inputs);
+  };
+
+  // Ctrl/Cmd+Z and Ctrl+Y or Ctrl/Cmd+Shift+Z in the calculator. Fields that take typing
+  // (rate fields, amounts, scenario names, pasted curves) keep the browser's own undo of
+  // their text; the shortcuts step through the input history everywhere else.
+  const handleHistoryKeys = (e) => {
+    if (!history || appMode !== "explore" || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const { tagName, type } = e.target;
+    const textField = tagName === "TEXTAREA" || (tagName === "INPUT" && TYPED_INPUT_TYPES.has(type));
+    if (textField) return;
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      showStep(undo(history));
+    } else if (key === "y" || (key === "z" && e.shiftKey)) {
+      e.preventDefault();
+      showStep(redo(history));
+    }
+  };
+
+  // Host commands go straight to the state, so they may change locked fields
+  useImperativeHandle(ref, () => ({
+    setInputs: (next) => setInputs({ fromHost: true, inputs: sanitizeScenario(next) }),
+    getState: () => ({ inputs, forwardRate }),
+  }), [inputs, forwardRate]);
+
+  // Paper is white, so the print view always uses the light theme
+  if (printView && model) {
+    return (
+      <I18nContext value={i18n}>
+        <ThemeContext value={THEMES.light}>
+          <div className="min-h-screen bg-surface text-ink p-6 font-sans print:p-0" style={{ ...themeVariables(THEMES.light), colorScheme: "light" }}>
+            <main className="max-w-7xl mx-auto">
+              <PrintView
+                model={model}
+                inputs={curveInputs}
+                bootstrap={bootstrap}
+                formatMoney={formatMoney}
+                onClose={() => setPrintView(false)}
+              />
+            </main>
+          </div>
+        </ThemeContext>
+      </I18nContext>
+    );
+  }
+
+  return (
+    <I18nContext value={i18n}>
+      <ThemeContext value={theme}>
+        <div
+          className="min-h-screen bg-page text-ink p-6 font-sans"
+          lang={locale}
+          style={{ ...themeVariables(theme), colorScheme: theme.colorScheme }}
+          onKeyDown={handleHistoryKeys}
+        >
+          <main className="max-w-7xl mx-auto space-y-6">
+            {showPanel("toolbar") && (
+              <div className="flex flex-wrap items-center gap-2 print:hidden">
+                <div className="flex items-center gap-2" role="group" aria-label={t("app.modes")}>
+                  {["explore", "compare", "practice"].map(mode => (
+                    <button
+                      key={mode}
+                      type="button"
+                      onClick={() => setAppMode(mode)}
+                      aria-pressed={appMode === mode}
+                      className={`px-4 py-2 text-sm rounded-md border focus:outline-none focus:ring-2 focus:ring-focus ${
+                        appMode === mode ? "bg-accent border-accent text-on-accent" : "bg-surface border-line text-ink hover:bg-surface-muted"
+                      }`}
+                    >
+                      {t(`app.${mode}`)}
+                    </button>
+                  ))}
+                </div>
+                <label htmlFor="locale-select" className="ml-auto text-sm font-medium text-ink">{t("app.language")}</label>
+                <select
+                  id="locale-select"
+                  value={locale}
+                  onChange={(e) => setLocale(e.target.value)}
+                  className="rounded-md shadow-sm px-2 py-2 text-sm border-line focus:border-focus focus:ring-focus"
+                >
+                  {Object.entries(LOCALES).map(([key, { name }]) => (
+                    <option key={key} value={key} lang={key}>{name}</option>
+                  ))}
+                </select>
+                <label htmlFor="theme-select" className="text-sm font-medium text-ink">{t("app.theme")}</label>
+                <select
+                  id="theme-select"
+                  value={themeChoice}
+                  onChange={(e) => setThemeChoice(e.target.value)}
+                  className="rounded-md shadow-sm px-2 py-2 text-sm border-line focus:border-focus focus:ring-focus"
+                >
+                  {THEME_CHOICES.map(choice => (
+                    <option key={choice} value={choice}>{t(`themes.${choice}`)}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {appMode === "practice" && (
+              <Card title={t("cards.practice")}>
+                <PracticePanel compounding={inputs.compounding} />
+              </Card>
+            )}
+
+            {appMode === "compare" && (
+              <Card title={t("cards.comparison")}>
+                <ScenarioComparison currentInputs={curveInputs} />
+              </Card>
+            )}
+
+            {appMode === "explore" && (
+              <>
+          
+              {/* RESULTS AND CHART */}
+              {model && (
+                <>
+                  {/* MOBILE: Results first, then chart */}
+                  <div className="lg:hidden space-y-6">
+                    {showPanel("results") && (
+                      <Card title={t("cards.results")}>
+                        <ResultsSection model={model} inputs={curveInputs} highlight={walkthroughHighlight} formatMoney={formatMoney} />
+                      </Card>
+                    )}
+                    {bootstrap && showPanel("bootstrap") && (
+                      <Card title={t("cards.bootstrap")}>
+                        <BootstrapDerivation bootstrap={bootstrap} inputs={inputs} />
+                      </Card>
+                    )}
+                    {showPanel("matrix") && (
+                      <Card title={t("cards.matrix")}>
+                        <ForwardMatrix matrix={model.forwardMatrix} />
+                      </Card>
+                    )}
+                    {showPanel("equivalents") && (
+                      <Card title={t("cards.equivalents")}>
+                        <CompoundingEquivalents model={model} inputs={curveInputs} />
+                      </Card>
+                    )}
+                    {model.arbitrage && showPanel("arbitrage") && (
+                      <Card title={t("cards.arbitrage")}>
+                        <ArbitragePanel model={model} inputs={curveInputs} formatMoney={formatMoney} />
+                      </Card>
+                    )}
+                    {showPanel("chart") && (
+                      <Card title={t("cards.chart")}>
+                        <ForwardRateChart
+                          model={model}
+                          inputs={curveInputs}
+                          formatMoney={formatMoney}
+                          onPrintView={() => setPrintView(true)}
+                          walkthroughStep={walkthroughStep}
+                          onWalkthroughStepChange={setWalkthroughStep}
+                          decomposition={chartDecomposition}
+                        />
+                      </Card>
+                    )}
+                    {showPanel("theory") && (
+                      <Card title={t("cards.theory")}>
+                        <ForwardTheoryPanel
+                          model={model}
+                          inputs={inputs}
+                          errors={inputErrors}
+                          onOptionalChange={handleRateChange}
+                          onTheoryChange={(premiumTheory) => setInputs(prev => ({ ...prev, premiumTheory }))}
+                        />
+                      </Card>
+                    )}
+                    {showPanel("termStructure") && (
+                      <Card title={t("cards.termStructure")}>
+                        <YieldCurveChart model={model} inputs={curveInputs} onSpotChange={curveLocked ? null : handleSpotPointChange} />
+                      </Card>
+                    )}
+                    {showPanel("fra") && (
+                      <Card title={t("cards.fra")}>
+                        <FraPanel model={model} inputs={curveInputs} formatMoney={formatMoney} />
+                      </Card>
+                    )}
+                    {showPanel("horizon") && (
+                      <Card title={t("cards.horizon")}>
+                        <HorizonPanel model={model} inputs={curveInputs} formatMoney={formatMoney} />
+                      </Card>
+                    )}
+                    {showPanel("interpolation") && (
+                      <Card title={t("cards.interpolation")}>
+                        <CurveInterpolationPanel model={model} inputs={curveInputs} />
+                      </Card>
+                    )}
+                  </div>
+
+                  {/* DESKTOP: Two column layout - Results (1/5) + Chart (4/5) */}
+                  <div className="hidden lg:grid lg:grid-cols-5 gap-6">
+                    <div className="lg:col-span-1 space-y-6">
+                      {showPanel("results") && (
+                        <Card title={t("cards.results")}>
+                          <ResultsSection model={model} inputs={curveInputs} highlight={walkthroughHighlight} formatMoney={formatMoney} />
+                        </Card>
+                      )}
+                      {bootstrap && showPanel("bootstrap") && (
+                        <Card title={t("cards.bootstrap")}>
+                          <BootstrapDerivation bootstrap={bootstrap} inputs={inputs} />
+                        </Card>
+                      )}
+                      {showPanel("matrix") && (
+                        <Card title={t("cards.matrix")}>
+                          <ForwardMatrix matrix={model.forwardMatrix} />
+                        </Card>
+                      )}
+                      {showPanel("equivalents") && (
+                        <Card title={t("cards.equivalents")}>
+                          <CompoundingEquivalents model={model} inputs={curveInputs} />
+                        </Card>
+                      )}
+                      {model.arbitrage && showPanel("arbitrage") && (
+                        <Card title={t("cards.arbitrage")}>
+                          <ArbitragePanel model={model} inputs={curveInputs} formatMoney={formatMoney} />
+                        </Card>
+                      )}
+                    </div>
+
+                    <div className="lg:col-span-4 space-y-6">
+                      {showPanel("chart") && (
+                        <Card title={t("cards.chart")}>
+                          <ForwardRateChart
+                            model={model}
+                            inputs={curveInputs}
+                            formatMoney={formatMoney}
+                            onPrintView={() => setPrintView(true)}
+                            walkthroughStep={walkthroughStep}
+                            onWalkthroughStepChange={setWalkthroughStep}
+                            decomposition={chartDecomposition}
+                          />
+                        </Card>
+                      )}
+                      {showPanel("theory") && (
+                        <Card title={t("cards.theory")}>
+                          <ForwardTheoryPanel
+                            model={model}
+                            inputs={inputs}
+                            errors={inputErrors}
+                            onOptionalChange={handleRateChange}
+                            onTheoryChange={(premiumTheory) => setInputs(prev => ({ ...prev, premiumTheory }))}
+                          />
+                        </Card>
+                      )}
+                      {showPanel("termStructure") && (
+                        <Card title={t("cards.termStructure")}>
+                          <YieldCurveChart model={model} inputs={curveInputs} onSpotChange={curveLocked ? null : handleSpotPointChange} />
+                        </Card>
+                      )}
+                      {showPanel("fra") && (
+                        <Card title={t("cards.fra")}>
+                          <FraPanel model={model} inputs={curveInputs} formatMoney={formatMoney} />
+                        </Card>
+                      )}
+                      {showPanel("horizon") && (
+                        <Card title={t("cards.horizon")}>
+                          <HorizonPanel model={model} inputs={curveInputs} formatMoney={formatMoney} />
+                        </Card>
+                      )}
+                      {showPanel("interpolation") && (
+                        <Card title={t("cards.interpolation")}>
+                          <CurveInterpolationPanel model={model} inputs={curveInputs} />
+                        </Card>
+                      )}
+                    </div>
+                  </div>
+                </>
+              )}
+
+              {model && showPanel("sensitivity") && (
+                <Card title={t("cards.sensitivity")}>
+                  <SensitivityPanel model={model} inputs={curveInputs} />
+                </Card>
+              )}
+
+              {/* INPUTS - Always at bottom, full width */}
+              <Card title={t("cards.calculator")}>
+                <div className="flex flex-wrap items-end gap-x-6 gap-y-4">
+              
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="input-mode-select" className="font-medium text-ink whitespace-nowrap flex items-center text-sm">
+                      {t("inputs.mode")}
+                      <InfoIcon id="input-mode-select">{t("inputs.modeHelp")}</InfoIcon>
+                    </label>
+                    <select
+                      id="input-mode-select"
+                      value={inputs.inputMode}
+                      disabled={locked.includes("inputMode")}
+                      onChange={(e) => setInputs(prev => ({ ...prev, inputMode: e.target.value }))}
+                      className="block rounded-md shadow-sm px-2 py-2 text-sm border-line focus:border-focus focus:ring-focus"
+                    >
+                      <option value="spot">{t("inputs.spot")}</option>
+                      <option value="par">{t("inputs.par")}</option>
+                      <option value="bonds">{t("inputs.bonds")}</option>
+                    </select>
+                    {!curveLocked && <CurveImportDialog onImport={handleCurveImport} />}
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="compounding-select" className="font-medium text-ink whitespace-nowrap flex items-center text-sm">
+                      {t("inputs.compounding")}
+                      <InfoIcon id="compounding-select">{t("inputs.compoundingHelp")}</InfoIcon>
+                    </label>
+                    <select
+                      id="compounding-select"
+                      value={inputs.compounding}
+                      disabled={locked.includes("compounding")}
+                      onChange={(e) => setInputs(prev => ({ ...prev, compounding: e.target.value }))}
+                      className="block rounded-md shadow-sm px-2 py-2 text-sm border-line focus:border-focus focus:ring-focus"
+                    >
+                      {Object.keys(COMPOUNDING).map(key => (
+                        <option key={key} value={key}>{t(`compounding.${key}.label`)}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {inputs.inputMode === "spot" && (
+                    <>
+                      {/* First input - inline layout */}
+                      <div className="flex items-center gap-2">
+                        <label htmlFor="s1-input" className="font-medium text-ink whitespace-nowrap flex items-center text-sm">
+                          {t("inputs.spotRate", { year: 1 })}
+                          <span className="text-alert-ink ml-1" aria-label={t("common.required")}>*</span>
+                          <InfoIcon id="s1-input">
+                            {t("inputs.spotRateHelp", spotRateHelp(6.3))}
+                          </InfoIcon>
+                        </label>
+                        <RateInput
+                          id="s1-input"
+                          value={inputs.s1}
+                          error={inputErrors.s1}
+                          readOnly={locked.includes("s1")}
+                          onChange={(rate) => handleRateChange("s1", rate)}
+                        />
+                      </div>
+
+                      {/* Second input - inline layout */}
+                      <div className="flex items-center gap-2">
+                        <label htmlFor="s2-input" className="font-medium text-ink whitespace-nowrap flex items-center text-sm">
+                          {t("inputs.spotRate", { year: 2 })}
+                          <span className="text-alert-ink ml-1" aria-label={t("common.required")}>*</span>
+                          <InfoIcon id="s2-input">
+                            {t("inputs.spotRateHelp", spotRateHelp(8.0))}
+                          </InfoIcon>
+                        </label>
+                        <RateInput
+                          id="s2-input"
+                          value={inputs.s2}
+                          error={inputErrors.s2}
+                          readOnly={locked.includes("s2")}
+                          onChange={(rate) => handleRateChange("s2", rate)}
+                        />
+                      </div>
+
+                      {/* Longer maturities for the forward matrix */}
+                      {inputs.extraSpots.map((rate, i) => {
+                        const year = i + 3;
+                        return (
+                          <div key={year} className="flex items-center gap-2">
+                            <label htmlFor={`s${year}-input`} className="font-medium text-ink whitespace-nowrap flex items-center text-sm">
+                              {t("inputs.spotRate", { year })}
+                            </label>
+                            <RateInput
+                              id={`s${year}-input`}
+                              value={rate}
+                              error={inputErrors[`s${year}`]}
+                              readOnly={locked.includes("extraSpots")}
+                              onChange={(value) => handleExtraSpotChange(i, value)}
+                            />
+                          </div>
+                        );
+                      })}
+
+                      <div className="flex items-center gap-2">
+                        <button
+                          type="button"
+                          onClick={addMaturity}
+                          disabled={locked.includes("extraSpots") || inputs.extraSpots.length + 2 >= MAX_MATURITY}
+                          className="px-3 py-2 text-sm rounded-md border border-accent-line text-accent hover:bg-accent-soft disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-focus"
+                        >
+                          {t("common.addMaturity")}
+                        </button>
+                        {inputs.extraSpots.length > 0 && !locked.includes("extraSpots") && (
+                          <button
+                            type="button"
+                            onClick={removeMaturity}
+                            className="px-3 py-2 text-sm rounded-md border border-line text-ink hover:bg-surface-muted focus:outline-none focus:ring-2 focus:ring-focus"
+                          >
+                            {t("common.removeMaturity", { year: inputs.extraSpots.length + 2 })}
+                          </button>
+                        )}
+                      </div>
+                    </>
+                  )}
+
+                  {inputs.inputMode === "par" && (
+                    <ParYieldInputs
+                      parYields={inputs.parYields}
+                      errors={inputErrors}
+                      readOnly={locked.includes("parYields")}
+                      onChange={handleParYieldChange}
+                      onAdd={addParYield}
+                      onRemove={removeParYield}
+                    />
+                  )}
+
+                  {inputs.inputMode === "bonds" && (
+                    <BondInputs
+                      bonds={inputs.bonds}
+                      errors={inputErrors}
+                      readOnly={locked.includes("bonds")}
+                      onChange={handleBondChange}
+                      onAdd={addBond}
+                      onRemove={removeBond}
+                    />
+                  )}
+
+                  {/* Optional market quote for the arbitrage simulator */}
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="market-forward-input" className="font-medium text-ink whitespace-nowrap flex items-center text-sm">
+                      {t("inputs.marketForward")}
+                      <InfoIcon id="market-forward-input">{t("inputs.marketForwardHelp")}</InfoIcon>
+                    </label>
+                    <RateInput
+                      id="market-forward-input"
+                      value={inputs.marketForward}
+                      error={inputErrors.marketForward}
+                      optional
+                      readOnly={locked.includes("marketForward")}
+                      onChange={(rate) => handleRateChange("marketForward", rate)}
+                    />
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="notional-input" className="font-medium text-ink whitespace-nowrap flex items-center text-sm">
+                      {t("inputs.notional", { currency: inputs.currency })}
+                      <InfoIcon id="notional-input">{t("inputs.notionalHelp")}</InfoIcon>
+                    </label>
+                    <div className="w-28">
+                      <input
+                        id="notional-input"
+                        type="number"
+                        step="100"
+                        min="0"
+                        value={inputs.notional ?? ""}
+                        readOnly={locked.includes("notional")}
+                        onChange={(e) => handleInputChange('notional', e.target.value)}
+                        className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${
+                          inputErrors.notional
+                            ? 'border-alert-line focus:border-alert-strong focus:ring-alert-strong'
+                            : 'border-line focus:border-focus focus:ring-focus'
+                        }`}
+                        aria-invalid={inputErrors.notional ? 'true' : 'false'}
+                        aria-describedby={inputErrors.notional ? "notional-input-error" : undefined}
+                      />
+                      {inputErrors.notional && <p id="notional-input-error" className="mt-1 max-w-[14rem] text-xs text-alert-ink">{inputErrors.notional}</p>}
+                    </div>
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="investment-input" className="font-medium text-ink whitespace-nowrap flex items-center text-sm">
+                      {t("inputs.investment", { currency: inputs.currency })}
+                      <InfoIcon id="investment-input">{t("inputs.investmentHelp")}</InfoIcon>
+                    </label>
+                    <div className="w-28">
+                      <input
+                        id="investment-input"
+                        type="number"
+                        step="100"
+                        min="0"
+                        value={inputs.investment ?? ""}
+                        readOnly={locked.includes("investment")}
+                        onChange={(e) => handleInputChange('investment', e.target.value)}
+                        className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${
+                          inputErrors.investment
+                            ? 'border-alert-line focus:border-alert-strong focus:ring-alert-strong'
+                            : 'border-line focus:border-focus focus:ring-focus'
+                        }`}
+                        aria-invalid={inputErrors.investment ? 'true' : 'false'}
+                        aria-describedby={inputErrors.investment ? "investment-input-error" : undefined}
+                      />
+                      {inputErrors.investment && <p id="investment-input-error" className="mt-1 max-w-[14rem] text-xs text-alert-ink">{inputErrors.investment}</p>}
+                    </div>
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="currency-select" className="font-medium text-ink whitespace-nowrap flex items-center text-sm">
+                      {t("inputs.currency")}
+                    </label>
+                    <select
+                      id="currency-select"
+                      value={inputs.currency}
+                      disabled={locked.includes("currency")}
+                      onChange={(e) => setInputs(prev => ({ ...prev, currency: e.target.value }))}
+                      className="block rounded-md shadow-sm px-2 py-2 text-sm border-line focus:border-focus focus:ring-focus"
+                    >
+                      {CURRENCIES.map(code => (
+                        <option key={code} value={code}>{t("inputs.currencyOption", { code, name: i18n.currencyName(code) })}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="day-count-select" className="font-medium text-ink whitespace-nowrap flex items-center text-sm">
+                      {t("inputs.dayCount")}
+                      <InfoIcon id="day-count-select">{t("inputs.dayCountHelp")}</InfoIcon>
+                    </label>
+                    <select
+                      id="day-count-select"
+                      value={inputs.dayCount}
+                      disabled={locked.includes("dayCount")}
+                      onChange={(e) => handleDayCountChange(e.target.value)}
+                      className="block rounded-md shadow-sm px-2 py-2 text-sm border-line focus:border-focus focus:ring-focus"
+                    >
+                      {DAY_COUNTS.map(key => (
+                        <option key={key} value={key}>{t(`dayCounts.${key}`)}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {inputs.dayCount !== "years" && (
+                    <>
+                      <div className="flex items-center gap-2">
+                        <label htmlFor="start-date-input" className="font-medium text-ink whitespace-nowrap flex items-center text-sm">
+                          {t("inputs.startDate")}
+                        </label>
+                        <input
+                          id="start-date-input"
+                          type="date"
+                          value={inputs.startDate}
+                          readOnly={locked.includes("startDate")}
+                          onChange={(e) => setInputs(prev => ({ ...prev, startDate: e.target.value }))}
+                          className={`block rounded-md shadow-sm px-2 py-2 text-sm ${
+                            inputErrors.dates
+                              ? 'border-alert-line focus:border-alert-strong focus:ring-alert-strong'
+                              : 'border-line focus:border-focus focus:ring-focus'
+                          }`}
+                          aria-invalid={inputErrors.dates ? 'true' : 'false'}
+                        />
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <label htmlFor="end-date-input" className="font-medium text-ink whitespace-nowrap flex items-center text-sm">
+                          {t("inputs.endDate")}
+                          <InfoIcon id="end-date-input">{t("inputs.endDateHelp")}</InfoIcon>
+                        </label>
+                        <input
+                          id="end-date-input"
+                          type="date"
+                          value={inputs.endDate}
+                          readOnly={locked.includes("endDate")}
+                          onChange={(e) => setInputs(prev => ({ ...prev, endDate: e.target.value }))}
+                          className={`block rounded-md shadow-sm px-2 py-2 text-sm ${
+                            inputErrors.dates
+                              ? 'border-alert-line focus:border-alert-strong focus:ring-alert-strong'
+                              : 'border-line focus:border-focus focus:ring-focus'
+                          }`}
+                          aria-invalid={inputErrors.dates ? 'true' : 'false'}
+                        />
+                      </div>
+                    </>
+                  )}
+
+                </div>
+            
+                <ValidationMessage errors={displayErrors} />
+                <WarningMessage warnings={rateWarnings} />
+              </Card>
+
+              {showPanel("history") && history && (
+                <Card title={t("cards.history")}>
+                  <HistoryPanel
+                    history={history}
+                    onUndo={() => showStep(undo(history))}
+                    onRedo={() => showStep(redo(history))}
+                    onRestore={(index) => showStep(moveTo(history, index))}
+                  />
+                </Card>
+              )}
+
+              {showPanel("scenarios") && (
+                <Card title={t("cards.scenarios")}>
+                  <ScenarioLibrary inputs={inputs} onLoad={setInputs} />
+                </Card>
+              )}
+              </>
+            )}
+          </main>
+        </div>
+      </ThemeContext>
+    </I18nContext>
   );
 }
 
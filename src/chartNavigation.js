@@ -0,0 +1,79 @@
+// Keyboard exploration of the cash-flow chart: the points a screen-reader user steps
+// through with the arrow keys, and the pitch each one sounds at when tones are on
+
+/**
+ * @typedef {{ period: number, series: string, value: number }} ChartPoint
+ */
+
+// Series in the order ArrowUp/ArrowDown visits them within a year: cash flows, then rates.
+// Arbitrage legs are appended by the chart when a market forward is entered.
+export const CHART_SERIES = [
+  "strategy1Cash",
+  "strategy1Maturity",
+  "strategy1Reinvest",
+  "strategy2Cash",
+  "oneYearRate",
+  "forwardRate",
+  "twoYearLine",
+];
+
+// Tones span two octaves, A3 to A5
+export const TONE_RANGE = [220, 880];
+
+/**
+ * Every plotted value of `rows` (cash-flow chart rows), year by year in `series` order.
+ * @param {Record<string, number | string>[]} rows
+ * @param {string[]} [series=CHART_SERIES]
+ * @returns {ChartPoint[]}
+ */
+export function chartPoints(rows, series = CHART_SERIES) {
+  return rows.flatMap(row => series
+    .filter(key => typeof row[key] === "number")
+    .map(key => ({ period: row.period, series: key, value: row[key] })));
+}
+
+/**
+ * The point a key leads to from `current`. ArrowLeft/ArrowRight and Home/End change the year,
+ * staying on the same series when it has a value there and taking the year's first point
+ * otherwise; ArrowUp/ArrowDown move through the series of the year. Without a current point
+ * any of these keys starts at the first point.
+ * @param {ChartPoint[]} points - as returned by chartPoints
+ * @param {ChartPoint | null} current
+ * @param {string} key - KeyboardEvent.key
+ * @returns {ChartPoint | null} null for keys that do not navigate, or when there are no points
+ */
+export function movePoint(points, current, key) {
+  if (!["ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown", "Home", "End"].includes(key) || points.length === 0) return null;
+  if (!current) return points[0];
+
+  const periods = [...new Set(points.map(point => point.period))];
+  const inPeriod = (period) => points.filter(point => point.period === period);
+  const toPeriod = (period) => {
+    const candidates = inPeriod(period);
+    return candidates.find(point => point.series === current.series) || candidates[0];
+  };
+
+  const periodIndex = periods.indexOf(current.period);
+  if (key === "Home") return toPeriod(periods[0]);
+  if (key === "End") return toPeriod(periods[periods.length - 1]);
+  if (key === "ArrowLeft") return toPeriod(periods[Math.max(0, periodIndex - 1)]);
+  if (key === "ArrowRight") return toPeriod(periods[Math.min(periods.length - 1, periodIndex + 1)]);
+
+  const year = inPeriod(current.period);
+  const seriesIndex = year.findIndex(point => point.series === current.series);
+  const next = key === "ArrowUp" ? seriesIndex - 1 : seriesIndex + 1;
+  return year[Math.min(year.length - 1, Math.max(0, next))];
+}
+
+/**
+ * Pitch for `value` on an axis running from `domain[0]` to `domain[1]`. The scale is
+ * exponential, so equal steps in value sound as equal musical intervals.
+ * @param {number} value
+ * @param {[number, number]} domain
+ * @param {[number, number]} [range=TONE_RANGE] - lowest and highest frequency in Hz
+ * @returns {number} Hz
+ */
+export function toneFrequency(value, [min, max], [low, high] = TONE_RANGE) {
+  const position = max > min ? Math.min(1, Math.max(0, (value - min) / (max - min))) : 0.5;
+  return low * Math.pow(high / low, position);
+}
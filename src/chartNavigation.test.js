@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import { TONE_RANGE, chartPoints, movePoint, toneFrequency } from "./chartNavigation.js";
+import { calculateForwardRates } from "./forwardRates.js";
+
+const rows = calculateForwardRates({ s1: 6.3, s2: 8 }).value.cashFlowData;
+const points = chartPoints(rows);
+const at = (period, series) => points.find(point => point.period === period && point.series === series);
+
+describe("chartPoints", () => {
+  it("lists each year's values in series order, keeping zeros", () => {
+    expect(points.filter(point => point.period === 1).map(point => point.series))
+      .toEqual(["strategy1Maturity", "strategy1Reinvest", "strategy2Cash", "oneYearRate", "twoYearLine"]);
+    expect(at(1, "strategy2Cash").value).toBe(0);
+    expect(points).toHaveLength(12);
+  });
+});
+
+describe("movePoint", () => {
+  it("starts at the first point and ignores other keys", () => {
+    expect(movePoint(points, null, "ArrowRight")).toBe(points[0]);
+    expect(movePoint(points, points[0], "Enter")).toBeNull();
+    expect(movePoint([], null, "ArrowRight")).toBeNull();
+  });
+
+  it("keeps the series across years when it has a value there", () => {
+    expect(movePoint(points, at(0, "twoYearLine"), "ArrowRight")).toBe(at(1, "twoYearLine"));
+    expect(movePoint(points, at(1, "strategy1Maturity"), "ArrowRight")).toBe(at(2, "strategy1Cash"));
+    expect(movePoint(points, at(1, "twoYearLine"), "End")).toBe(at(2, "twoYearLine"));
+    expect(movePoint(points, at(0, "strategy1Cash"), "ArrowLeft")).toBe(at(0, "strategy1Cash"));
+  });
+
+  it("moves through the series of a year and stops at either end", () => {
+    expect(movePoint(points, at(1, "strategy1Reinvest"), "ArrowDown")).toBe(at(1, "strategy2Cash"));
+    expect(movePoint(points, at(1, "strategy1Reinvest"), "ArrowUp")).toBe(at(1, "strategy1Maturity"));
+    expect(movePoint(points, at(1, "twoYearLine"), "ArrowDown")).toBe(at(1, "twoYearLine"));
+  });
+});
+
+describe("toneFrequency", () => {
+  it("maps the axis onto the tone range exponentially and clamps outside it", () => {
+    expect(toneFrequency(0, [0, 10])).toBe(TONE_RANGE[0]);
+    expect(toneFrequency(5, [0, 10])).toBeCloseTo(440, 9);
+    expect(toneFrequency(25, [0, 10])).toBe(TONE_RANGE[1]);
+  });
+});
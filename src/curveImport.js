@@ -0,0 +1,207 @@
+// Spot-curve import from a pasted table or CSV file: delimiter, header, rate scale and
+// maturity units are detected, and each row is checked before the curve is used
+
+import { checkRateBounds } from "./forwardRates.js";
+import { DEFAULT_LOCALE, translate } from "./i18n.js";
+
+/**
+ * @typedef {{ line: number, maturity: number, rate: number }} CurvePoint
+ *   `line` is the 1-based line in the source text; maturity in years, rate in %
+ * @typedef {"percent" | "decimal"} RateScale
+ * @typedef {{ header: boolean, delimiter: string, rateScale: RateScale, rateScaleClear: boolean, maturityUnit: "years" | "months" }} CurveDetection
+ *   `rateScaleClear` is false when nothing in the table told percent from decimals
+ * @typedef {{
+ *   points: CurvePoint[],
+ *   spotRates: number[] | null,
+ *   detected: CurveDetection | null,
+ *   errors: Record<string, string>,
+ *   warnings: Record<string, string>,
+ * }} CurveImport
+ */
+
+const MATURITY_HEADER = /matur|tenor|term|year|month|period|time/i;
+const RATE_HEADER = /rate|yield|spot|zero|%/i;
+const DECIMAL_HEADER = /decimal|fraction/i;
+const MATURITY_CELL = /^(\d+(?:\.\d+)?)\s*(y|yr|yrs|year|years|m|mo|mos|mth|month|months)?$/i;
+
+// A ";" on every sample line wins over ",", which may then be a decimal comma ("1;6,3")
+function detectDelimiter(lines) {
+  const sample = lines.slice(0, 5);
+  const has = (delimiter) => sample.some(line => line.includes(delimiter));
+  if (has("\t")) return "\t";
+  if (sample.every(line => line.includes(";"))) return ";";
+  if (has(",")) return ",";
+  if (has(";")) return ";";
+  return " ";
+}
+
+function splitLine(line, delimiter) {
+  const cells = delimiter === " " ? line.trim().split(/\s+/) : line.split(delimiter);
+  return cells.map(cell => cell.trim().replace(/^"(.*)"$/, "$1").trim());
+}
+
+// With ";" between cells a "," can only be the decimal separator
+const parseNumber = (text, delimiter) => {
+  const unmarked = text.replace(/%$/, "").trim();
+  const cleaned = delimiter === ";" ? unmarked.replace(/^([-+]?\d*),(\d+)$/, "$1.$2") : unmarked;
+  return cleaned !== "" && Number.isFinite(Number(cleaned)) ? Number(cleaned) : NaN;
+};
+
+/**
+ * Parse a maturity cell. Unit suffixes (1Y, 6M, 18 months) win over the column default.
+ * @returns {{ value: number, unit: "years" | "months" | null } | null}
+ */
+function parseMaturity(text) {
+  const match = MATURITY_CELL.exec(text.trim());
+  if (!match) return null;
+  const unit = match[2] ? (/^y/i.test(match[2]) ? "years" : "months") : null;
+  return { value: Number(match[1]), unit };
+}
+
+/**
+ * Unitless maturities are read as months when the header says so, or when every value from
+ * 12 up is a whole number of years in months (12, 24, 60, …), as in "3, 6, 12, 24".
+ */
+function detectMaturityUnit(headerText, values) {
+  if (/month|\(m\)/i.test(headerText)) return "months";
+  if (/year|\(y\)/i.test(headerText)) return "years";
+  const large = values.filter(value => value >= 12);
+  const monthly = large.length > 0 && values.every(Number.isInteger) && large.every(value => value % 12 === 0);
+  return monthly ? "months" : "years";
+}
+
+/**
+ * Rates are decimals only when the header says so ("Rate (decimal)"). A "%" or any rate of
+ * 1 or more means percent; a column of small unmarked rates is ambiguous, since 0.1 is a
+ * plausible JPY or EUR rate in percent, so it is read as percent and flagged.
+ * @returns {{ rateScale: RateScale, clear: boolean }}
+ */
+function detectRateScale(headerText, rows) {
+  if (DECIMAL_HEADER.test(headerText)) return { rateScale: "decimal", clear: true };
+  const clear = headerText.includes("%") || rows.some(row => row.hasPercentSign || Math.abs(row.rate) >= 1);
+  return { rateScale: "percent", clear };
+}
+
+/**
+ * Read a spot curve from pasted text or CSV. Whole-year points from 1 to `maxMaturity`
+ * build the curve; missing years in between are filled by linear interpolation and
+ * sub-year or longer points are skipped, both reported as warnings.
+ * @param {string} text
+ * @param {{ maxMaturity?: number, rateScale?: RateScale | "auto", locale?: import("./i18n.js").Locale }} [options]
+ *   `rateScale` overrides the detected scale; `locale` for the messages
+ * @returns {CurveImport}
+ */
+export function parseCurveTable(text, { maxMaturity = 10, rateScale: chosenScale = "auto", locale = DEFAULT_LOCALE } = {}) {
+  const t = (key, params) => translate(locale, `curveImport.${key}`, params);
+  const empty = (error) => ({ points: [], spotRates: null, detected: null, errors: { table: error }, warnings: {} });
+
+  const lines = String(text)
+    .split(/\r?\n/)
+    .map((content, i) => ({ content, line: i + 1 }))
+    .filter(({ content }) => content.trim() !== "" && !content.trim().startsWith("#"));
+  if (lines.length === 0) return empty(t("empty"));
+
+  const delimiter = detectDelimiter(lines.map(({ content }) => content));
+  const rows = lines.map(({ content, line }) => ({ line, cells: splitLine(content, delimiter) }));
+
+  // A first row whose last cell is not a number is a header
+  const first = rows[0].cells;
+  const header = Number.isNaN(parseNumber(first[first.length - 1], delimiter));
+  let maturityColumn = 0;
+  let rateColumn = 1;
+  if (header) {
+    const found = (pattern, skip) => first.findIndex((cell, i) => i !== skip && pattern.test(cell));
+    const maturityIndex = found(MATURITY_HEADER, -1);
+    if (maturityIndex >= 0) maturityColumn = maturityIndex;
+    const rateIndex = found(RATE_HEADER, maturityColumn);
+    rateColumn = rateIndex >= 0 ? rateIndex : (maturityColumn === 0 ? 1 : 0);
+  }
+  const body = header ? rows.slice(1) : rows;
+  if (body.length === 0) return empty(t("headerOnly"));
+
+  const errors = {};
+  const parsed = [];
+  body.forEach(({ line, cells }) => {
+    const maturity = parseMaturity(cells[maturityColumn] ?? "");
+    const rateText = cells[rateColumn] ?? "";
+    const rate = parseNumber(rateText, delimiter);
+    if (!maturity) {
+      errors[`line${line}`] = t("badMaturity", { line, text: cells[maturityColumn] ?? "" });
+    } else if (Number.isNaN(rate)) {
+      errors[`line${line}`] = t("badRate", { line, text: rateText });
+    } else {
+      parsed.push({ line, maturity, rate, hasPercentSign: rateText.trim().endsWith("%") });
+    }
+  });
+
+  const headerText = header ? first[maturityColumn] : "";
+  const maturityUnit = detectMaturityUnit(headerText, parsed.filter(row => !row.maturity.unit).map(row => row.maturity.value));
+  const scale = detectRateScale(header ? first[rateColumn] : "", parsed);
+  const rateScale = chosenScale === "auto" ? scale.rateScale : chosenScale;
+
+  const points = parsed.map(({ line, maturity, rate }) => {
+    const unit = maturity.unit || maturityUnit;
+    return {
+      line,
+      maturity: unit === "months" ? maturity.value / 12 : maturity.value,
+      rate: rateScale === "decimal" ? Number((rate * 100).toFixed(10)) : rate,
+    };
+  });
+
+  const seen = new Map();
+  points.forEach(point => {
+    const boundsError = checkRateBounds(point.rate, { key: "labels.importedRate", params: { line: point.line } });
+    if (boundsError) {
+      errors[`line${point.line}`] = translate(locale, boundsError.key, boundsError.params);
+    } else if (!(point.maturity > 0)) {
+      errors[`line${point.line}`] = t("nonPositiveMaturity", { line: point.line });
+    } else if (seen.has(point.maturity)) {
+      errors[`line${point.line}`] = t("repeatedMaturity", { line: point.line, maturity: point.maturity, previous: seen.get(point.maturity) });
+    } else {
+      seen.set(point.maturity, point.line);
+    }
+  });
+
+  const detected = { header, delimiter, rateScale, rateScaleClear: chosenScale !== "auto" || scale.clear, maturityUnit };
+  if (Object.keys(errors).length > 0) return { points, spotRates: null, detected, errors, warnings: {} };
+
+  const warnings = {};
+  if (!detected.rateScaleClear) warnings.rateScale = t("ambiguousScale");
+  const skipped = points.filter(point => !Number.isInteger(point.maturity) || point.maturity > maxMaturity);
+  if (skipped.length > 0) {
+    warnings.skipped = t("skipped", {
+      count: skipped.length,
+      max: maxMaturity,
+      points: skipped.map(point => t("skippedPoint", { maturity: Number(point.maturity.toFixed(4)) })).join(", "),
+    });
+  }
+
+  const byYear = new Map(points.filter(point => !skipped.includes(point)).map(point => [point.maturity, point.rate]));
+  const years = [...byYear.keys()].sort((a, b) => a - b);
+  if (years.length < 2 || years[0] !== 1) {
+    return {
+      points,
+      spotRates: null,
+      detected,
+      errors: { curve: t("needsOneYear") },
+      warnings,
+    };
+  }
+
+  const last = years[years.length - 1];
+  const filled = [];
+  const spotRates = Array.from({ length: last }, (_, i) => {
+    const year = i + 1;
+    if (byYear.has(year)) return byYear.get(year);
+    const below = years.filter(y => y < year).pop();
+    const above = years.find(y => y > year);
+    filled.push(year);
+    const rate = byYear.get(below) + ((byYear.get(above) - byYear.get(below)) * (year - below)) / (above - below);
+    return Number(rate.toFixed(4));
+  });
+  if (filled.length > 0) {
+    warnings.interpolated = t("interpolated", { years: filled.join(", ") });
+  }
+
+  return { points, spotRates, detected, errors: {}, warnings };
+}
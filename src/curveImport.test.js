@@ -0,0 +1,67 @@
+import { describe, it, expect } from "vitest";
+import { parseCurveTable } from "./curveImport.js";
+
+describe("parseCurveTable", () => {
+  it("reads a headed CSV in percent and years", () => {
+    const result = parseCurveTable("Maturity,Rate\n1,6.3\n2,8.0\n3,8.5\n");
+    expect(result.errors).toEqual({});
+    expect(result.detected).toMatchObject({ header: true, delimiter: ",", rateScale: "percent", maturityUnit: "years" });
+    expect(result.spotRates).toEqual([6.3, 8, 8.5]);
+  });
+
+  it("detects month maturities and reads decimals when the header says so", () => {
+    const result = parseCurveTable("Months\tRate (decimal)\n12\t0.063\n24\t0.08\n36\t0.085");
+    expect(result.detected).toMatchObject({ header: true, delimiter: "\t", rateScale: "decimal", rateScaleClear: true, maturityUnit: "months" });
+    expect(result.spotRates).toEqual([6.3, 8, 8.5]);
+    expect(result.warnings.rateScale).toBeUndefined();
+  });
+
+  it("reads small unmarked rates as percent and flags the scale until one is chosen", () => {
+    const result = parseCurveTable("1,0.1\n2,0.15");
+    expect(result.detected).toMatchObject({ rateScale: "percent", rateScaleClear: false });
+    expect(result.spotRates).toEqual([0.1, 0.15]);
+    expect(result.warnings.rateScale).toContain("decimals");
+
+    const decimals = parseCurveTable("1,0.1\n2,0.15", { rateScale: "decimal" });
+    expect(decimals.detected).toMatchObject({ rateScale: "decimal", rateScaleClear: true });
+    expect(decimals.spotRates).toEqual([10, 15]);
+    expect(decimals.warnings.rateScale).toBeUndefined();
+
+    expect(parseCurveTable("1,0.1\n2,1.15").warnings.rateScale).toBeUndefined();
+  });
+
+  it("honours unit suffixes and percent signs on each cell", () => {
+    const result = parseCurveTable("Tenor;Yield\n6M;5.1%\n1Y;5.2%\n2Y;5.4%");
+    expect(result.spotRates).toEqual([5.2, 5.4]);
+    expect(result.warnings.skipped).toContain("0.5y");
+  });
+
+  it("reads semicolon tables with decimal commas", () => {
+    const result = parseCurveTable("Plazo;Tipo\n1;6,3\n2;8,0");
+    expect(result.detected.delimiter).toBe(";");
+    expect(result.spotRates).toEqual([6.3, 8]);
+    expect(parseCurveTable("1;6,3%\n2;-0,5%").spotRates).toEqual([6.3, -0.5]);
+  });
+
+  it("fills gaps between whole years and skips maturities past the maximum", () => {
+    const result = parseCurveTable("1 4\n2 4.2\n5 4.8\n30 5", { maxMaturity: 10 });
+    expect(result.spotRates).toEqual([4, 4.2, 4.4, 4.6, 4.8]);
+    expect(result.warnings.interpolated).toContain("3, 4");
+    expect(result.warnings.skipped).toContain("30y");
+  });
+
+  it("reports each bad row by its line number", () => {
+    const result = parseCurveTable("Maturity,Rate\n1,6.3\ntwo,8\n3,abc\n4,95");
+    expect(result.spotRates).toBeNull();
+    expect(Object.values(result.errors)).toEqual([
+      'Line 3: maturity "two" is not a number of years or months',
+      'Line 4: rate "abc" is not a number',
+      "Line 5: rate cannot exceed 50%",
+    ]);
+  });
+
+  it("needs a 1-year point and one longer maturity", () => {
+    expect(parseCurveTable("2,5\n3,5.5").errors.curve).toBeDefined();
+    expect(parseCurveTable("").errors.table).toBeDefined();
+  });
+});
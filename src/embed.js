@@ -0,0 +1,133 @@
+// Embedded widget configuration (data attributes or init options) and the postMessage
+// protocol between the widget and the page hosting it
+
+import { DEFAULT_INPUTS, decodeScenario, sanitizeScenario } from "./scenarios.js";
+import { LOCALES } from "./i18n.js";
+import { THEME_CHOICES } from "./themes.js";
+
+// `source` on every message the widget sends, `target` on every command it accepts
+export const MESSAGE_NAMESPACE = "implied-forward-rate";
+
+// Cards the host can hide; "toolbar" is the mode, language and theme bar
+export const EMBED_PANELS = [
+  "toolbar",
+  "results",
+  "bootstrap",
+  "matrix",
+  "equivalents",
+  "arbitrage",
+  "chart",
+  "theory",
+  "termStructure",
+  "fra",
+  "horizon",
+  "interpolation",
+  "sensitivity",
+  "history",
+  "scenarios",
+];
+
+// Inputs the host can lock so students see but cannot change them
+export const LOCKABLE_FIELDS = [
+  "s1",
+  "s2",
+  "extraSpots",
+  "parYields",
+  "bonds",
+  "compounding",
+  "inputMode",
+  "marketForward",
+  "notional",
+  "investment",
+  "currency",
+  "dayCount",
+  "startDate",
+  "endDate",
+];
+
+// Curve inputs: locking any of them also locks inputMode, or switching to par yields or
+// bonds would replace the locked rates with a curve the student builds. The widget also
+// turns off curve import and point dragging, which set the whole curve at once.
+export const CURVE_FIELDS = ["s1", "s2", "extraSpots", "parYields", "bonds"];
+
+/**
+ * @typedef {Object} EmbedConfig
+ * @property {string} id Names the widget in messages, so a page can host several
+ * @property {Object} inputs Initial inputs, already sanitized; omitted keys use the defaults
+ * @property {string[]} locked Fields from LOCKABLE_FIELDS
+ * @property {string[]} hidden Panels from EMBED_PANELS
+ * @property {string|null} theme A THEME_CHOICES entry, or null for the saved/system choice
+ * @property {string|null} locale A LOCALES key, or null for the saved/browser language
+ * @property {string} origin Host origin: events are posted to it and commands only accepted from it
+ */
+
+const list = (value, allowed) => {
+  const items = Array.isArray(value) ? value : String(value ?? "").split(",");
+  return items.map(item => String(item).trim()).filter(item => allowed.includes(item));
+};
+
+// Unknown panels, fields, themes and locales are dropped rather than rejected, so a page
+// written for a newer widget still loads. Without an `origin`, `defaultOrigin` applies.
+/** @returns {EmbedConfig} */
+export function normalizeEmbedConfig(options = {}, defaultOrigin = "*") {
+  const locked = list(options.locked, LOCKABLE_FIELDS);
+  if (locked.some(field => CURVE_FIELDS.includes(field)) && !locked.includes("inputMode")) locked.push("inputMode");
+  return {
+    id: typeof options.id === "string" && options.id ? options.id : "default",
+    inputs: sanitizeScenario(options.inputs),
+    locked,
+    hidden: list(options.hidden, EMBED_PANELS),
+    theme: THEME_CHOICES.includes(options.theme) ? options.theme : null,
+    locale: LOCALES[options.locale] ? options.locale : null,
+    origin: typeof options.origin === "string" && options.origin ? options.origin : defaultOrigin,
+  };
+}
+
+// Init options from an element's dataset: data-s1="6.3" data-compounding="semiannual"
+// data-locked="s1,s2" data-hidden="fra,sensitivity" data-theme="dark" data-locale="es".
+// Input attributes take the same values as a shared link's query parameters.
+export function embedOptionsFromDataset(dataset) {
+  const params = new URLSearchParams();
+  Object.keys(DEFAULT_INPUTS).forEach(key => {
+    if (dataset[key] !== undefined) params.set(key, dataset[key]);
+  });
+
+  return {
+    id: dataset.widgetId,
+    inputs: decodeScenario(params),
+    locked: dataset.locked,
+    hidden: dataset.hidden,
+    theme: dataset.theme,
+    locale: dataset.locale,
+    origin: dataset.origin,
+  };
+}
+
+// Apply a student's edit, except to locked fields, which keep their previous value
+export function keepLocked(prev, next, locked) {
+  if (locked.length === 0) return next;
+  const kept = { ...next };
+  locked.forEach(field => {
+    kept[field] = prev[field];
+  });
+  return kept;
+}
+
+export function widgetMessage(config, type, payload = {}) {
+  return { source: MESSAGE_NAMESPACE, widget: config.id, type, payload };
+}
+
+// A host command for this widget, or null for anything else arriving on the window:
+// messages from other origins, other widgets, or other libraries
+export function parseHostCommand(event, config) {
+  const { data, origin } = event;
+  if (config.origin !== "*" && origin !== config.origin) return null;
+  if (!data || typeof data !== "object" || data.target !== MESSAGE_NAMESPACE) return null;
+  if (data.widget !== undefined && data.widget !== config.id) return null;
+
+  if (data.type === "setInputs") {
+    return { type: "setInputs", inputs: sanitizeScenario(data.payload && data.payload.inputs) };
+  }
+  if (data.type === "getState") return { type: "getState" };
+  return null;
+}
@@ -0,0 +1,73 @@
+// Widget entry for embedding the calculator in another page (LMS course pages).
+// Built on its own with `npm run build:embed`; `embed.html` is a host page to try it against.
+//
+//   <div data-implied-forward-rate data-s1="5" data-locked="s1" data-hidden="fra"
+//        data-origin="https://lms.example.edu"></div>
+//   <script src="implied-forward-rate.js"></script>
+//
+// Messages go to, and are only accepted from, `origin`. It defaults to the widget page's own
+// origin, which is right when the widget sits directly on the host page; inside an iframe
+// from another origin (the usual LMS set-up) the host must be named, or it hears nothing.
+//
+// or, from script: ImpliedForwardRate.init(element, { inputs: { s1: 5 }, locked: ["s1"] }).
+// The widget posts { source: "implied-forward-rate", widget, type, payload } messages
+// ("ready", "inputchange", "result", "state") to the host window and accepts
+// { target: "implied-forward-rate", widget?, type: "setInputs" | "getState", payload? } commands.
+
+import { StrictMode, createRef } from 'react'
+import { createRoot } from 'react-dom/client'
+import './embed.css'
+import App from './App.jsx'
+import { embedOptionsFromDataset, normalizeEmbedConfig, parseHostCommand, widgetMessage } from './embed.js'
+
+// In an iframe the host is the parent page; otherwise the page the widget sits on
+const hostWindow = () => (window.parent && window.parent !== window ? window.parent : window)
+
+export function init(element, options = {}) {
+  const config = normalizeEmbedConfig(options, window.location.origin)
+  if (hostWindow() !== window && !options.origin) {
+    console.warn(
+      `implied-forward-rate: framed without an origin, so events only reach ${config.origin}. ` +
+      'Set data-origin (or the origin option) to the host page\'s origin.',
+    )
+  }
+  const post = (type, payload) => hostWindow().postMessage(widgetMessage(config, type, payload), config.origin)
+  const app = createRef()
+
+  const onMessage = (event) => {
+    const command = parseHostCommand(event, config)
+    if (!command || !app.current) return
+    if (command.type === 'setInputs') app.current.setInputs(command.inputs)
+    else post('state', app.current.getState())
+  }
+  window.addEventListener('message', onMessage)
+
+  // Every widget style is scoped under this class
+  element.classList.add('implied-forward-rate')
+  const root = createRoot(element)
+  root.render(
+    <StrictMode>
+      <App ref={app} embed={{ ...config, onEvent: post }} />
+    </StrictMode>,
+  )
+
+  return {
+    setInputs: (inputs) => app.current && app.current.setInputs(inputs),
+    getState: () => (app.current ? app.current.getState() : null),
+    destroy: () => {
+      window.removeEventListener('message', onMessage)
+      root.unmount()
+    },
+  }
+}
+
+function initAll() {
+  document.querySelectorAll('[data-implied-forward-rate]').forEach(element => {
+    init(element, embedOptionsFromDataset(element.dataset))
+  })
+}
+
+window.ImpliedForwardRate = { init }
+
+if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', initAll)
+else initAll()
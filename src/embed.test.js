@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import {
+  MESSAGE_NAMESPACE,
+  normalizeEmbedConfig,
+  embedOptionsFromDataset,
+  keepLocked,
+  widgetMessage,
+  parseHostCommand,
+} from "./embed.js";
+
+describe("normalizeEmbedConfig", () => {
+  it("keeps known fields, panels, themes and locales and drops the rest", () => {
+    const config = normalizeEmbedConfig({
+      id: "lesson",
+      inputs: { s1: 5, s2: "seven", compounding: "monthly" },
+      locked: "s1, bogus",
+      hidden: ["fra", "nope"],
+      theme: "neon",
+      locale: "es",
+    }, "https://lms.example");
+    expect(config).toEqual({
+      id: "lesson",
+      inputs: { s1: 5, compounding: "monthly" },
+      locked: ["s1", "inputMode"],
+      hidden: ["fra"],
+      theme: null,
+      locale: "es",
+      origin: "https://lms.example",
+    });
+  });
+
+  it("has usable defaults for an empty config", () => {
+    expect(normalizeEmbedConfig()).toEqual({
+      id: "default", inputs: {}, locked: [], hidden: [], theme: null, locale: null, origin: "*",
+    });
+  });
+});
+
+describe("embedOptionsFromDataset", () => {
+  it("reads inputs like a shared link and passes the lists through", () => {
+    const options = embedOptionsFromDataset({
+      impliedForwardRate: "",
+      widgetId: "w1",
+      s1: "5.5",
+      extraSpots: "[7,7.5]",
+      locked: "s1",
+      theme: "contrast",
+    });
+    expect(options.id).toBe("w1");
+    expect(options.inputs).toEqual({ s1: 5.5, extraSpots: [7, 7.5] });
+    expect(normalizeEmbedConfig(options).locked).toEqual(["s1", "inputMode"]);
+    expect(normalizeEmbedConfig(options).theme).toBe("contrast");
+  });
+});
+
+describe("keepLocked", () => {
+  it("reverts locked fields and applies the rest of the edit", () => {
+    const prev = { s1: 6.3, s2: 8, compounding: "annual" };
+    expect(keepLocked(prev, { s1: 1, s2: 2, compounding: "annual" }, ["s1"])).toEqual({ s1: 6.3, s2: 2, compounding: "annual" });
+  });
+
+  it("keeps a locked spot curve from being swapped for par yields or bonds", () => {
+    const { locked } = normalizeEmbedConfig({ locked: "s1,s2,extraSpots" });
+    const prev = { s1: 6.3, s2: 8, extraSpots: [9], inputMode: "spot", startDate: "" };
+    const next = { ...prev, extraSpots: [], inputMode: "par", startDate: "2026-01-05" };
+    expect(keepLocked(prev, next, locked)).toEqual({ ...prev, startDate: "2026-01-05" });
+    expect(normalizeEmbedConfig({ locked: "startDate,endDate" }).locked).toEqual(["startDate", "endDate"]);
+  });
+});
+
+describe("parseHostCommand", () => {
+  const config = normalizeEmbedConfig({ id: "lesson" }, "https://lms.example");
+  const event = (data, origin = "https://lms.example") => ({ data, origin });
+
+  it("accepts setInputs and getState for this widget", () => {
+    expect(parseHostCommand(event({ target: MESSAGE_NAMESPACE, type: "setInputs", payload: { inputs: { s1: 4, junk: 1 } } }), config))
+      .toEqual({ type: "setInputs", inputs: { s1: 4 } });
+    expect(parseHostCommand(event({ target: MESSAGE_NAMESPACE, widget: "lesson", type: "getState" }), config))
+      .toEqual({ type: "getState" });
+  });
+
+  it("ignores other origins, widgets, libraries and the widget's own events", () => {
+    expect(parseHostCommand(event({ target: MESSAGE_NAMESPACE, type: "getState" }, "https://evil.example"), config)).toBeNull();
+    expect(parseHostCommand(event({ target: MESSAGE_NAMESPACE, widget: "other", type: "getState" }), config)).toBeNull();
+    expect(parseHostCommand(event({ type: "getState" }), config)).toBeNull();
+    expect(parseHostCommand(event(widgetMessage(config, "result", { forwardRate: 9.73 })), config)).toBeNull();
+    expect(parseHostCommand(event("getState"), config)).toBeNull();
+  });
+});
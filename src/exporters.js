@@ -0,0 +1,116 @@
+// Client-side export helpers: file downloads, chart SVG/PNG and cash-flow CSV
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Standalone SVG markup for a Recharts surface. Page CSS does not travel with the file,
+// so the size, theme background, font and stylesheet-set text and axis colors are written onto the copy.
+export function serializeChartSvg(svg, background = "#ffffff") {
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", Math.round(width));
+  clone.setAttribute("height", Math.round(height));
+  clone.setAttribute("viewBox", `0 0 ${Math.round(width)} ${Math.round(height)}`);
+  clone.style.fontFamily = "Arial, sans-serif";
+
+  const styled = "text, .recharts-cartesian-axis-line, .recharts-cartesian-axis-tick-line";
+  const copies = clone.querySelectorAll(styled);
+  svg.querySelectorAll(styled).forEach((element, i) => {
+    const computed = window.getComputedStyle(element);
+    if (element.tagName === "text") copies[i].setAttribute("fill", computed.fill);
+    else copies[i].setAttribute("stroke", computed.stroke);
+  });
+
+  const backdrop = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  backdrop.setAttribute("width", "100%");
+  backdrop.setAttribute("height", "100%");
+  backdrop.setAttribute("fill", background);
+  clone.insertBefore(backdrop, clone.firstChild);
+
+  return { markup: new XMLSerializer().serializeToString(clone), width, height };
+}
+
+export function exportChartSvg(svg, filename, { background } = {}) {
+  const { markup } = serializeChartSvg(svg, background);
+  downloadBlob(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }), filename);
+}
+
+// Rasterize at `scale` × screen size so the PNG stays sharp on slides
+export function exportChartPng(svg, filename, { scale = 2, background } = {}) {
+  const { markup, width, height } = serializeChartSvg(svg, background);
+  const image = new Image();
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }));
+
+  return new Promise((resolve, reject) => {
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => {
+        if (!blob) {
+          reject(new Error("PNG encoding failed"));
+          return;
+        }
+        downloadBlob(blob, filename);
+        resolve();
+      }, "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Chart image could not be rendered"));
+    };
+    image.src = url;
+  });
+}
+
+const csvCell = (value) => {
+  if (value == null) return "";
+  const text = typeof value === "number" ? value.toFixed(4) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Same column groups as the screen-reader table under the chart, one value per cell.
+// Amounts stay plain numbers so spreadsheets can use them; the currency goes in the headers,
+// which are in the language of `t`, the UI's translate function.
+export function cashFlowCsv(model, currency, t) {
+  const money = (key, params) => t(`csv.${key}`, { ...params, currency });
+  const direction = model.arbitrage && model.arbitrage.direction;
+  const columns = [
+    { header: t("csv.year"), value: row => row.periodLabel },
+    ...(model.accrual.dates ? [{ header: t("csv.date"), value: row => row.date }] : []),
+    { header: money("oneYearInitial"), value: row => row.strategy1Cash },
+    { header: money("oneYearMaturity"), value: row => row.strategy1Maturity },
+    { header: money("oneYearReinvest"), value: row => row.strategy1Reinvest },
+    { header: money("twoYear"), value: row => row.strategy2Cash },
+    { header: t("csv.oneYearRate"), value: row => row.oneYearRate },
+    { header: t("csv.forwardRate"), value: row => row.forwardRate },
+    { header: t("csv.twoYearRate"), value: row => row.twoYearLine },
+    ...(model.arbitrage
+      ? model.arbitrage.legs.map(leg => ({
+        header: money("arbitrageLeg", { leg: t(`arbitrageLegs.${leg.key}.${direction}`) }),
+        value: row => row[leg.key],
+      }))
+      : []),
+  ];
+
+  const lines = [
+    columns.map(col => csvCell(col.header)).join(","),
+    ...model.cashFlowData.map(row => columns.map(col => csvCell(col.value(row))).join(",")),
+  ];
+  return lines.join("\n") + "\n";
+}
+
+export function exportCashFlowCsv(model, currency, filename, t) {
+  downloadBlob(new Blob([cashFlowCsv(model, currency, t)], { type: "text/csv;charset=utf-8" }), filename);
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import { cashFlowCsv } from "./exporters.js";
+import { calculateForwardRates } from "./forwardRates.js";
+import { createI18n } from "./i18n.js";
+
+const csvLines = (inputs, currency = "USD", t = createI18n("en").t) =>
+  cashFlowCsv(calculateForwardRates({ s1: 6.3, s2: 8, ...inputs }).value, currency, t).split("\n");
+const header = (line) => line.split(",");
+
+describe("cashFlowCsv", () => {
+  it("writes one row per year with the columns of the chart's data table", () => {
+    const lines = csvLines({});
+    expect(header(lines[0])).toEqual([
+      "Year",
+      "One-Year Strategy: Initial/Final (USD)",
+      "One-Year Strategy: Maturity (USD)",
+      "One-Year Strategy: Reinvest (USD)",
+      "Two-Year Strategy (USD)",
+      "Interest Rates: 1Y (%)",
+      "Interest Rates: Forward (%)",
+      "Interest Rates: 2Y (%)",
+    ]);
+    expect(lines.slice(1)).toEqual([
+      "0,-100.0000,,,-100.0000,,,8.0000",
+      "1,,106.3000,-106.3000,0.0000,6.3000,,8.0000",
+      "2,116.6400,,,116.6400,,9.7272,8.0000",
+      "",
+    ]);
+  });
+
+  it("adds a date column after the year under a day count", () => {
+    const lines = csvLines({ dayCount: "ACT/360", startDate: "2025-01-15", endDate: "2027-01-15" }, "EUR");
+    expect(header(lines[0]).slice(0, 3)).toEqual(["Year", "Date", "One-Year Strategy: Initial/Final (EUR)"]);
+    expect(lines.slice(1, 4).map(line => line.split(",").slice(0, 2).join(","))).toEqual(["0,2025-01-15", "1,2026-01-15", "2,2027-01-15"]);
+  });
+
+  it("appends the arbitrage legs, named for the trade's direction, when a market forward is set", () => {
+    const lines = csvLines({ marketForward: 9 });
+    expect(header(lines[0]).slice(8)).toEqual([
+      "Arbitrage: Borrow 1-Year (USD)",
+      "Arbitrage: Lend 2-Year (USD)",
+      "Arbitrage: FRA: Borrow Forward (USD)",
+    ]);
+    expect(lines[2].split(",").slice(8)).toEqual(["-100.0000", "", "100.0000"]);
+    expect(header(csvLines({ marketForward: 11 })[0]).slice(8)).toEqual([
+      "Arbitrage: Lend 1-Year (USD)",
+      "Arbitrage: Borrow 2-Year (USD)",
+      "Arbitrage: FRA: Lend Forward (USD)",
+    ]);
+  });
+
+  it("takes the headers from the catalog of the translator it is given", () => {
+    const [first] = csvLines({ marketForward: 11 }, "EUR", createI18n("es").t);
+    expect(header(first)[0]).toBe("Año");
+    expect(header(first)[8]).toBe("Arbitraje: Prestar a 1 año (EUR)");
+  });
+});
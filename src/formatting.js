@@ -0,0 +1,27 @@
+// Money formatting shared by every cash label, axis tick, tooltip and table in the app
+
+/** Currencies offered in the calculator, by ISO 4217 code; names come from Intl.DisplayNames. */
+export const CURRENCIES = ["USD", "EUR", "GBP", "JPY", "CHF", "CAD", "AUD", "INR"];
+
+/**
+ * @typedef {"standard" | "accounting" | "whole"} MoneyStyle
+ *   standard: the currency's usual decimals; accounting: negatives in parentheses;
+ *   whole: no decimals, for axis ticks
+ * @typedef {(value: number, style?: MoneyStyle) => string} MoneyFormatter
+ */
+
+/**
+ * Locale-aware money formatter. The Intl formatters are built once, so the result is
+ * cheap to call for every bar label and table cell.
+ * @param {string} [currency="USD"] - ISO 4217 code
+ * @param {string} [locale] - BCP 47 tag; undefined uses the browser's locale
+ * @returns {MoneyFormatter}
+ */
+export function createMoneyFormatter(currency = "USD", locale) {
+  const formatters = {
+    standard: new Intl.NumberFormat(locale, { style: "currency", currency }),
+    accounting: new Intl.NumberFormat(locale, { style: "currency", currency, currencySign: "accounting" }),
+    whole: new Intl.NumberFormat(locale, { style: "currency", currency, maximumFractionDigits: 0 }),
+  };
+  return (value, style = "standard") => formatters[style].format(value);
+}
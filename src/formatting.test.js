@@ -0,0 +1,23 @@
+import { describe, it, expect } from "vitest";
+import { CURRENCIES, createMoneyFormatter } from "./formatting.js";
+
+describe("createMoneyFormatter", () => {
+  it("formats with the locale's symbol placement and separators", () => {
+    expect(createMoneyFormatter("USD", "en-US")(1234.5)).toBe("$1,234.50");
+    expect(createMoneyFormatter("EUR", "de-DE")(1234.5)).toBe("1.234,50\u00a0€");
+  });
+
+  it("uses each currency's own decimals", () => {
+    expect(createMoneyFormatter("JPY", "en-US")(1234.5)).toBe("¥1,235");
+  });
+
+  it("shows accounting negatives in parentheses and whole amounts for ticks", () => {
+    const formatMoney = createMoneyFormatter("USD", "en-US");
+    expect(formatMoney(-106.3, "accounting")).toBe("($106.30)");
+    expect(formatMoney(-50, "whole")).toBe("-$50");
+  });
+
+  it("accepts every offered currency", () => {
+    CURRENCIES.forEach(code => expect(() => createMoneyFormatter(code)).not.toThrow());
+  });
+});
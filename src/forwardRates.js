@@ -0,0 +1,806 @@
+// Forward-rate math for the implied forward rate tool: compounding, discount factors,
+// spot ↔ forward conversion, bootstrapping and the two-strategy no-arbitrage model.
+// Rates cross this API in percent (6.3 means 6.3%) unless a parameter says "decimal".
+// Failures carry a `message`: a key under `errors` in the locale catalogs, which the UI
+// translates where the failure is shown.
+
+/**
+ * @typedef {"annual" | "semiannual" | "quarterly" | "monthly" | "continuous"} Compounding
+ */
+
+/**
+ * Outcome of a calculation that can fail on bad input.
+ * @template T
+ * @typedef {{ ok: true, value: T } | { ok: false, message: Message }} Result
+ * @typedef {{ key: string, params?: Record<string, unknown> }} Message
+ */
+
+/**
+ * Compounding conventions; `periods` is compounding periods per year (null = continuous).
+ * Display names are in the locale catalogs under `compounding`.
+ * @type {Record<Compounding, { periods: number | null }>}
+ */
+export const COMPOUNDING = {
+  annual: { periods: 1 },
+  semiannual: { periods: 2 },
+  quarterly: { periods: 4 },
+  monthly: { periods: 12 },
+  continuous: { periods: null },
+};
+
+/**
+ * @typedef {"years" | "30/360" | "ACT/360" | "ACT/365"} DayCount
+ */
+
+/**
+ * Day-count conventions for the two-period strategies. "years" treats each period as
+ * exactly one year and needs no dates.
+ * @type {DayCount[]}
+ */
+export const DAY_COUNTS = ["years", "30/360", "ACT/360", "ACT/365"];
+
+/** Lowest accepted rate in %; negative rates are allowed down to here. */
+export const MIN_RATE = -20;
+/** Highest accepted rate in %. */
+export const MAX_RATE = 50;
+
+/**
+ * @template T
+ * @param {T} value
+ * @returns {Result<T>}
+ */
+const ok = (value) => ({ ok: true, value });
+
+/**
+ * @param {Message} message - a key under `errors` in the locale catalogs
+ * @returns {Result<never>}
+ */
+const fail = (message) => ({ ok: false, message });
+
+const error = (name, params) => ({ key: `errors.${name}`, params });
+
+/**
+ * Bounds check shared by every rate input.
+ * @param {number} rate - rate in %
+ * @param {string | Message} label - field name used in the message
+ * @returns {Message | null} the problem, or null when the rate is acceptable
+ */
+export function checkRateBounds(rate, label) {
+  if (!Number.isFinite(rate)) return error("rateNotNumber", { label });
+  if (rate < MIN_RATE) return error("rateBelowMin", { label, min: MIN_RATE });
+  if (rate > MAX_RATE) return error("rateAboveMax", { label, max: MAX_RATE });
+  return null;
+}
+
+/**
+ * @param {number[]} spotRates - rates in %
+ * @param {string} compounding
+ * @returns {Message | null} first problem found, or null
+ */
+function curveError(spotRates, compounding) {
+  if (!COMPOUNDING[compounding]) return error("unknownCompounding", { compounding });
+  if (spotRates.length === 0) return error("emptyCurve");
+  for (let i = 0; i < spotRates.length; i++) {
+    const problem = checkRateBounds(spotRates[i], { key: "labels.spotRate", params: { year: i + 1 } });
+    if (problem) return problem;
+  }
+  return null;
+}
+
+/**
+ * Growth of 1 invested at `rate` for `years`.
+ * @param {number} rate - decimal rate (0.063 for 6.3%)
+ * @param {number} years
+ * @param {Compounding} [compounding="annual"]
+ * @returns {number}
+ */
+export function growthFactor(rate, years, compounding = "annual") {
+  const m = COMPOUNDING[compounding].periods;
+  if (m == null) return Math.exp(rate * years);
+  return Math.pow(1 + rate / m, m * years);
+}
+
+/**
+ * Rate that turns 1 into `growth` over `years`; the inverse of growthFactor.
+ * @param {number} growth - must be positive
+ * @param {number} years
+ * @param {Compounding} [compounding="annual"]
+ * @returns {number} decimal rate
+ */
+export function rateFromGrowth(growth, years, compounding = "annual") {
+  const m = COMPOUNDING[compounding].periods;
+  if (m == null) return Math.log(growth) / years;
+  return m * (Math.pow(growth, 1 / (m * years)) - 1);
+}
+
+/**
+ * Present value of 1 paid in `years` at a spot rate.
+ * @param {number} spotRate - rate in %
+ * @param {number} years
+ * @param {Compounding} [compounding="annual"]
+ * @returns {number}
+ */
+export function discountFactor(spotRate, years, compounding = "annual") {
+  return 1 / growthFactor(spotRate / 100, years, compounding);
+}
+
+/**
+ * Re-quote a rate from one compounding convention in another (same one-year growth).
+ * @param {number} rate - rate in %
+ * @param {Compounding} from
+ * @param {Compounding} to
+ * @returns {number} rate in %
+ */
+export function convertRate(rate, from, to) {
+  return rateFromGrowth(growthFactor(rate / 100, 1, from), 1, to) * 100;
+}
+
+/**
+ * @typedef {{ dayCount: DayCount, dates: [string, string, string] | null, first: number, second: number, total: number }} Accrual
+ *   year fractions of period 1 (start → 1-year date), period 2 (1-year date → end) and the whole horizon;
+ *   `dates` are ISO yyyy-mm-dd strings, or null for whole years
+ */
+
+/** Accrual for whole one-year periods: the textbook case. */
+export const WHOLE_YEARS = { dayCount: "years", dates: null, first: 1, second: 1, total: 2 };
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * @param {string} text - yyyy-mm-dd
+ * @returns {Date | null} UTC midnight, or null for anything that is not a real calendar date
+ */
+function parseIsoDate(text) {
+  const match = ISO_DATE.exec(text || "");
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+/**
+ * Same calendar day `years` later; 29 February becomes 28 February outside leap years.
+ * @param {string} isoDate - yyyy-mm-dd
+ * @param {number} years
+ * @returns {string | null} yyyy-mm-dd, or null for an invalid date
+ */
+export function addYears(isoDate, years) {
+  const date = parseIsoDate(isoDate);
+  if (!date) return null;
+  const target = new Date(Date.UTC(date.getUTCFullYear() + years, date.getUTCMonth(), 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+/**
+ * Year fraction between two dates under a day-count convention.
+ * 30/360 is the US bond basis: day 31 becomes 30, and an end on the 31st only
+ * does so when the start is on the 30th or 31st.
+ * @param {string} startDate - yyyy-mm-dd
+ * @param {string} endDate - yyyy-mm-dd
+ * @param {Exclude<DayCount, "years">} dayCount
+ * @returns {number} NaN for an invalid date
+ */
+export function yearFraction(startDate, endDate, dayCount) {
+  const start = parseIsoDate(startDate);
+  const end = parseIsoDate(endDate);
+  if (!start || !end) return NaN;
+
+  if (dayCount === "30/360") {
+    const d1 = Math.min(start.getUTCDate(), 30);
+    const d2 = end.getUTCDate() === 31 && d1 === 30 ? 30 : end.getUTCDate();
+    const days = 360 * (end.getUTCFullYear() - start.getUTCFullYear())
+      + 30 * (end.getUTCMonth() - start.getUTCMonth())
+      + (d2 - d1);
+    return days / 360;
+  }
+
+  const actualDays = Math.round((end - start) / 86400000);
+  return actualDays / (dayCount === "ACT/360" ? 360 : 365);
+}
+
+/**
+ * Accrual fractions for the two strategies. Period 1 ends on the anniversary of the start
+ * date; period 2 runs from there to the end date.
+ * @param {{ dayCount?: DayCount, startDate?: string, endDate?: string }} params
+ * @returns {Result<Accrual>}
+ */
+export function accrualSchedule({ dayCount = "years", startDate = "", endDate = "" }) {
+  if (!DAY_COUNTS.includes(dayCount)) return fail(error("unknownDayCount", { dayCount }));
+  if (dayCount === "years") return ok(WHOLE_YEARS);
+  if (!parseIsoDate(startDate)) return fail(error("invalidStartDate"));
+  if (!parseIsoDate(endDate)) return fail(error("invalidEndDate"));
+
+  const midDate = addYears(startDate, 1);
+  if (endDate <= midDate) return fail(error("endBeforeOneYear", { date: midDate }));
+
+  return ok({
+    dayCount,
+    dates: [startDate, midDate, endDate],
+    first: yearFraction(startDate, midDate, dayCount),
+    second: yearFraction(midDate, endDate, dayCount),
+    total: yearFraction(startDate, endDate, dayCount),
+  });
+}
+
+/**
+ * Implied forward f(start, tenor) from an annual spot curve.
+ * @param {number[]} spotRates - spot rates in % for years 1..n
+ * @param {number} start - start year a (0 returns the spot rate itself)
+ * @param {number} tenor - length b in years
+ * @param {Compounding} [compounding="annual"]
+ * @returns {Result<number>} forward rate in %
+ */
+export function spotToForward(spotRates, start, tenor, compounding = "annual") {
+  const problem = curveError(spotRates, compounding);
+  if (problem) return fail(problem);
+  if (!Number.isInteger(start) || !Number.isInteger(tenor) || start < 0 || tenor < 1) {
+    return fail(error("forwardHorizon"));
+  }
+  if (start + tenor > spotRates.length) {
+    return fail(error("missingSpot", { start, tenor, maturity: start + tenor }));
+  }
+
+  const growth = (t) => (t === 0 ? 1 : growthFactor(spotRates[t - 1] / 100, t, compounding));
+  return ok(rateFromGrowth(growth(start + tenor) / growth(start), tenor, compounding) * 100);
+}
+
+/**
+ * Spot curve from a chain of one-year forwards f(0,1), f(1,1), f(2,1), …
+ * @param {number[]} forwards - one-year forward rates in %; the first is the 1-year spot
+ * @param {Compounding} [compounding="annual"]
+ * @returns {Result<number[]>} spot rates in % for years 1..n
+ */
+export function forwardsToSpots(forwards, compounding = "annual") {
+  if (!COMPOUNDING[compounding]) return fail(error("unknownCompounding", { compounding }));
+  if (forwards.some(rate => !Number.isFinite(rate))) return fail(error("forwardsNotNumbers"));
+
+  const spots = [];
+  let growth = 1;
+  for (let t = 1; t <= forwards.length; t++) {
+    growth *= growthFactor(forwards[t - 1] / 100, 1, compounding);
+    if (!(growth > 0)) return fail(error("forwardsWipeOut", { year: t }));
+    spots.push(rateFromGrowth(growth, t, compounding) * 100);
+  }
+  return ok(spots);
+}
+
+/**
+ * @typedef {{ start: number, tenor: number, rate: number }} ForwardCell
+ * @typedef {{ maturities: number, rows: { start: number, cells: ForwardCell[] }[] }} ForwardMatrix
+ */
+
+/**
+ * Every implied forward f(a,b) on an annual spot curve. Row `start` holds the forwards
+ * beginning at year a; row 0 is the spot curve itself.
+ * @param {number[]} spotRates - spot rates in % for years 1..n
+ * @param {Compounding} [compounding="annual"]
+ * @returns {Result<ForwardMatrix>}
+ */
+export function calculateForwardMatrix(spotRates, compounding = "annual") {
+  const problem = curveError(spotRates, compounding);
+  if (problem) return fail(problem);
+
+  const rows = [];
+  for (let start = 0; start < spotRates.length; start++) {
+    const cells = [];
+    for (let tenor = 1; start + tenor <= spotRates.length; tenor++) {
+      cells.push({ start, tenor, rate: spotToForward(spotRates, start, tenor, compounding).value });
+    }
+    rows.push({ start, cells });
+  }
+
+  return ok({ maturities: spotRates.length, rows });
+}
+
+/**
+ * @typedef {"linear" | "logDiscount" | "cubicSpline"} InterpolationMethod
+ */
+
+/**
+ * Ways to read the spot curve between its whole-year points: linear on rates, linear on
+ * log discount factors, natural cubic spline.
+ * @type {InterpolationMethod[]}
+ */
+export const INTERPOLATION_METHODS = ["linear", "logDiscount", "cubicSpline"];
+
+/**
+ * Second derivatives of the natural cubic spline through (xs, ys), zero at both ends.
+ * @param {number[]} xs - increasing
+ * @param {number[]} ys
+ * @returns {number[]}
+ */
+function naturalSplineMoments(xs, ys) {
+  const n = xs.length;
+  const moments = new Array(n).fill(0);
+  if (n < 3) return moments;
+
+  // Tridiagonal solve (Thomas algorithm) for the interior moments
+  const upper = new Array(n).fill(0);
+  const rhs = new Array(n).fill(0);
+  for (let i = 1; i < n - 1; i++) {
+    const h0 = xs[i] - xs[i - 1];
+    const h1 = xs[i + 1] - xs[i];
+    const diagonal = 2 * (h0 + h1) - h0 * upper[i - 1];
+    upper[i] = h1 / diagonal;
+    const d = 6 * ((ys[i + 1] - ys[i]) / h1 - (ys[i] - ys[i - 1]) / h0);
+    rhs[i] = (d - h0 * rhs[i - 1]) / diagonal;
+  }
+  for (let i = n - 2; i >= 1; i--) {
+    moments[i] = rhs[i] - upper[i] * moments[i + 1];
+  }
+  return moments;
+}
+
+/**
+ * @typedef {{ method: InterpolationMethod, maturities: number, rateAt: (years: number) => number }} SpotCurve
+ */
+
+/**
+ * Continuous spot curve through whole-year spot rates. Before year 1 the rate is held at the
+ * 1-year spot for every method, so log discount factors run linearly from zero.
+ * @param {number[]} spotRates - spot rates in % for years 1..n
+ * @param {InterpolationMethod} [method="linear"]
+ * @param {Compounding} [compounding="annual"]
+ * @returns {Result<SpotCurve>} `rateAt(t)` gives the spot rate in % for 0 < t ≤ n
+ */
+export function interpolateSpotCurve(spotRates, method = "linear", compounding = "annual") {
+  const problem = curveError(spotRates, compounding);
+  if (problem) return fail(problem);
+  if (!INTERPOLATION_METHODS.includes(method)) return fail(error("unknownInterpolation", { method }));
+
+  const n = spotRates.length;
+  const years = spotRates.map((_, i) => i + 1);
+  // Knot interval [i, i+1] containing t (knots are 1-based years)
+  const segment = (t) => Math.min(Math.max(Math.floor(t), 1), n - 1);
+
+  let rateAt;
+  if (n === 1) {
+    rateAt = () => spotRates[0];
+  } else if (method === "linear") {
+    rateAt = (t) => {
+      if (t <= 1) return spotRates[0];
+      const i = segment(t);
+      return spotRates[i - 1] + (spotRates[i] - spotRates[i - 1]) * (t - i);
+    };
+  } else if (method === "logDiscount") {
+    const logDiscounts = spotRates.map((rate, i) => -Math.log(growthFactor(rate / 100, i + 1, compounding)));
+    rateAt = (t) => {
+      if (t <= 1) return spotRates[0];
+      const i = segment(t);
+      const logDiscount = logDiscounts[i - 1] + (logDiscounts[i] - logDiscounts[i - 1]) * (t - i);
+      return rateFromGrowth(Math.exp(-logDiscount), t, compounding) * 100;
+    };
+  } else {
+    const moments = naturalSplineMoments(years, spotRates);
+    rateAt = (t) => {
+      if (t <= 1) return spotRates[0];
+      const i = segment(t);
+      const a = i + 1 - t;
+      const b = t - i;
+      return a * spotRates[i - 1] + b * spotRates[i]
+        + ((a * a * a - a) * moments[i - 1] + (b * b * b - b) * moments[i]) / 6;
+    };
+  }
+
+  return ok({ method, maturities: n, rateAt });
+}
+
+/**
+ * Forward rate between any two times on the interpolated curve, e.g. the 6-month rate
+ * 9 months forward is forwardBetween(spots, 0.75, 1.25).
+ * @param {number[]} spotRates - spot rates in % for years 1..n
+ * @param {number} startYears - t₁ ≥ 0
+ * @param {number} endYears - t₂ > t₁, at most n
+ * @param {InterpolationMethod} [method="linear"]
+ * @param {Compounding} [compounding="annual"]
+ * @returns {Result<number>} forward rate in %, quoted per year with `compounding`
+ */
+export function forwardBetween(spotRates, startYears, endYears, method = "linear", compounding = "annual") {
+  const curve = interpolateSpotCurve(spotRates, method, compounding);
+  if (!curve.ok) return curve;
+  if (!(startYears >= 0) || !(endYears > startYears)) return fail(error("timesOutOfOrder"));
+  if (endYears > spotRates.length) return fail(error("beyondCurve", { years: spotRates.length }));
+
+  const growth = (t) => (t === 0 ? 1 : growthFactor(curve.value.rateAt(t) / 100, t, compounding));
+  return ok(rateFromGrowth(growth(endYears) / growth(startYears), endYears - startYears, compounding) * 100);
+}
+
+/**
+ * @typedef {{ coupon: number, price: number, maturity: number }} Bond
+ * @typedef {{ maturity: number, coupon: number, price: number, annuity: number, discountFactor: number, spotRate: number }} BootstrapStep
+ */
+
+/**
+ * Bootstrap a zero curve from annual-pay coupon bonds. Each bond must fill the next year
+ * on the curve, so every earlier discount factor is already known.
+ * @param {Bond[]} bonds - coupon in %, price per 100 face, maturity in whole years
+ * @param {Compounding} [compounding="annual"] - convention the derived spot rates are quoted in
+ * @returns {Result<{ spotRates: number[], steps: BootstrapStep[] }>}
+ */
+export function bootstrapSpotCurve(bonds, compounding = "annual") {
+  if (!COMPOUNDING[compounding]) return fail(error("unknownCompounding", { compounding }));
+  if (bonds.length === 0) return fail(error("noBonds"));
+
+  const sorted = [...bonds].sort((a, b) => a.maturity - b.maturity);
+  const discountFactors = [];
+  const steps = [];
+
+  for (let i = 0; i < sorted.length; i++) {
+    const { coupon, price, maturity } = sorted[i];
+    if (maturity !== i + 1) {
+      return fail(error("bondMaturities"));
+    }
+
+    // price = coupon × (DF₁ + … + DFₙ₋₁) + (100 + coupon) × DFₙ
+    const annuity = discountFactors.reduce((sum, df) => sum + df, 0);
+    const df = (price - coupon * annuity) / (100 + coupon);
+    if (!(df > 0)) {
+      return fail(error("nonPositiveDiscount", { maturity }));
+    }
+
+    discountFactors.push(df);
+    steps.push({
+      maturity,
+      coupon,
+      price,
+      annuity,
+      discountFactor: df,
+      spotRate: rateFromGrowth(1 / df, maturity, compounding) * 100,
+    });
+  }
+
+  // Derived spots feed the calculator at the same precision a user would type them
+  return ok({ spotRates: steps.map(step => Number(step.spotRate.toFixed(4))), steps });
+}
+
+/**
+ * Par yields as bonds: priced at 100 with a coupon equal to the yield.
+ * @param {number[]} parYields - par yields in % for years 1..n
+ * @returns {Bond[]}
+ */
+export function parYieldsToBonds(parYields) {
+  return parYields.map((parYield, i) => ({ coupon: parYield, price: 100, maturity: i + 1 }));
+}
+
+/**
+ * Annual-pay par yields on a spot curve: the coupon that prices each bond at 100.
+ * @param {number[]} spotRates - spot rates in % for years 1..n
+ * @param {Compounding} [compounding="annual"] - convention the spot rates are quoted in
+ * @returns {Result<number[]>} par yields in % for years 1..n
+ */
+export function spotsToParYields(spotRates, compounding = "annual") {
+  const problem = curveError(spotRates, compounding);
+  if (problem) return fail(problem);
+
+  // 100 = c × (DF₁ + … + DFₙ) + 100 × DFₙ
+  let annuity = 0;
+  return ok(spotRates.map((spotRate, i) => {
+    const df = discountFactor(spotRate, i + 1, compounding);
+    annuity += df;
+    return (100 * (1 - df)) / annuity;
+  }));
+}
+
+/**
+ * @typedef {{ key: string, cashFlows: [number, number, number] }} ArbitrageLeg
+ *   `key` names the leg in the locale catalogs (`arbitrageLegs.<key>.<direction>`)
+ * @typedef {{ direction: "borrowLong" | "borrowShort", marketForward: number, notional: number, legs: ArbitrageLeg[], profit: number }} Arbitrage
+ */
+
+/**
+ * Locked-in arbitrage when a quoted forward/FRA rate differs from the implied f(1,1).
+ * @param {{ s1: number, compounding: Compounding, forwardRate: number, marketForward: number | null, notional: number, accrual?: Accrual }} params
+ *   rates in %; `notional` is the amount moved from year 1 to year 2
+ * @returns {Arbitrage | null} null when there is no quote or it matches the implied forward
+ */
+export function calculateArbitrage({ s1, compounding, forwardRate, marketForward, notional, accrual = WHOLE_YEARS }) {
+  if (marketForward == null || Math.abs(marketForward - forwardRate) < 1e-9) return null;
+
+  const impliedGrowth = growthFactor(forwardRate / 100, accrual.second, compounding);
+  const marketGrowth = growthFactor(marketForward / 100, accrual.second, compounding);
+  const presentValue = notional / growthFactor(s1 / 100, accrual.first, compounding);
+
+  // Rich forward: lend forward at the market rate, funded by borrowing long and lending short.
+  // Cheap forward: the mirror image. `sign` is +1 for cash paid out by the investor's lending legs.
+  const lendForward = marketForward > forwardRate;
+  const sign = lendForward ? 1 : -1;
+
+  const legs = [
+    {
+      key: "arbShortLeg",
+      cashFlows: [-sign * presentValue, sign * notional, 0],
+    },
+    {
+      key: "arbLongLeg",
+      cashFlows: [sign * presentValue, 0, -sign * notional * impliedGrowth],
+    },
+    {
+      key: "arbFraLeg",
+      cashFlows: [0, -sign * notional, sign * notional * marketGrowth],
+    },
+  ];
+
+  return {
+    direction: lendForward ? "borrowLong" : "borrowShort",
+    marketForward,
+    notional,
+    legs,
+    profit: sign * notional * (marketGrowth - impliedGrowth),
+  };
+}
+
+/**
+ * @typedef {"advance" | "arrears"} FraSettlement
+ *   advance: paid at year 1, discounted at the realized rate (market practice);
+ *   arrears: paid at year 2 when the interest would fall due
+ */
+
+/**
+ * FRA settlement conventions.
+ * @type {FraSettlement[]}
+ */
+export const FRA_SETTLEMENTS = ["advance", "arrears"];
+
+/**
+ * Settlement payment to the FRA buyer, who pays the contract rate and receives the
+ * realized rate on `notional` for period 2. Interest uses the calculator's compounding.
+ * @param {{ notional: number, contractRate: number, realizedRate: number, compounding: Compounding, accrual?: Accrual, settlement: FraSettlement }} params
+ *   rates in %
+ * @returns {number} amount paid to the buyer on the settlement date (negative: the buyer pays)
+ */
+export function fraSettlementPayment({ notional, contractRate, realizedRate, compounding, accrual = WHOLE_YEARS, settlement }) {
+  const realizedGrowth = growthFactor(realizedRate / 100, accrual.second, compounding);
+  const interestDifference = notional * (realizedGrowth - growthFactor(contractRate / 100, accrual.second, compounding));
+  return settlement === "advance" ? interestDifference / realizedGrowth : interestDifference;
+}
+
+/**
+ * @typedef {{ contractRate: number, valueAtInception: number, settlementPayment: number, settlementYear: 1 | 2 }} FraPricing
+ */
+
+/**
+ * Price an FRA on period 2 off the spot curve. Its value today is the interest difference
+ * at the implied forward, discounted from year 2 at the 2-year spot rate; both settlement
+ * conventions have the same value today.
+ * @param {{ s2: number, forwardRate: number, compounding: Compounding, accrual?: Accrual, notional: number,
+ *   contractRate: number, realizedRate: number, settlement: FraSettlement }} params
+ *   rates in %; `realizedRate` is the one-year rate observed at year 1
+ * @returns {Result<FraPricing>}
+ */
+export function priceFra({ s2, forwardRate, compounding, accrual = WHOLE_YEARS, notional, contractRate, realizedRate, settlement }) {
+  if (!FRA_SETTLEMENTS.includes(settlement)) return fail(error("unknownSettlement", { settlement }));
+  if (!(notional > 0)) return fail(error("fraNotional"));
+  const problem = checkRateBounds(contractRate, { key: "labels.contractRate" })
+    || checkRateBounds(realizedRate, { key: "labels.realizedRate" });
+  if (problem) return fail(problem);
+
+  const forwardDifference = notional * (
+    growthFactor(forwardRate / 100, accrual.second, compounding) - growthFactor(contractRate / 100, accrual.second, compounding)
+  );
+
+  return ok({
+    contractRate,
+    valueAtInception: forwardDifference * discountFactor(s2, accrual.total, compounding),
+    settlementPayment: fraSettlementPayment({ notional, contractRate, realizedRate, compounding, accrual, settlement }),
+    settlementYear: settlement === "advance" ? 1 : 2,
+  });
+}
+
+/**
+ * @typedef {{ realizedRate: number, strategy1Value: number, salePrice: number,
+ *   strategy1Return: number, strategy2Return: number, excessReturn: number }} HorizonReturns
+ */
+
+/**
+ * Holding-period returns to a year-1 horizon. The one-year strategy matures at
+ * `strategy1Year1Value` whatever rates do; the two-year strategy is sold, its year-2 payoff
+ * `strategy2Final` discounted over period 2 at the realized 1-year rate. The returns match
+ * exactly when that rate is the implied forward, the breakeven; a realized rate equal to s1
+ * (the curve unchanged) gives the return from rolling down the curve.
+ * @param {{ investment: number, accrual?: Accrual, strategy1Year1Value: number, strategy2Final: number,
+ *   compounding: Compounding, realizedRate: number }} params
+ *   model values and the 1-year spot rate observed at year 1, in %
+ * @returns {Result<HorizonReturns>} returns in % over the holding period, not annualized;
+ *   `excessReturn` is the two-year strategy's return minus the one-year strategy's
+ */
+export function horizonReturns({ investment, accrual = WHOLE_YEARS, strategy1Year1Value, strategy2Final, compounding, realizedRate }) {
+  const problem = checkRateBounds(realizedRate, { key: "labels.realizedRate" });
+  if (problem) return fail(problem);
+
+  const salePrice = strategy2Final / growthFactor(realizedRate / 100, accrual.second, compounding);
+  const strategy1Return = (strategy1Year1Value / investment - 1) * 100;
+  const strategy2Return = (salePrice / investment - 1) * 100;
+
+  return ok({
+    realizedRate,
+    strategy1Value: strategy1Year1Value,
+    salePrice,
+    strategy1Return,
+    strategy2Return,
+    excessReturn: strategy2Return - strategy1Return,
+  });
+}
+
+/**
+ * @typedef {"expectations" | "liquidity" | "habitat"} TermStructureTheory
+ * @typedef {{ theory: TermStructureTheory, expectedRate: number, premium: number, consistent: boolean }} ForwardDecomposition
+ */
+
+/**
+ * Term-structure theories, in curriculum order.
+ * @type {TermStructureTheory[]}
+ */
+export const TERM_STRUCTURE_THEORIES = ["expectations", "liquidity", "habitat"];
+
+/**
+ * Split f(1,1) into the expected 1-year rate in one year plus a term premium under each theory.
+ * The premium comes from an expected rate (premium = f − E) or, failing that, from an assumed
+ * premium (E = f − premium). Pure expectations always sets the premium to zero; liquidity
+ * preference needs it to be positive; preferred habitat allows either sign.
+ * @param {{ forwardRate: number, expectedRate?: number | null, termPremium?: number | null }} params - rates in %
+ * @returns {Result<{ impliedPremium: number, assumedPremiumGap: number | null, theories: ForwardDecomposition[] }>}
+ *   `assumedPremiumGap` is the entered premium minus the implied one when both views are given
+ */
+export function decomposeForward({ forwardRate, expectedRate = null, termPremium = null }) {
+  if (expectedRate == null && termPremium == null) {
+    return fail(error("decompositionInput"));
+  }
+
+  const premium = expectedRate != null ? forwardRate - expectedRate : termPremium;
+  const expected = forwardRate - premium;
+  const flat = Math.abs(premium) < 0.005;
+
+  const theories = [
+    { theory: "expectations", expectedRate: forwardRate, premium: 0, consistent: flat },
+    { theory: "liquidity", expectedRate: expected, premium, consistent: premium >= 0 },
+    { theory: "habitat", expectedRate: expected, premium, consistent: true },
+  ];
+
+  return ok({
+    impliedPremium: premium,
+    assumedPremiumGap: expectedRate != null && termPremium != null ? termPremium - premium : null,
+    theories,
+  });
+}
+
+/**
+ * Implied forward f(1,1) for a pair of spot rates.
+ * @param {number} s1 - 1-year spot in %
+ * @param {number} s2 - 2-year spot in %
+ * @param {Compounding} [compounding="annual"]
+ * @param {Accrual} [accrual=WHOLE_YEARS] - year fractions of the two periods
+ * @returns {number} forward rate in %
+ */
+export function forwardRateAt(s1, s2, compounding = "annual", accrual = WHOLE_YEARS) {
+  const growth = growthFactor(s2 / 100, accrual.total, compounding) / growthFactor(s1 / 100, accrual.first, compounding);
+  return rateFromGrowth(growth, accrual.second, compounding) * 100;
+}
+
+/**
+ * Analytic partials of f(1,1) with respect to s1 and s2 (percentage points per point).
+ * With m periods a year and fractions τ₁, τ₂ (total T), (1 + f/m)^τ₂ = (1 + s₂/m)^T ÷ (1 + s₁/m)^τ₁;
+ * continuously, f = (T·s₂ - τ₁·s₁) / τ₂. Whole years give 1 + f/m = (1 + s₂/m)² ÷ (1 + s₁/m).
+ * @param {number} s1 - 1-year spot in %
+ * @param {number} s2 - 2-year spot in %
+ * @param {Compounding} [compounding="annual"]
+ * @param {Accrual} [accrual=WHOLE_YEARS]
+ * @returns {{ dS1: number, dS2: number }}
+ */
+export function forwardRateSensitivity(s1, s2, compounding = "annual", { first, second, total } = WHOLE_YEARS) {
+  const m = COMPOUNDING[compounding].periods;
+  const p = first / second;
+  const q = total / second;
+  if (m == null) return { dS1: -p, dS2: q };
+  const a = 1 + s1 / 100 / m;
+  const b = 1 + s2 / 100 / m;
+  return { dS1: -p * Math.pow(b, q) / Math.pow(a, p + 1), dS2: q * Math.pow(b, q - 1) / Math.pow(a, p) };
+}
+
+/**
+ * @typedef {{
+ *   forwardRate: number,
+ *   investment: number,
+ *   accrual: Accrual,
+ *   strategy1Final: number,
+ *   strategy2Final: number,
+ *   strategy1Year1Value: number,
+ *   cashFlowData: Record<string, number | string>[],
+ *   arbitrage: Arbitrage | null,
+ *   forwardMatrix: ForwardMatrix,
+ * }} ForwardRateModel
+ */
+
+/**
+ * The two-strategy model: invest for one year and roll at f(1,1), or for two years at s2.
+ * With a day count other than whole years, each period accrues its actual year fraction.
+ * @param {{ s1: number, s2: number, extraSpots?: number[], compounding?: Compounding, marketForward?: number | null, notional?: number,
+ *   investment?: number, dayCount?: DayCount, startDate?: string, endDate?: string }} inputs
+ *   rates in %; `extraSpots` extends the curve past year 2 for the forward matrix;
+ *   `investment` is what each strategy puts in at year 0
+ * @returns {Result<ForwardRateModel>}
+ */
+export function calculateForwardRates({
+  s1,
+  s2,
+  extraSpots = [],
+  compounding = "annual",
+  marketForward = null,
+  notional = 100,
+  investment = 100,
+  dayCount = "years",
+  startDate = "",
+  endDate = "",
+}) {
+  const matrix = calculateForwardMatrix([s1, s2, ...extraSpots], compounding);
+  if (!matrix.ok) return matrix;
+  const schedule = accrualSchedule({ dayCount, startDate, endDate });
+  if (!schedule.ok) return schedule;
+  const accrual = schedule.value;
+
+  const r1 = s1 / 100;
+  const r2 = s2 / 100;
+
+  const forwardRate = rateFromGrowth(
+    growthFactor(r2, accrual.total, compounding) / growthFactor(r1, accrual.first, compounding),
+    accrual.second,
+    compounding
+  );
+  const forwardRatePct = forwardRate * 100;
+  if (!Number.isFinite(forwardRatePct)) return fail(error("infiniteForward"));
+
+  const strategy1Year1 = investment * growthFactor(r1, accrual.first, compounding);
+  const strategy1Year2 = strategy1Year1 * growthFactor(forwardRate, accrual.second, compounding);
+  const strategy2Year2 = investment * growthFactor(r2, accrual.total, compounding);
+
+  const cashFlowData = [
+    {
+      period: 0,
+      periodLabel: "0",
+      strategy1Cash: -investment,
+      strategy2Cash: -investment,
+      twoYearLine: r2 * 100,
+    },
+    {
+      period: 1,
+      periodLabel: "1",
+      strategy1Maturity: strategy1Year1,
+      strategy1Reinvest: -strategy1Year1,
+      strategy2Cash: 0,
+      oneYearRate: r1 * 100,
+      twoYearLine: r2 * 100,
+    },
+    {
+      period: 2,
+      periodLabel: "2",
+      strategy1Cash: strategy1Year2,
+      strategy2Cash: strategy2Year2,
+      forwardRate: forwardRatePct,
+      twoYearLine: r2 * 100,
+    }
+  ];
+
+  if (accrual.dates) cashFlowData.forEach((row, period) => { row.date = accrual.dates[period]; });
+
+  const arbitrage = calculateArbitrage({ s1, compounding, forwardRate: forwardRatePct, marketForward, notional, accrual });
+  if (arbitrage) {
+    arbitrage.legs.forEach(leg => {
+      leg.cashFlows.forEach((cash, period) => {
+        if (cash !== 0) cashFlowData[period][leg.key] = cash;
+      });
+    });
+  }
+
+  return ok({
+    forwardRate: forwardRatePct,
+    investment,
+    accrual,
+    strategy1Final: strategy1Year2,
+    strategy2Final: strategy2Year2,
+    strategy1Year1Value: strategy1Year1,
+    cashFlowData,
+    arbitrage,
+    forwardMatrix: matrix.value,
+  });
+}
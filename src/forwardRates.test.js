@@ -0,0 +1,384 @@
+import { describe, it, expect } from "vitest";
+import fc from "fast-check";
+import {
+  COMPOUNDING,
+  MIN_RATE,
+  MAX_RATE,
+  growthFactor,
+  rateFromGrowth,
+  discountFactor,
+  convertRate,
+  spotToForward,
+  forwardsToSpots,
+  calculateForwardMatrix,
+  INTERPOLATION_METHODS,
+  interpolateSpotCurve,
+  forwardBetween,
+  bootstrapSpotCurve,
+  parYieldsToBonds,
+  spotsToParYields,
+  calculateArbitrage,
+  fraSettlementPayment,
+  priceFra,
+  horizonReturns,
+  addYears,
+  yearFraction,
+  accrualSchedule,
+  decomposeForward,
+  forwardRateAt,
+  forwardRateSensitivity,
+  calculateForwardRates,
+} from "./forwardRates.js";
+
+const conventions = Object.keys(COMPOUNDING);
+const rate = fc.double({ min: -5, max: 30, noNaN: true });
+const curve = fc.array(rate, { minLength: 1, maxLength: 10 });
+const convention = fc.constantFrom(...conventions);
+
+describe("compounding", () => {
+  it("matches the textbook growth factors", () => {
+    expect(growthFactor(0.08, 2, "annual")).toBeCloseTo(1.1664, 12);
+    expect(growthFactor(0.08, 2, "semiannual")).toBeCloseTo(Math.pow(1.04, 4), 12);
+    expect(growthFactor(0.08, 2, "continuous")).toBeCloseTo(Math.exp(0.16), 12);
+  });
+
+  it("rateFromGrowth inverts growthFactor", () => {
+    fc.assert(fc.property(rate, fc.integer({ min: 1, max: 30 }), convention, (r, years, c) => {
+      expect(rateFromGrowth(growthFactor(r / 100, years, c), years, c) * 100).toBeCloseTo(r, 8);
+    }));
+  });
+
+  it("discount factors are reciprocal growth", () => {
+    expect(discountFactor(6.3, 1)).toBeCloseTo(1 / 1.063, 12);
+    expect(discountFactor(8, 2)).toBeCloseTo(1 / 1.1664, 12);
+  });
+
+  it("converts between conventions and back", () => {
+    expect(convertRate(8, "semiannual", "annual")).toBeCloseTo(8.16, 10);
+    fc.assert(fc.property(rate, convention, convention, (r, from, to) => {
+      expect(convertRate(convertRate(r, from, to), to, from)).toBeCloseTo(r, 8);
+    }));
+  });
+});
+
+describe("spotToForward", () => {
+  it("reproduces the curriculum example f(1,1) from 6.3% and 8.0%", () => {
+    const result = spotToForward([6.3, 8.0], 1, 1);
+    expect(result.ok).toBe(true);
+    expect(result.value).toBeCloseTo(9.7272, 4);
+  });
+
+  it("returns the spot rate for a start of year 0", () => {
+    expect(spotToForward([6.3, 8.0], 0, 2).value).toBeCloseTo(8.0, 10);
+  });
+
+  it("reports an error instead of a value for horizons past the curve", () => {
+    expect(spotToForward([6.3, 8.0], 2, 1)).toEqual({
+      ok: false,
+      message: { key: "errors.missingSpot", params: { start: 2, tenor: 1, maturity: 3 } },
+    });
+  });
+
+  it("rejects rates outside the accepted range", () => {
+    expect(spotToForward([MAX_RATE + 1, 8], 1, 1).ok).toBe(false);
+    expect(spotToForward([MIN_RATE - 1, 8], 1, 1).ok).toBe(false);
+    expect(spotToForward([6.3, 8], 1, 1, "weekly").ok).toBe(false);
+  });
+});
+
+describe("forwardsToSpots", () => {
+  it("round-trips spot → one-year forwards → spot", () => {
+    fc.assert(fc.property(curve, convention, (spots, c) => {
+      const forwards = spots.map((_, start) => spotToForward(spots, start, 1, c).value);
+      const result = forwardsToSpots(forwards, c);
+      expect(result.ok).toBe(true);
+      result.value.forEach((spot, i) => expect(spot).toBeCloseTo(spots[i], 8));
+    }));
+  });
+
+  it("fails on non-numeric forwards", () => {
+    expect(forwardsToSpots([5, NaN]).ok).toBe(false);
+  });
+});
+
+describe("calculateForwardMatrix", () => {
+  it("chains forwards consistently: f(0,a) then f(a,b) compounds to f(0,a+b)", () => {
+    fc.assert(fc.property(curve.filter(spots => spots.length >= 2), convention, (spots, c) => {
+      const { value: matrix } = calculateForwardMatrix(spots, c);
+      const n = matrix.maturities;
+      for (let a = 1; a < n; a++) {
+        const b = n - a;
+        const viaForward = growthFactor(spots[a - 1] / 100, a, c) * growthFactor(matrix.rows[a].cells[b - 1].rate / 100, b, c);
+        expect(viaForward).toBeCloseTo(growthFactor(spots[n - 1] / 100, n, c), 8);
+      }
+    }));
+  });
+});
+
+describe("interpolateSpotCurve", () => {
+  const methods = fc.constantFrom(...INTERPOLATION_METHODS);
+
+  it("passes through every knot", () => {
+    fc.assert(fc.property(curve, methods, convention, (spots, method, compounding) => {
+      const { rateAt } = interpolateSpotCurve(spots, method, compounding).value;
+      spots.forEach((spot, i) => expect(rateAt(i + 1)).toBeCloseTo(spot, 8));
+    }));
+  });
+
+  it("matches the textbook values between knots", () => {
+    const spots = [4, 5, 5.5];
+    expect(interpolateSpotCurve(spots, "linear").value.rateAt(1.5)).toBeCloseTo(4.5, 12);
+    // Natural spline through (1,4), (2,5), (3,5.5): M₂ = -0.75
+    expect(interpolateSpotCurve(spots, "cubicSpline").value.rateAt(1.5)).toBeCloseTo(4.5 + 0.75 * 0.375 / 6, 12);
+    expect(interpolateSpotCurve(spots, "linear").value.rateAt(0.5)).toBe(4);
+  });
+
+  it("keeps the one-year forwards of the whole-year curve", () => {
+    fc.assert(fc.property(curve.filter(spots => spots.length >= 2), methods, convention, (spots, method, compounding) => {
+      for (let start = 0; start < spots.length; start++) {
+        expect(forwardBetween(spots, start, start + 1, method, compounding).value)
+          .toBeCloseTo(spotToForward(spots, start, 1, compounding).value, 6);
+      }
+    }));
+  });
+
+  it("gives a flat forward inside each year on log discount factors", () => {
+    const spots = [6.3, 8, 8.5];
+    const yearForward = spotToForward(spots, 1, 1).value;
+    expect(forwardBetween(spots, 1.25, 1.75, "logDiscount").value).toBeCloseTo(yearForward, 8);
+  });
+
+  it("rejects times off the curve", () => {
+    expect(forwardBetween([5, 6], 1.5, 2.5).ok).toBe(false);
+    expect(forwardBetween([5, 6], 1, 0.5).ok).toBe(false);
+  });
+});
+
+describe("bootstrapSpotCurve", () => {
+  it("recovers the spot curve from coupon bonds priced off it", () => {
+    const result = bootstrapSpotCurve([
+      { coupon: 6, price: 6 / 1.063 + 106 / 1.1664, maturity: 2 },
+      { coupon: 5, price: 105 / 1.063, maturity: 1 },
+    ]);
+    expect(result.ok).toBe(true);
+    expect(result.value.spotRates).toEqual([6.3, 8]);
+    expect(result.value.steps).toHaveLength(2);
+  });
+
+  it("treats par yields as bonds priced at 100", () => {
+    expect(parYieldsToBonds([5, 6])).toEqual([
+      { coupon: 5, price: 100, maturity: 1 },
+      { coupon: 6, price: 100, maturity: 2 },
+    ]);
+    expect(bootstrapSpotCurve(parYieldsToBonds([5, 5, 5])).value.spotRates).toEqual([5, 5, 5]);
+  });
+
+  it("requires one bond per year", () => {
+    const result = bootstrapSpotCurve([{ coupon: 5, price: 100, maturity: 2 }]);
+    expect(result.ok).toBe(false);
+  });
+});
+
+describe("spotsToParYields", () => {
+  it("equals the spot rate on a flat curve", () => {
+    spotsToParYields([5, 5, 5]).value.forEach(parYield => expect(parYield).toBeCloseTo(5, 10));
+  });
+
+  it("bootstraps back to the spot curve it came from", () => {
+    fc.assert(fc.property(fc.array(fc.double({ min: 0, max: 20, noNaN: true }), { minLength: 1, maxLength: 10 }), spots => {
+      const parYields = spotsToParYields(spots).value;
+      const { spotRates } = bootstrapSpotCurve(parYieldsToBonds(parYields)).value;
+      spotRates.forEach((spot, i) => expect(spot).toBeCloseTo(spots[i], 3));
+    }));
+  });
+});
+
+describe("day counts", () => {
+  it("measures year fractions under each convention", () => {
+    expect(yearFraction("2025-01-15", "2026-01-15", "ACT/365")).toBe(1);
+    expect(yearFraction("2027-03-01", "2028-03-01", "ACT/365")).toBeCloseTo(366 / 365, 12);
+    expect(yearFraction("2025-01-15", "2026-01-15", "ACT/360")).toBeCloseTo(365 / 360, 12);
+    expect(yearFraction("2025-01-31", "2025-03-31", "30/360")).toBeCloseTo(60 / 360, 12);
+    expect(yearFraction("2025-02-28", "2025-03-31", "30/360")).toBeCloseTo(33 / 360, 12);
+  });
+
+  it("rolls 29 February to 28 February in a non-leap year", () => {
+    expect(addYears("2028-02-29", 1)).toBe("2029-02-28");
+    expect(addYears("2025-02-30", 1)).toBeNull();
+  });
+
+  it("splits the horizon at the 1-year date", () => {
+    const { value } = accrualSchedule({ dayCount: "ACT/360", startDate: "2025-01-15", endDate: "2027-01-15" });
+    expect(value.dates).toEqual(["2025-01-15", "2026-01-15", "2027-01-15"]);
+    expect(value.first + value.second).toBeCloseTo(value.total, 12);
+    expect(accrualSchedule({ dayCount: "ACT/360", startDate: "2025-01-15", endDate: "2025-12-31" }).ok).toBe(false);
+  });
+});
+
+describe("calculateArbitrage", () => {
+  const base = { s1: 6.3, compounding: "annual", forwardRate: forwardRateAt(6.3, 8), notional: 100 };
+
+  it("has no trade without a mispriced quote", () => {
+    expect(calculateArbitrage({ ...base, marketForward: null })).toBeNull();
+    expect(calculateArbitrage({ ...base, marketForward: base.forwardRate })).toBeNull();
+  });
+
+  it("nets to zero at years 0 and 1 and to the profit at year 2", () => {
+    fc.assert(fc.property(fc.double({ min: -5, max: 30, noNaN: true }), (marketForward) => {
+      const trade = calculateArbitrage({ ...base, marketForward });
+      if (!trade) return;
+      const net = [0, 1, 2].map(period => trade.legs.reduce((sum, leg) => sum + leg.cashFlows[period], 0));
+      expect(net[0]).toBeCloseTo(0, 8);
+      expect(net[1]).toBeCloseTo(0, 8);
+      expect(net[2]).toBeCloseTo(trade.profit, 8);
+      expect(trade.profit).toBeGreaterThan(0);
+    }));
+  });
+});
+
+describe("priceFra", () => {
+  const base = { s2: 8, forwardRate: forwardRateAt(6.3, 8), compounding: "annual", notional: 1000000, settlement: "advance" };
+
+  it("is worth nothing at inception when struck at the implied forward", () => {
+    const { value } = priceFra({ ...base, contractRate: base.forwardRate, realizedRate: 7 });
+    expect(value.valueAtInception).toBeCloseTo(0, 6);
+  });
+
+  it("discounts the forward interest difference with the 2-year spot rate", () => {
+    const { value } = priceFra({ ...base, contractRate: 9, realizedRate: 9 });
+    expect(value.valueAtInception).toBeCloseTo(1000000 * (base.forwardRate - 9) / 100 / 1.1664, 4);
+    expect(value.settlementPayment).toBeCloseTo(0, 9);
+  });
+
+  it("pays in advance the year-2 amount discounted at the realized rate", () => {
+    fc.assert(fc.property(rate, rate, convention, (contractRate, realizedRate, compounding) => {
+      const params = { notional: 100, contractRate, realizedRate, compounding };
+      const arrears = fraSettlementPayment({ ...params, settlement: "arrears" });
+      const advance = fraSettlementPayment({ ...params, settlement: "advance" });
+      expect(advance * growthFactor(realizedRate / 100, 1, compounding)).toBeCloseTo(arrears, 8);
+    }));
+  });
+
+  it("rejects a missing notional or an out-of-range rate", () => {
+    expect(priceFra({ ...base, notional: 0, contractRate: 9, realizedRate: 9 }).ok).toBe(false);
+    expect(priceFra({ ...base, contractRate: 90, realizedRate: 9 }).ok).toBe(false);
+  });
+});
+
+describe("horizonReturns", () => {
+  const model = calculateForwardRates({ s1: 6.3, s2: 8 }).value;
+
+  it("sells the 2-year bond at year 1 at the realized rate", () => {
+    const { value } = horizonReturns({ ...model, compounding: "annual", realizedRate: 9 });
+    expect(value.salePrice).toBeCloseTo(116.64 / 1.09, 9);
+    expect(value.strategy1Return).toBeCloseTo(6.3, 9);
+    expect(value.strategy2Return).toBeCloseTo((116.64 / 1.09 / 100 - 1) * 100, 9);
+  });
+
+  it("breaks even at the implied forward", () => {
+    fc.assert(fc.property(rate, rate, convention, (s1, s2, compounding) => {
+      const result = calculateForwardRates({ s1, s2, compounding });
+      fc.pre(result.ok && result.value.forwardRate >= MIN_RATE && result.value.forwardRate <= MAX_RATE);
+      const { value } = horizonReturns({ ...result.value, compounding, realizedRate: result.value.forwardRate });
+      expect(value.excessReturn).toBeCloseTo(0, 8);
+    }));
+  });
+
+  it("earns the forward by rolling down an unchanged curve", () => {
+    const { value } = horizonReturns({ ...model, compounding: "annual", realizedRate: 6.3 });
+    expect(value.strategy2Return).toBeCloseTo(model.forwardRate, 9);
+  });
+
+  it("rejects a realized rate out of bounds", () => {
+    expect(horizonReturns({ ...model, compounding: "annual", realizedRate: 80 }).ok).toBe(false);
+  });
+});
+
+describe("decomposeForward", () => {
+  const forwardRate = forwardRateAt(6.3, 8);
+
+  it("adds the expected rate and premium back to the forward under every theory", () => {
+    fc.assert(fc.property(rate, fc.option(rate, { nil: null }), (expectedRate, termPremium) => {
+      decomposeForward({ forwardRate, expectedRate, termPremium }).value.theories.forEach(row => {
+        expect(row.expectedRate + row.premium).toBeCloseTo(forwardRate, 10);
+      });
+    }));
+  });
+
+  it("reads the premium from an expected rate, or the expected rate from a premium", () => {
+    const fromExpected = decomposeForward({ forwardRate, expectedRate: 9 }).value;
+    expect(fromExpected.impliedPremium).toBeCloseTo(forwardRate - 9, 12);
+    const fromPremium = decomposeForward({ forwardRate, termPremium: 0.5 }).value;
+    expect(fromPremium.theories[1].expectedRate).toBeCloseTo(forwardRate - 0.5, 12);
+    expect(decomposeForward({ forwardRate, expectedRate: 9, termPremium: 1 }).value.assumedPremiumGap)
+      .toBeCloseTo(1 - (forwardRate - 9), 12);
+  });
+
+  it("flags a negative premium under liquidity preference only", () => {
+    const [expectations, liquidity, habitat] = decomposeForward({ forwardRate, expectedRate: 11 }).value.theories;
+    expect([expectations.consistent, liquidity.consistent, habitat.consistent]).toEqual([false, false, true]);
+  });
+
+  it("needs an expected rate or a premium", () => {
+    expect(decomposeForward({ forwardRate }).ok).toBe(false);
+  });
+});
+
+describe("forwardRateSensitivity", () => {
+  it("agrees with finite differences of forwardRateAt", () => {
+    const h = 1e-5;
+    fc.assert(fc.property(rate, rate, convention, (s1, s2, c) => {
+      const { dS1, dS2 } = forwardRateSensitivity(s1, s2, c);
+      expect(dS1).toBeCloseTo((forwardRateAt(s1 + h, s2, c) - forwardRateAt(s1 - h, s2, c)) / (2 * h), 4);
+      expect(dS2).toBeCloseTo((forwardRateAt(s1, s2 + h, c) - forwardRateAt(s1, s2 - h, c)) / (2 * h), 4);
+    }));
+  });
+
+  it("follows the accrual fractions of a day count", () => {
+    const accrual = accrualSchedule({ dayCount: "ACT/360", startDate: "2025-01-15", endDate: "2027-01-15" }).value;
+    const dated = calculateForwardRates({ s1: 6.3, s2: 8, dayCount: "ACT/360", startDate: "2025-01-15", endDate: "2027-01-15" });
+    expect(forwardRateAt(6.3, 8, "annual", accrual)).toBeCloseTo(dated.value.forwardRate, 12);
+
+    const h = 1e-5;
+    fc.assert(fc.property(rate, rate, convention, (s1, s2, c) => {
+      const { dS1, dS2 } = forwardRateSensitivity(s1, s2, c, accrual);
+      expect(dS1).toBeCloseTo((forwardRateAt(s1 + h, s2, c, accrual) - forwardRateAt(s1 - h, s2, c, accrual)) / (2 * h), 4);
+      expect(dS2).toBeCloseTo((forwardRateAt(s1, s2 + h, c, accrual) - forwardRateAt(s1, s2 - h, c, accrual)) / (2 * h), 4);
+    }));
+  });
+});
+
+describe("calculateForwardRates", () => {
+  it("keeps the two-year example's numbers", () => {
+    const { ok, value } = calculateForwardRates({ s1: 6.3, s2: 8.0 });
+    expect(ok).toBe(true);
+    expect(value.forwardRate.toFixed(2)).toBe("9.73");
+    expect(value.strategy1Year1Value.toFixed(2)).toBe("106.30");
+    expect(value.strategy1Final.toFixed(2)).toBe("116.64");
+    expect(value.strategy2Final.toFixed(2)).toBe("116.64");
+    expect(value.cashFlowData).toHaveLength(3);
+  });
+
+  it("makes both strategies end equal under every convention", () => {
+    fc.assert(fc.property(rate, rate, convention, (s1, s2, c) => {
+      const { value } = calculateForwardRates({ s1, s2, compounding: c });
+      expect(value.strategy1Final).toBeCloseTo(value.strategy2Final, 8);
+    }));
+  });
+
+  it("scales with the investment and accrues actual year fractions", () => {
+    const { value } = calculateForwardRates({
+      s1: 6.3, s2: 8, investment: 2500, dayCount: "ACT/360", startDate: "2025-01-15", endDate: "2027-01-15",
+    });
+    expect(value.strategy1Year1Value).toBeCloseTo(2500 * Math.pow(1.063, 365 / 360), 8);
+    expect(value.strategy2Final).toBeCloseTo(2500 * Math.pow(1.08, 730 / 360), 8);
+    expect(value.strategy1Final).toBeCloseTo(value.strategy2Final, 8);
+    expect(value.cashFlowData[2].date).toBe("2027-01-15");
+  });
+
+  it("returns an error result for out-of-range inputs", () => {
+    const result = calculateForwardRates({ s1: 6.3, s2: 80 });
+    expect(result.ok).toBe(false);
+    expect(result.message).toMatchObject({ key: "errors.rateAboveMax", params: { max: 50 } });
+  });
+});
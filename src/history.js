@@ -0,0 +1,118 @@
+// Input history: an undo/redo stack of calculator states and an append-only log of every
+// edit, undo, redo and restore, exported as JSON so instructors can replay a session
+
+// Oldest undo steps and log records are dropped past these sizes
+export const MAX_STEPS = 100;
+export const MAX_LOG = 1000;
+
+// Typing "6", "6.", "6.5" into one field within this many milliseconds is one edit
+export const COALESCE_MS = 1500;
+
+/**
+ * @typedef {Object} Change
+ * @property {string} field Input key, e.g. "s1"
+ * @property {*} from
+ * @property {*} to
+ */
+
+/**
+ * @typedef {Object} Step
+ * @property {Object} inputs Calculator inputs after the step
+ * @property {Change[]} changes What differs from the step before
+ * @property {number|null} forwardRate f(1,1) for these inputs, or null if they are invalid
+ * @property {string} at ISO timestamp
+ */
+
+/**
+ * @typedef {Object} History
+ * @property {Step[]} steps Undo stack, oldest first
+ * @property {number} index The step currently shown
+ * @property {Array<Step & { action: "start"|"edit"|"undo"|"redo"|"restore" }>} log Everything, in order
+ */
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** @returns {Change[]} */
+export function diffInputs(before, after) {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return fields
+    .filter(field => !same(before[field], after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+}
+
+/** @returns {History} */
+export function createHistory(inputs, forwardRate = null, now = Date.now()) {
+  const step = { inputs, changes: [], forwardRate, at: new Date(now).toISOString() };
+  return { steps: [step], index: 0, log: [{ action: "start", ...step }] };
+}
+
+const appendLog = (log, record) => [...log, record].slice(-MAX_LOG);
+
+// Record the inputs the student arrived at. Inputs equal to the current step (an undo
+// landing, a re-render) change nothing; a new edit drops any redo steps.
+export function recordInputs(history, inputs, forwardRate, now = Date.now()) {
+  const current = history.steps[history.index];
+  if (same(current.inputs, inputs)) return history;
+
+  const at = new Date(now).toISOString();
+  const previous = history.steps[history.index - 1];
+  const lastLog = history.log[history.log.length - 1];
+  const changes = diffInputs(current.inputs, inputs);
+
+  // Keep typing in the same field as one step, measured from the state before it began
+  const continues = previous
+    && history.index === history.steps.length - 1
+    && lastLog.action === "edit"
+    && changes.length === 1
+    && current.changes.length === 1
+    && current.changes[0].field === changes[0].field
+    && now - Date.parse(current.at) < COALESCE_MS;
+
+  if (continues) {
+    const step = { inputs, changes: diffInputs(previous.inputs, inputs), forwardRate, at };
+    // Typed back to where it started: the edit never happened
+    if (step.changes.length === 0) {
+      return { steps: history.steps.slice(0, -1), index: history.index - 1, log: history.log.slice(0, -1) };
+    }
+    return {
+      steps: [...history.steps.slice(0, -1), step],
+      index: history.index,
+      log: [...history.log.slice(0, -1), { action: "edit", ...step }],
+    };
+  }
+
+  const step = { inputs, changes, forwardRate, at };
+  const steps = [...history.steps.slice(0, history.index + 1), step].slice(-MAX_STEPS);
+  return { steps, index: steps.length - 1, log: appendLog(history.log, { action: "edit", ...step }) };
+}
+
+// Move to step `index` (undo, redo or a timeline click), logging how the inputs changed
+export function moveTo(history, index, action = "restore", now = Date.now()) {
+  if (index < 0 || index >= history.steps.length || index === history.index) return history;
+  const from = history.steps[history.index];
+  const to = history.steps[index];
+  return {
+    steps: history.steps,
+    index,
+    log: appendLog(history.log, {
+      action,
+      inputs: to.inputs,
+      changes: diffInputs(from.inputs, to.inputs),
+      forwardRate: to.forwardRate,
+      at: new Date(now).toISOString(),
+    }),
+  };
+}
+
+export const undo = (history, now) => moveTo(history, history.index - 1, "undo", now);
+export const redo = (history, now) => moveTo(history, history.index + 1, "redo", now);
+
+// The exported session: every logged action with the inputs and forward rate after it
+export function historyLog(history, now = Date.now()) {
+  return {
+    format: "implied-forward-rate-history",
+    version: 1,
+    exportedAt: new Date(now).toISOString(),
+    entries: history.log,
+  };
+}
@@ -0,0 +1,90 @@
+import { describe, it, expect } from "vitest";
+import { COALESCE_MS, MAX_STEPS, createHistory, diffInputs, recordInputs, moveTo, undo, redo, historyLog } from "./history.js";
+
+const base = { s1: 6.3, s2: 8, compounding: "annual" };
+const T0 = Date.UTC(2026, 0, 5, 9, 0, 0);
+
+describe("diffInputs", () => {
+  it("lists changed fields, comparing arrays by value", () => {
+    expect(diffInputs({ ...base, extraSpots: [9] }, { ...base, s2: 7, extraSpots: [9] })).toEqual([{ field: "s2", from: 8, to: 7 }]);
+  });
+});
+
+describe("recordInputs", () => {
+  it("adds a step per edit and ignores unchanged inputs", () => {
+    let history = createHistory(base, 9.73, T0);
+    history = recordInputs(history, { ...base, s1: 5 }, 11.09, T0 + 5000);
+    expect(recordInputs(history, { ...base, s1: 5 }, 11.09, T0 + 9000)).toBe(history);
+    expect(history.steps).toHaveLength(2);
+    expect(history.steps[1]).toMatchObject({ changes: [{ field: "s1", from: 6.3, to: 5 }], forwardRate: 11.09 });
+  });
+
+  it("merges quick typing in one field into a single step", () => {
+    let history = createHistory(base, 9.73, T0);
+    history = recordInputs(history, { ...base, s1: 6 }, 10.04, T0 + 5000);
+    history = recordInputs(history, { ...base, s1: 6.5 }, 9.52, T0 + 5000 + COALESCE_MS / 2);
+    expect(history.steps).toHaveLength(2);
+    expect(history.steps[1].changes).toEqual([{ field: "s1", from: 6.3, to: 6.5 }]);
+    expect(history.log.map(record => record.action)).toEqual(["start", "edit"]);
+
+    history = recordInputs(history, { ...base, s1: 6.5, s2: 9 }, 11.56, T0 + 5000 + COALESCE_MS / 2 + 10);
+    expect(history.steps).toHaveLength(3);
+  });
+
+  it("drops an edit typed back to where it started", () => {
+    let history = createHistory(base, 9.73, T0);
+    history = recordInputs(history, { ...base, s1: 6 }, 10.04, T0 + 5000);
+    history = recordInputs(history, base, 9.73, T0 + 5100);
+    expect(history.steps).toHaveLength(1);
+    expect(history.log).toHaveLength(1);
+  });
+
+  it("keeps at most MAX_STEPS undo steps", () => {
+    let history = createHistory(base, null, T0);
+    for (let i = 1; i <= MAX_STEPS + 5; i++) history = recordInputs(history, { ...base, s1: i }, null, T0 + i * 10000);
+    expect(history.steps).toHaveLength(MAX_STEPS);
+    expect(history.index).toBe(MAX_STEPS - 1);
+    expect(history.log).toHaveLength(MAX_STEPS + 6);
+  });
+});
+
+describe("undo, redo and restore", () => {
+  const edited = [{ s1: 5 }, { s2: 9 }].reduce(
+    (history, change, i) => recordInputs(history, { ...history.steps[history.index].inputs, ...change }, null, T0 + (i + 1) * 10000),
+    createHistory(base, 9.73, T0)
+  );
+
+  it("do nothing at either end", () => {
+    const fresh = createHistory(base, 9.73, T0);
+    expect(undo(fresh)).toBe(fresh);
+  });
+
+  it("move through the steps and log each move", () => {
+    const back = undo(edited, T0 + 40000);
+    expect(back.steps[back.index].inputs).toEqual({ ...base, s1: 5 });
+    expect(back.log.at(-1)).toMatchObject({ action: "undo", changes: [{ field: "s2", from: 9, to: 8 }] });
+
+    const forward = redo(back, T0 + 41000);
+    expect(forward.index).toBe(2);
+    expect(redo(forward)).toBe(forward);
+
+    const restored = moveTo(edited, 0, "restore", T0 + 42000);
+    expect(restored.steps[restored.index].inputs).toEqual(base);
+    expect(restored.log.at(-1).action).toBe("restore");
+  });
+
+  it("drop the redo steps on a new edit but keep them in the log", () => {
+    const branched = recordInputs(undo(edited, T0 + 40000), { ...base, s1: 5, compounding: "monthly" }, null, T0 + 50000);
+    expect(branched.steps).toHaveLength(3);
+    expect(branched.steps[2].changes).toEqual([{ field: "compounding", from: "annual", to: "monthly" }]);
+    expect(branched.log.map(record => record.action)).toEqual(["start", "edit", "edit", "undo", "edit"]);
+  });
+});
+
+describe("historyLog", () => {
+  it("wraps the log with a format marker and export time", () => {
+    const log = historyLog(createHistory(base, 9.73, T0), T0 + 1000);
+    expect(log).toMatchObject({ format: "implied-forward-rate-history", version: 1, exportedAt: "2026-01-05T09:00:01.000Z" });
+    expect(log.entries[0]).toMatchObject({ action: "start", inputs: base, forwardRate: 9.73, at: "2026-01-05T09:00:00.000Z" });
+  });
+});
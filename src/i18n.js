@@ -0,0 +1,117 @@
+// UI translation: locale message catalogs with {placeholder} interpolation, plural forms,
+// and locale-aware formatting of rates, numbers and dates
+
+import en from "./locales/en.js";
+import es from "./locales/es.js";
+
+/**
+ * @typedef {"en" | "es"} Locale
+ * @typedef {{ key: string, params?: Record<string, unknown> }} Message
+ *   text to translate later, e.g. an error built by a module that has no locale;
+ *   params may themselves be Messages
+ * @typedef {(key: string | Message, params?: Record<string, unknown>) => string} Translate
+ * @typedef {{
+ *   locale: Locale,
+ *   tag: string,
+ *   t: Translate,
+ *   formatNumber: (value: number, digits?: number | null, options?: Intl.NumberFormatOptions) => string,
+ *   formatRate: (value: number, digits?: number | null, options?: Intl.NumberFormatOptions) => string,
+ *   formatDate: (iso: string) => string,
+ *   formatTime: (iso: string) => string,
+ *   currencyName: (code: string) => string,
+ * }} I18n
+ */
+
+/** UI languages; `tag` is the BCP 47 tag used for number and date formatting. */
+export const LOCALES = {
+  en: { name: "English", tag: "en-US", messages: en },
+  es: { name: "Español", tag: "es-ES", messages: es },
+};
+
+export const DEFAULT_LOCALE = "en";
+
+const LOCALE_KEY = "impliedForwardRate.locale";
+
+const lookup = (messages, key) => key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), messages);
+
+/**
+ * Translate `key`, filling {name} placeholders from `params`. Keys missing from a catalog
+ * fall back to English, then to the key itself. A catalog entry may be an object of plural
+ * forms ({ one, other }), picked by `params.count`.
+ * @param {Locale} locale
+ * @param {string} key - dotted path into the catalog, e.g. "results.title"
+ * @param {Record<string, unknown>} [params]
+ * @returns {string}
+ */
+export function translate(locale, key, params = {}) {
+  const { tag, messages } = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  let template = lookup(messages, key) ?? lookup(en, key);
+  if (template && typeof template === "object" && typeof params.count === "number") {
+    template = template[new Intl.PluralRules(tag).select(params.count)] ?? template.other;
+  }
+  if (typeof template !== "string") return key;
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value == null) return placeholder;
+    return typeof value === "object" ? translate(locale, value.key, value.params) : String(value);
+  });
+}
+
+/**
+ * Everything the UI needs for one language. Intl formatters are cached, since charts
+ * format every tick and label on each render.
+ * @param {Locale} locale
+ * @returns {I18n}
+ */
+export function createI18n(locale) {
+  const { tag } = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  const formatters = new Map();
+  const formatter = (Format, options) => {
+    const id = `${Format.name}:${JSON.stringify(options)}`;
+    if (!formatters.has(id)) formatters.set(id, new Format(tag, options));
+    return formatters.get(id);
+  };
+  // `digits` fixes the decimals; null shows up to four, as a value was typed
+  const decimals = (digits) => (digits == null
+    ? { maximumFractionDigits: 4 }
+    : { minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+  return {
+    locale,
+    tag,
+    t: (key, params) => (typeof key === "object" ? translate(locale, key.key, key.params) : translate(locale, key, params)),
+    formatNumber: (value, digits = 2, options = {}) => formatter(Intl.NumberFormat, { ...decimals(digits), ...options }).format(value),
+    // Rates are in percent (6.3 means 6.3%), as everywhere else in the app
+    formatRate: (value, digits = 2, options = {}) =>
+      formatter(Intl.NumberFormat, { style: "percent", ...decimals(digits), ...options }).format(value / 100),
+    formatDate: (iso) => formatter(Intl.DateTimeFormat, { dateStyle: "medium", timeZone: "UTC" }).format(new Date(`${iso}T00:00:00Z`)),
+    // Clock time of a full ISO timestamp, in the user's time zone
+    formatTime: (iso) => formatter(Intl.DateTimeFormat, { timeStyle: "medium" }).format(new Date(iso)),
+    currencyName: (code) => formatter(Intl.DisplayNames, { type: "currency" }).of(code),
+  };
+}
+
+/**
+ * Saved language, else the first browser language with a catalog, else English.
+ * @returns {Locale}
+ */
+export function preferredLocale() {
+  try {
+    const saved = window.localStorage.getItem(LOCALE_KEY);
+    if (LOCALES[saved]) return saved;
+  } catch {
+    // Storage can be disabled; fall through to the browser languages
+  }
+  const languages = window.navigator.languages || [window.navigator.language];
+  const match = languages.map(language => String(language).split("-")[0]).find(language => LOCALES[language]);
+  return match || DEFAULT_LOCALE;
+}
+
+export function saveLocale(locale) {
+  try {
+    window.localStorage.setItem(LOCALE_KEY, locale);
+  } catch {
+    // The choice still applies for this visit
+  }
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import { LOCALES, createI18n, translate } from "./i18n.js";
+import { parseCurveTable } from "./curveImport.js";
+
+// Every leaf of a catalog as "dotted.key" -> sorted placeholder names
+function placeholders(messages, prefix = "") {
+  return Object.entries(messages).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === "object") return placeholders(value, path);
+    return [[path, [...value.matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort().join(",")]];
+  });
+}
+
+describe("translate", () => {
+  it("fills placeholders and picks plural forms", () => {
+    expect(translate("en", "results.final", { value: "$116.64" })).toBe("Final: $116.64");
+    expect(translate("en", "scenarios.imported", { count: 1 })).toBe("Imported 1 scenario");
+    expect(translate("es", "scenarios.imported", { count: 3 })).toBe("Importados 3 escenarios");
+  });
+
+  it("translates Message params, as error labels are", () => {
+    const label = { key: "labels.spotRate", params: { year: 2 } };
+    expect(translate("en", "errors.rateAboveMax", { label, max: 50 })).toBe("2-year spot rate cannot exceed 50%");
+    expect(translate("es", "errors.rateAboveMax", { label, max: 50 })).toBe("El tipo al contado del año 2 no puede superar el 50 %");
+  });
+
+  it("falls back to English, then to the key", () => {
+    expect(translate("fr", "cards.results")).toBe("Results");
+    expect(translate("es", "no.such.key")).toBe("no.such.key");
+  });
+});
+
+describe("createI18n", () => {
+  it("formats rates and numbers for the locale", () => {
+    expect(createI18n("en").formatRate(6.3)).toBe("6.30%");
+    expect(createI18n("es").formatRate(6.3)).toBe("6,30\u00a0%");
+    expect(createI18n("es").formatNumber(1.0139, null)).toBe("1,0139");
+  });
+
+  it("accepts a Message in place of a key", () => {
+    expect(createI18n("es").t({ key: "errors.beyondCurve", params: { years: 3 } })).toBe("La curva solo llega hasta el año 3");
+  });
+});
+
+describe("catalogs", () => {
+  it("give every locale the same keys and placeholders as English", () => {
+    const english = placeholders(LOCALES.en.messages);
+    Object.values(LOCALES).forEach(({ messages }) => expect(placeholders(messages)).toEqual(english));
+  });
+});
+
+describe("parseCurveTable messages", () => {
+  it("are written in the requested locale", () => {
+    const result = parseCurveTable("1,6.3\n2,abc", { locale: "es" });
+    expect(result.errors).toEqual({ line2: 'Línea 2: el tipo "abc" no es un número' });
+  });
+});
@@ -0,0 +1,641 @@
+// English UI text. Every other catalog mirrors these keys; {name} marks a placeholder,
+// and an object of { one, other } forms is chosen by the `count` parameter.
+// Rates and money arrive already formatted for the locale.
+
+export default {
+  app: {
+    title: "Implied Forward Rate",
+    language: "Language",
+    theme: "Theme",
+    modes: "Mode",
+    explore: "Calculator",
+    compare: "Compare",
+    practice: "Practice",
+  },
+
+  themes: {
+    system: "System",
+    light: "Light",
+    dark: "Dark",
+    contrast: "High contrast",
+  },
+
+  cards: {
+    practice: "Practice: Implied Forward Rate",
+    comparison: "Scenario Comparison",
+    results: "Results",
+    bootstrap: "Bootstrap Derivation",
+    matrix: "Implied Forward Matrix",
+    equivalents: "Compounding Equivalents",
+    arbitrage: "Arbitrage Trade",
+    chart: "Forward Rate Analysis",
+    theory: "Is the Forward a Forecast?",
+    termStructure: "Term Structure",
+    fra: "FRA Pricing",
+    horizon: "Horizon Analysis",
+    interpolation: "Curve Interpolation",
+    sensitivity: "Sensitivity Analysis",
+    calculator: "Implied Forward Rate Calculator",
+    history: "History",
+    scenarios: "Scenarios",
+  },
+
+  common: {
+    moreInfo: "More information",
+    required: "required",
+    optional: "Optional",
+    cancel: "Cancel",
+    ok: "OK",
+    remove: "Remove",
+    year: "Year",
+    yearLabel: "Year: {year}",
+    noCashFlow: "No cash flow",
+    notAvailable: "Not available",
+    listSeparator: " · ",
+    addMaturity: "+ Add maturity",
+    removeMaturity: "Remove {year}-year",
+  },
+
+  validation: {
+    title: "Please correct the following:",
+  },
+
+  warnings: {
+    title: "Note on this rate environment:",
+    invertedCurve:
+      "Inverted curve: the 2-year rate ({s2}) is below the 1-year rate ({s1}), so the implied forward f(1,1) of {forward} is below both. The market is pricing in lower short-term rates ahead, e.g. expected central-bank cuts.",
+    flatCurve:
+      "Flat curve: with equal 1- and 2-year rates the implied forward equals the spot rate, so the market expects no change in short-term rates.",
+    negativeSpot:
+      "Negative spot rate: lenders pay to hold the bond, so money invested today returns less than was put in (as seen in EUR and JPY markets). The no-arbitrage relationship still holds.",
+    negativeForward:
+      "Negative forward: f({start},{tenor}) = {rate}. Money locked in for that future period shrinks, which happens when the market expects rates to be pushed below zero.",
+  },
+
+  // Field names used inside error messages
+  labels: {
+    spotRate: "{year}-year spot rate",
+    parYield: "{year}-year par yield",
+    marketForward: "Market forward rate",
+    expectedRate: "Expected 1-year rate",
+    termPremium: "Term premium",
+    contractRate: "Contract rate",
+    realizedRate: "Realized rate",
+    importedRate: "Line {line}: rate",
+  },
+
+  errors: {
+    rateRequired: "{label} is required",
+    rateEmpty: "Enter a rate",
+    rateUnreadable: '"{text}" is not a rate: try 6.3, 6.3%, 0.063 or 630bp',
+    rateNotNumber: "{label} must be a number",
+    rateBelowMin: "{label} cannot be below {min}%",
+    rateAboveMax: "{label} cannot exceed {max}%",
+    unknownCompounding: 'Unknown compounding convention "{compounding}"',
+    unknownDayCount: 'Unknown day-count convention "{dayCount}"',
+    unknownInterpolation: 'Unknown interpolation method "{method}"',
+    unknownSettlement: 'Unknown settlement convention "{settlement}"',
+    emptyCurve: "The spot curve needs at least one rate",
+    invalidStartDate: "Enter a valid start date",
+    invalidEndDate: "Enter a valid end date",
+    endBeforeOneYear: "The end date must be after the 1-year date ({date})",
+    forwardHorizon: "Start must be a whole year ≥ 0 and tenor a whole number of years ≥ 1",
+    missingSpot: "f({start},{tenor}) needs a {maturity}-year spot rate",
+    forwardsNotNumbers: "Forward rates must be numbers",
+    forwardsWipeOut: "Forward rates up to year {year} wipe out the investment",
+    timesOutOfOrder: "The end time must be after the start time, which cannot be negative",
+    beyondCurve: "The curve only reaches {years} years",
+    noBonds: "Enter at least one bond to bootstrap a curve",
+    bondMaturities: "Bond maturities must cover each year 1, 2, 3, … exactly once",
+    nonPositiveDiscount: "The {maturity}-year bond implies a non-positive discount factor",
+    fraNotional: "FRA notional must be positive",
+    decompositionInput: "Enter an expected future 1-year rate or a term-premium assumption",
+    infiniteForward: "These spot rates do not imply a finite forward rate",
+    notional: "Notional must be positive",
+    investment: "Amount invested must be positive",
+    bondCoupon: "Bond {bond} coupon must be between 0% and 50%",
+    bondPrice: "Bond {bond} price must be positive",
+    bondMaturity: "Bond {bond} maturity must be a whole number of years",
+    tooFewMaturities: "Enter at least two maturities to bootstrap a curve",
+  },
+
+  compounding: {
+    annual: { label: "Annual", adverb: "annually" },
+    semiannual: { label: "Semiannual (bond-equivalent)", adverb: "semiannually" },
+    quarterly: { label: "Quarterly", adverb: "quarterly" },
+    monthly: { label: "Monthly", adverb: "monthly" },
+    continuous: { label: "Continuous", adverb: "continuously" },
+  },
+
+  dayCounts: {
+    years: "Whole years",
+    "30/360": "30/360",
+    "ACT/360": "ACT/360",
+    "ACT/365": "ACT/365 Fixed",
+  },
+
+  interpolationMethods: {
+    linear: "Linear on rates",
+    logDiscount: "Linear on log discount factors",
+    cubicSpline: "Natural cubic spline",
+  },
+
+  settlements: {
+    advance: "In advance (year 1, discounted)",
+    arrears: "In arrears (year 2)",
+  },
+
+  arbitrageLegs: {
+    arbShortLeg: { borrowLong: "Lend 1-Year", borrowShort: "Borrow 1-Year" },
+    arbLongLeg: { borrowLong: "Borrow 2-Year", borrowShort: "Lend 2-Year" },
+    arbFraLeg: { borrowLong: "FRA: Lend Forward", borrowShort: "FRA: Borrow Forward" },
+  },
+
+  theories: {
+    expectations: {
+      name: "Pure expectations",
+      consistent: "The forward is an unbiased forecast of the 1-year rate in one year.",
+      inconsistent: "The theory forces a zero premium, so it forecasts {forward} rather than {expected}.",
+    },
+    liquidity: {
+      name: "Liquidity preference",
+      consistent: "Investors demand a positive premium for lending longer, so the forward overstates the expected rate.",
+      inconsistent: "A negative premium contradicts liquidity preference, which requires extra pay for longer maturities.",
+    },
+    habitat: {
+      name: "Preferred habitat",
+      positive: "Scarce demand at the 2-year maturity pushes its yield up, adding a positive premium.",
+      negative: "Excess demand at the 2-year maturity (e.g. from pension funds) pushes its yield down, giving a negative premium.",
+    },
+  },
+
+  presets: {
+    curriculum: "Curriculum example ({s1} / {s2})",
+    flat: "Flat curve ({s1} / {s2})",
+    inverted: "Inverted curve ({s1} / {s2})",
+    negative: "Negative rates ({s1} / {s2})",
+  },
+
+  walkthrough: {
+    start: "▶ Step-by-step walkthrough",
+    controls: "Walkthrough controls (use the left and right arrow keys to move between steps)",
+    back: "← Back",
+    next: "Next →",
+    showAll: "Show all",
+    stepOf: "Step {step} of {total}: {title}",
+    invest: {
+      title: "Year 0: both strategies invest",
+      caption:
+        "Both strategies start by investing {investment} today. The one-year strategy buys a 1-year bond at {s1}; the two-year strategy buys a 2-year bond at {s2}.",
+    },
+    maturity: {
+      title: "Year 1: the 1-year bond matures",
+      caption: "After one year the 1-year bond pays back {value}: the {investment} plus interest at {s1}.",
+    },
+    reinvest: {
+      title: "Year 1: reinvest at the forward rate",
+      caption: "The {value} is reinvested for year 2 at the forward rate f(1,1) = {forward}, a rate that can be locked in today.",
+    },
+    compound: {
+      title: "Years 0–2: the 2-year bond compounds",
+      caption: "Meanwhile the 2-year bond compounds at {s2} for both years and pays {value} at year 2.",
+    },
+    equal: {
+      title: "Year 2: both strategies are equal",
+      caption:
+        "The one-year strategy also ends with {value}. Because both paths pay the same, no arbitrage is possible: f(1,1) is exactly the rate that makes them equal.",
+    },
+  },
+
+  chart: {
+    export: "Export:",
+    printView: "Print view",
+    downloaded: "{format} downloaded",
+    exportFailed: "Export failed: {error}",
+    notRendered: "Chart is not rendered yet",
+    oneYearInitial: "One-Year: Initial/Final",
+    oneYearMaturity: "One-Year: Maturity (+)",
+    oneYearReinvest: "One-Year: Reinvest (-)",
+    twoYear: "Two-Year Strategy",
+    arbitrageLeg: "Arb: {leg}",
+    oneYearRate: "1Y Rate: {rate}",
+    forward: "Forward: {rate}",
+    twoYearRate: "2Y Rate: {rate}",
+    expectedWithTheory: "Expected 1Y rate ({theory})",
+    forwardWithTheory: "Forward ({theory})",
+    termPremiumValue: "Term premium: {rate}",
+    negativePremiumValue: "Negative premium: {rate}",
+    title: "Forward Rate Analysis Chart",
+    description:
+      "This chart compares two investment strategies of {investment} each. The One-Year Strategy invests for 1 year then reinvests at the forward rate of {forward}. The Two-Year Strategy invests for the full 2 years at {s2}. All rates are compounded {adverb}. Both yield {final}.",
+    descriptionDates: " Interest accrues {dayCount} from {start} to {middle} and then to {end}.",
+    descriptionArbitrage:
+      " The market forward of {market} differs from the implied forward, so the arbitrage trade shown locks in a riskless profit of {profit} at year 2.",
+    descriptionDecomposition:
+      " Under {theory}, the forward splits into an expected 1-year rate of {expected} plus a term premium of {premium}, shown as a stacked bar at year 2.",
+    rateAxis: "Interest Rates (%)",
+    cashAxis: "Cash Flows ({currency})",
+    forwardRate: "Forward Rate",
+    expectedRate: "Expected Rate",
+    termPremium: "Term Premium",
+    negativePremium: "Negative Premium",
+    twoYearLine: "2Y Rate ({rate})",
+    oneYearSpot: "1Y Spot Rate",
+    tableCaption: "Forward rate analysis data showing cash flows and rates for both strategies",
+    oneYearStrategy: "One-Year Strategy",
+    interestRates: "Interest Rates",
+    arbitrageLegs: "Arbitrage Legs",
+    maturityCash: "Maturity: {value}",
+    reinvestCash: "Reinvest: {value}",
+    oneYearCell: "1Y: {rate}",
+    forwardCell: "Forward: {rate}",
+    twoYearCell: "2Y: {rate}",
+    legCash: "{leg}: {value}",
+    twoYearSpot: "2Y Spot Rate",
+    roleDescription: "interactive chart",
+    keyboardHelp:
+      "Use the arrow keys to explore the data: Left and Right move between years, Up and Down between the values of a year, Home and End jump to the first and last year.",
+    pointAnnouncement: "Year {year}, {series}: {value}. Point {index} of {count}.",
+    sound: "Play a tone for each point (higher pitch, higher value)",
+    showTable: "Show data table",
+    hideTable: "Hide data table",
+  },
+
+  // Column headers of the cash-flow CSV export
+  csv: {
+    year: "Year",
+    date: "Date",
+    oneYearInitial: "One-Year Strategy: Initial/Final ({currency})",
+    oneYearMaturity: "One-Year Strategy: Maturity ({currency})",
+    oneYearReinvest: "One-Year Strategy: Reinvest ({currency})",
+    twoYear: "Two-Year Strategy ({currency})",
+    oneYearRate: "Interest Rates: 1Y (%)",
+    forwardRate: "Interest Rates: Forward (%)",
+    twoYearRate: "Interest Rates: 2Y (%)",
+    arbitrageLeg: "Arbitrage: {leg} ({currency})",
+  },
+
+  termStructure: {
+    spot: "Spot rate",
+    forward: "1-year forward f(t−1,1)",
+    par: "Par yield (annual coupon)",
+    dragHint: "Drag a spot point up or down to reshape the curve.",
+    noDragHint: "Spot points can be dragged when the curve is entered as spot rates.",
+    lockedHint: "The curve is set by this page and cannot be changed here.",
+    title: "Term Structure Chart",
+    description:
+      "Spot rates, one-year forward rates and par yields for maturities of 1 to {maturities} years, compounded {adverb}. Spot rates run from {spotFrom} to {spotTo}; one-year forwards run from {forwardFrom} to {forwardTo}.",
+    maturityAxis: "Maturity (years)",
+    rateAxis: "Rate (%)",
+    tableCaption: "Term structure: spot rates, one-year forward rates and par yields by maturity",
+    spotColumn: "Spot Rate",
+    forwardColumn: "1-Year Forward f(t−1,1)",
+    parColumn: "Par Yield",
+  },
+
+  interpolation: {
+    method: "Interpolation",
+    start: "Start t₁ (years)",
+    end: "End t₂ (years)",
+    months: "{count}m",
+    years: "{count}y",
+    forwardFromTo: "Forward from {start} to {end}",
+    forwardDetail: ": the {length} rate starting in {start}, compounded {adverb} ({method})",
+    byMethod: "By method: {rates}",
+    methodRate: "{method} {rate}",
+    title: "Interpolated Curve Chart",
+    description:
+      "The spot curve between the {maturities} whole-year spot rates ({method}), which are marked as points, with the 3-month forward rate along the curve. Spot rates run from {from} to {to}.",
+    maturityAxis: "Maturity (years)",
+    tooltipTime: "t = {time} years",
+    spot: "Spot rate",
+    forward: "3-month forward",
+    knots: "Input spot rate",
+    tableCaption: "Interpolated spot and 3-month forward rates every half year",
+    spotColumn: "Spot Rate",
+    forwardColumn: "3-Month Forward",
+    beyondCurve: "Beyond the curve",
+  },
+
+  theory: {
+    expectedRate: "Expected 1-year rate in one year (%)",
+    expectedRateHelp: "Your forecast of the 1-year spot rate at year 1",
+    termPremium: "Term premium (%)",
+    termPremiumHelp: "Extra return investors require for the longer maturity; used when no expected rate is entered",
+    showInChart: "Show in chart",
+    prompt: "{error} to see how each theory splits the forward of {forward}.",
+    caption: "f(1,1) = {forward} = expected 1-year rate in one year + term premium",
+    theoryColumn: "Theory",
+    expectedColumn: "Expected rate",
+    premiumColumn: "Premium",
+    readingColumn: "Reading",
+    premiumGap:
+      "Your expected rate implies a premium of {implied}, which differs from the assumed {assumed} by {gap} percentage points; the table uses the expected rate.",
+  },
+
+  arbitrage: {
+    comparison: "Market forward {market} {sign} implied f(1,1) {forward}",
+    borrowLong: "The quoted forward is too high: borrow long, lend short, and lend forward at the market rate through the FRA.",
+    borrowShort: "The quoted forward is too low: borrow short, lend long, and borrow forward at the market rate through the FRA.",
+    notional: "Notional moved from year 1 to year 2: {notional} (rates compounded {adverb})",
+    caption: "Cash flows of each leg (negative = paid out)",
+    leg: "Leg",
+    yearColumn: "Year {year}",
+    net: "Net",
+    profit: "Riskless profit at year 2: {profit}",
+  },
+
+  fra: {
+    notional: "Notional ({currency})",
+    contractRate: "Contract rate (%)",
+    realizedRate: "Realized 1-year rate at year 1 (%)",
+    settlement: "Settlement",
+    year1: "year 1",
+    year2: "year 2",
+    valueAtInception: "Value at inception",
+    valueExplanation:
+      "Buyer pays {contract} and receives the year-1 rate; the implied forward is {forward}. The interest difference at f(1,1) is discounted from year 2 at the 2-year spot rate of {s2}.",
+    settlementAt: "Settlement at {year}",
+    paidTo: "Paid to the buyer when the 1-year rate is {rate} at year 1",
+    paidBy: "Paid by the buyer when the 1-year rate is {rate} at year 1",
+    discounted: ", discounted one period at that rate.",
+    undiscounted: ".",
+    title: "FRA Payoff Chart",
+    description:
+      "Settlement payment to the FRA buyer at {year} for realized 1-year rates from {from} to {to}. The payoff is zero at the contract rate of {contract}, rises as the realized rate climbs above it, and is {payment} at the entered realized rate.",
+    rateAxis: "Realized 1-year rate at year 1",
+    payment: "Settlement to buyer",
+    tooltipRate: "Realized rate: {rate}",
+    tableCaption: "FRA settlement payment to the buyer by realized 1-year rate",
+    rateColumn: "Realized Rate",
+    paymentColumn: "Settlement to Buyer",
+  },
+
+  horizon: {
+    realizedRate: "Realized 1-year rate at year 1",
+    rangeFrom: "Chart from",
+    rangeTo: "to",
+    rangeOrder: "The chart range must end above where it starts",
+    oneYear: "1-year bond, held to maturity",
+    twoYear: "2-year bond, sold at year 1",
+    valueAtHorizon: "Worth {value} at year 1",
+    salePrice: "Sells for {price} at year 1",
+    holdingReturn: "Holding-period return",
+    ahead: "The 2-year bond returns {points} percentage points more: the realized rate is below the breakeven, the implied forward of {forward}.",
+    behind: "The 2-year bond returns {points} percentage points less: the realized rate is above the breakeven, the implied forward of {forward}.",
+    even: "Both strategies return the same: the realized rate is the breakeven, the implied forward of {forward}.",
+    rollDown:
+      "If the curve is unchanged, the 1-year rate at year 1 is still {s1} and the 2-year bond rolls down the curve, returning {rate} against {s1} for the 1-year bond.",
+    title: "Holding-Period Return Chart",
+    description:
+      "Holding-period returns to year 1 for realized 1-year rates from {from} to {to}. The 1-year bond returns {oneYear} whatever the rate; the 2-year bond's return falls as the rate rises and crosses it at the implied forward of {forward}.",
+    rateAxis: "Realized 1-year rate at year 1",
+    returnAxis: "Return to year 1",
+    breakeven: "Breakeven f(1,1)",
+    unchanged: "Curve unchanged",
+    tooltipRate: "Realized rate: {rate}",
+    tableCaption: "Holding-period returns to year 1 by realized 1-year rate",
+    rateColumn: "Realized Rate",
+    salePriceColumn: "2-Year Bond Sale Price",
+    oneYearColumn: "1-Year Bond Return",
+    twoYearColumn: "2-Year Bond Return",
+  },
+
+  results: {
+    forwardLabel: "Implied Forward Rate f(1,1)",
+    forwardDetail: " - the 1-year rate starting in year 1",
+    quoted: "All rates quoted with {compounding} compounding",
+    accrual: "{dayCount} accrual: {start} → {middle} ({first} yr) → {end} ({second} yr)",
+    formula: "Formula: {formula}",
+    arbitrage: "⚠ Arbitrage: market forward of {market} locks in a riskless {profit} at year 2",
+    noArbitrage: "✓ No arbitrage: both strategies yield {final}",
+    oneYear: "One-Year Strategy",
+    twoYear: "Two-Year Strategy",
+    firstPeriod: "Year 0 → 1: {investment} @ {s1} = {value}",
+    secondPeriod: "Year 1 → 2: {value} @ {forward} = {final}",
+    fullPeriod: "Year 0 → 2: {investment} @ {s2} {adverb}",
+    compound: "Compound: {expression} = {growth}",
+    final: "Final: {value}",
+  },
+
+  equivalents: {
+    customRate: "Custom rate (%)",
+    customCompounding: "Custom rate compounding",
+    custom: "Custom",
+    caption: "Equivalent rates: each column grows $1 by the same amount in one year.",
+    compounding: "Compounding",
+  },
+
+  bootstrap: {
+    parYields: "Par yields pay annual coupons. Spot rates are quoted with {compounding} compounding.",
+    bonds: "Coupon bonds pay annual coupons. Spot rates are quoted with {compounding} compounding.",
+    formula: "Formula: P = C × (DF₁ + … + DFₙ₋₁) + (100 + C) × DFₙ",
+    year: "Year {year}",
+  },
+
+  inputs: {
+    mode: "Input",
+    modeHelp: "Enter spot rates directly, or bootstrap them from par yields or coupon bond prices",
+    spot: "Spot rates",
+    par: "Par yields",
+    bonds: "Coupon bonds",
+    compounding: "Compounding",
+    compoundingHelp: "All spot and forward rates are quoted with this convention",
+    spotRate: "{year}-Year Spot Rate (%)",
+    spotRateHelp: "Enter as percentage (e.g., {example} for {rate}); {decimal} and {bp} work too. Arrow keys or the mouse wheel step by {step} (Shift: ×10)",
+    readsAs: "Read as {rate}",
+    parYield: "{year}-Year Par Yield (%)",
+    bond: "Bond {bond}",
+    coupon: "Coupon (%)",
+    price: "Price",
+    maturity: "Maturity (yrs)",
+    removeBond: "Remove bond {bond}",
+    addBond: "+ Add bond",
+    marketForward: "Market Forward Rate (%)",
+    marketForwardHelp: "Optional quoted forward/FRA rate; leave blank for no arbitrage",
+    notional: "Notional ({currency})",
+    notionalHelp: "Amount the arbitrage trade moves from year 1 to year 2",
+    investment: "Amount Invested ({currency})",
+    investmentHelp: "What each strategy invests at year 0",
+    currency: "Currency",
+    currencyOption: "{code} – {name}",
+    dayCount: "Day Count",
+    dayCountHelp: "Whole years treats each period as exactly one year; the other conventions accrue interest between real dates",
+    startDate: "Start Date",
+    endDate: "End Date",
+    endDateHelp: "The 2-year strategy matures here; the 1-year leg ends on the first anniversary of the start date",
+  },
+
+  matrix: {
+    caption: "f(a,b): the b-year rate starting in year a. Row a = 0 is the spot curve.",
+    start: "Start (a)",
+    tenor: "b = {tenor}",
+    spotRow: "0 (spot)",
+  },
+
+  sensitivity: {
+    s1Min: "s₁ min (%)",
+    s1Max: "s₁ max (%)",
+    s2Min: "s₂ min (%)",
+    s2Max: "s₂ max (%)",
+    step: "Step (%)",
+    s1Range: "s₁ maximum must be above the minimum",
+    s2Range: "s₂ maximum must be above the minimum",
+    stepPositive: "Grid step must be positive",
+    rateRange: "Grid rates must stay between {min} and {max}",
+    gridSize: "Grid has {count} points; use a larger step (limit {limit})",
+    current:
+      "At the current inputs: ∂f/∂s₁ = {dS1}, ∂f/∂s₂ = {dS2} (a 1-point rise in s₂ moves f(1,1) by about {move} points).",
+    heatmapTitle: "Forward rate f(1,1) over s₁ and s₂",
+    heatmapDescription:
+      "Heatmap of the implied forward rate for s1 from {s1Min} to {s1Max} and s2 from {s2Min} to {s2Max}. The forward rises with s2 and falls with s1. Crosshairs mark the current inputs of {s1} and {s2}.",
+    hovered: "s₁ = {s1}, s₂ = {s2} → f(1,1) = {forward}",
+    s1Axis: "1-Year Spot Rate s₁ (%)",
+    s2Axis: "2-Year Spot Rate s₂ (%)",
+    dS1Title: "∂f/∂s₁ (s₂ held at {s2})",
+    dS2Title: "∂f/∂s₂ (s₁ held at {s1})",
+  },
+
+  scenarios: {
+    presets: "Presets:",
+    copyLink: "Copy share link",
+    name: "Scenario name",
+    save: "Save current",
+    exportJson: "Export JSON",
+    importJson: "Import JSON",
+    importFile: "Import scenarios from JSON file",
+    saved: 'Saved "{name}"',
+    linkCopied: "Link copied to clipboard",
+    copyFailed: "Copy failed: use the address bar link instead",
+    importFailed: "Import failed: {error}",
+    imported: { one: "Imported {count} scenario", other: "Imported {count} scenarios" },
+    invalidJson: "File is not valid JSON",
+    noScenarios: "No scenarios with a name and inputs were found",
+    library: "Saved scenarios",
+    newName: "New name for {name}",
+    load: "Load",
+    rename: "Rename",
+    delete: "Delete",
+    deleteEntry: "Delete {name}",
+  },
+
+  history: {
+    undo: "Undo",
+    redo: "Redo",
+    exportJson: "Export log (JSON)",
+    shortcuts: "Outside a text field, Ctrl+Z undoes and Ctrl+Y or Ctrl+Shift+Z redoes (⌘ on a Mac). Click a step to go back to it.",
+    timeline: "Input changes, newest first",
+    step: "Step {number}",
+    start: "Starting inputs",
+    change: "{field}: {from} → {to}",
+    forward: "f(1,1) = {rate}",
+    invalid: "no valid result",
+    none: "none",
+    bonds: { one: "{count} bond", other: "{count} bonds" },
+    showing: "Showing step {number} of {total}",
+    exported: { one: "Exported {count} log entry", other: "Exported {count} log entries" },
+    fields: {
+      s1: "1-year spot rate",
+      s2: "2-year spot rate",
+      extraSpots: "Longer spot rates",
+      compounding: "Compounding",
+      marketForward: "Market forward rate",
+      notional: "Notional",
+      investment: "Amount invested",
+      currency: "Currency",
+      dayCount: "Day count",
+      startDate: "Start date",
+      endDate: "End date",
+      expectedRate: "Expected 1-year rate",
+      termPremium: "Term premium",
+      premiumTheory: "Theory",
+      inputMode: "Input",
+      parYields: "Par yields",
+      bonds: "Coupon bonds",
+    },
+  },
+
+  print: {
+    print: "Print",
+    back: "Back to calculator",
+  },
+
+  curveImport: {
+    open: "Import curve…",
+    title: "Import Spot Curve",
+    intro:
+      "Paste two columns, maturity and spot rate, or choose a CSV file. Headers, delimiters and maturities in months (6M, 18 months) or years (2Y) are detected. Rates are read in percent unless the header says decimal or you choose decimals below. Nothing leaves your browser.",
+    table: "Curve table",
+    file: "CSV file",
+    loaded: "Loaded {file}",
+    detected: "Detected: {details}",
+    header: "header row found",
+    noHeader: "no header row",
+    delimiters: { "\t": "tab-separated", ",": "comma-separated", ";": "semicolon-separated", " ": "space-separated" },
+    decimal: "rates as decimals (0.05 = 5%)",
+    percent: "rates in percent",
+    scale: "Rates are",
+    scales: { auto: "Detected from the table", percent: "In percent (5 = 5%)", decimal: "Decimals (0.05 = 5%)" },
+    months: "maturities in months",
+    years: "maturities in years",
+    notes: "Import notes:",
+    caption: "Curve to be used",
+    maturity: "Maturity",
+    rate: "Spot rate",
+    yearRow: "{year}-year",
+    use: "Use this curve",
+    // Messages from reading the table
+    empty: "Paste a table or choose a CSV file with maturity and rate columns",
+    headerOnly: "The table has a header row but no data rows",
+    badMaturity: 'Line {line}: maturity "{text}" is not a number of years or months',
+    badRate: 'Line {line}: rate "{text}" is not a number',
+    nonPositiveMaturity: "Line {line}: maturity must be greater than zero",
+    repeatedMaturity: "Line {line}: maturity {maturity} years repeats line {previous}",
+    skipped: {
+      one: "Skipped {count} point that is not a whole year from 1 to {max}: {points}",
+      other: "Skipped {count} points that are not whole years from 1 to {max}: {points}",
+    },
+    skippedPoint: "{maturity}y",
+    needsOneYear: "The curve needs a 1-year rate and at least one longer whole-year maturity",
+    interpolated: "Filled missing year(s) {years} by linear interpolation",
+    ambiguousScale: "No rate has a % sign or reaches 1, so they were read in percent. If 0.05 means 5%, choose decimals.",
+  },
+
+  comparison: {
+    current: "Current inputs",
+    add: "Add scenario",
+    currentOption: "Current calculator inputs",
+    addButton: "+ Add",
+    count: "{count} of {max} scenarios · the first column is the baseline",
+    caption: "Forward rate and terminal value of each scenario, with the difference from the baseline",
+    scenario: "Scenario",
+    terminal: "Terminal value",
+    forwardDelta: "Δ f(1,1) vs baseline",
+    terminalDelta: "Δ terminal vs baseline",
+    baselineRow: "{name} (baseline)",
+    baseline: "Baseline",
+    points: "{value} pp",
+    section: "Scenario: {name}",
+    remove: "Remove {name}",
+  },
+
+  practice: {
+    seed: "Problem set seed",
+    seedHelp: "Share a seed so the whole class gets the same problems",
+    rateTolerance: "Rate tolerance (± pp)",
+    moneyTolerance: "Value tolerance (± $)",
+    score: "Score: {correct} / {attempted}",
+    problem: "Problem {number}",
+    statement:
+      "The 1-year spot rate is {s1} and the 2-year spot rate is {s2} ({compounding} compounding). An investor has {investment} to invest for two years.",
+    forwardRate: "Implied forward rate f(1,1) (%)",
+    strategy1Final: "One-Year Strategy value at year 2 ($)",
+    strategy2Final: "Two-Year Strategy value at year 2 ($)",
+    correct: "✓ Correct",
+    expected: "✗ Expected {value}",
+    check: "Check answers",
+    next: "Next problem",
+    allCorrect: "All answers correct.",
+    notQuite: "Not quite. Here is the worked solution:",
+  },
+};
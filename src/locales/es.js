@@ -0,0 +1,636 @@
+// Spanish UI text, key for key with en.js
+
+export default {
+  app: {
+    title: "Tipo de interés forward implícito",
+    language: "Idioma",
+    theme: "Tema",
+    modes: "Modo",
+    explore: "Calculadora",
+    compare: "Comparar",
+    practice: "Práctica",
+  },
+
+  themes: {
+    system: "Sistema",
+    light: "Claro",
+    dark: "Oscuro",
+    contrast: "Alto contraste",
+  },
+
+  cards: {
+    practice: "Práctica: tipo forward implícito",
+    comparison: "Comparación de escenarios",
+    results: "Resultados",
+    bootstrap: "Derivación por bootstrapping",
+    matrix: "Matriz de tipos forward implícitos",
+    equivalents: "Equivalencias de capitalización",
+    arbitrage: "Operación de arbitraje",
+    chart: "Análisis del tipo forward",
+    theory: "¿Es el forward una previsión?",
+    termStructure: "Estructura temporal",
+    fra: "Valoración del FRA",
+    horizon: "Análisis de horizonte",
+    interpolation: "Interpolación de la curva",
+    sensitivity: "Análisis de sensibilidad",
+    calculator: "Calculadora del tipo forward implícito",
+    history: "Historial",
+    scenarios: "Escenarios",
+  },
+
+  common: {
+    moreInfo: "Más información",
+    required: "obligatorio",
+    optional: "Opcional",
+    cancel: "Cancelar",
+    ok: "Aceptar",
+    remove: "Quitar",
+    year: "Año",
+    yearLabel: "Año: {year}",
+    noCashFlow: "Sin flujo de caja",
+    notAvailable: "No disponible",
+    listSeparator: " · ",
+    addMaturity: "+ Añadir vencimiento",
+    removeMaturity: "Quitar el año {year}",
+  },
+
+  validation: {
+    title: "Corrija lo siguiente:",
+  },
+
+  warnings: {
+    title: "Nota sobre este entorno de tipos:",
+    invertedCurve:
+      "Curva invertida: el tipo a 2 años ({s2}) está por debajo del tipo a 1 año ({s1}), así que el forward implícito f(1,1) de {forward} queda por debajo de ambos. El mercado descuenta tipos a corto plazo más bajos, por ejemplo recortes esperados del banco central.",
+    flatCurve:
+      "Curva plana: con tipos a 1 y 2 años iguales, el forward implícito coincide con el tipo al contado, así que el mercado no espera cambios en los tipos a corto plazo.",
+    negativeSpot:
+      "Tipo al contado negativo: los prestamistas pagan por tener el bono, de modo que el dinero invertido hoy devuelve menos de lo aportado (como se ha visto en los mercados del EUR y el JPY). La relación de no arbitraje se sigue cumpliendo.",
+    negativeForward:
+      "Forward negativo: f({start},{tenor}) = {rate}. El dinero comprometido para ese periodo futuro se reduce, lo que ocurre cuando el mercado espera tipos por debajo de cero.",
+  },
+
+  labels: {
+    spotRate: "El tipo al contado del año {year}",
+    parYield: "El rendimiento a la par del año {year}",
+    marketForward: "El tipo forward de mercado",
+    expectedRate: "El tipo esperado a 1 año",
+    termPremium: "La prima por plazo",
+    contractRate: "El tipo del contrato",
+    realizedRate: "El tipo realizado",
+    importedRate: "Línea {line}: el tipo",
+  },
+
+  errors: {
+    rateRequired: "{label} no tiene valor",
+    rateEmpty: "Introduzca un tipo",
+    rateUnreadable: '"{text}" no es un tipo: pruebe 6,3, 6,3 %, 0,063 o 630 pb',
+    rateNotNumber: "{label} debe ser un número",
+    rateBelowMin: "{label} no puede ser inferior a {min} %",
+    rateAboveMax: "{label} no puede superar el {max} %",
+    unknownCompounding: 'Convención de capitalización desconocida "{compounding}"',
+    unknownDayCount: 'Convención de cómputo de días desconocida "{dayCount}"',
+    unknownInterpolation: 'Método de interpolación desconocido "{method}"',
+    unknownSettlement: 'Convención de liquidación desconocida "{settlement}"',
+    emptyCurve: "La curva de contado necesita al menos un tipo",
+    invalidStartDate: "Introduzca una fecha de inicio válida",
+    invalidEndDate: "Introduzca una fecha de fin válida",
+    endBeforeOneYear: "La fecha de fin debe ser posterior a la fecha de 1 año ({date})",
+    forwardHorizon: "El inicio debe ser un año entero ≥ 0 y el plazo un número entero de años ≥ 1",
+    missingSpot: "f({start},{tenor}) necesita el tipo al contado del año {maturity}",
+    forwardsNotNumbers: "Los tipos forward deben ser números",
+    forwardsWipeOut: "Los tipos forward hasta el año {year} anulan la inversión",
+    timesOutOfOrder: "El momento final debe ser posterior al inicial, que no puede ser negativo",
+    beyondCurve: "La curva solo llega hasta el año {years}",
+    noBonds: "Introduzca al menos un bono para construir la curva",
+    bondMaturities: "Los vencimientos de los bonos deben cubrir cada año 1, 2, 3, … exactamente una vez",
+    nonPositiveDiscount: "El bono con vencimiento en el año {maturity} implica un factor de descuento no positivo",
+    fraNotional: "El nominal del FRA debe ser positivo",
+    decompositionInput: "Introduzca un tipo a 1 año esperado o una hipótesis de prima por plazo",
+    infiniteForward: "Estos tipos al contado no implican un tipo forward finito",
+    notional: "El nominal debe ser positivo",
+    investment: "El importe invertido debe ser positivo",
+    bondCoupon: "El cupón del bono {bond} debe estar entre el 0 % y el 50 %",
+    bondPrice: "El precio del bono {bond} debe ser positivo",
+    bondMaturity: "El vencimiento del bono {bond} debe ser un número entero de años",
+    tooFewMaturities: "Introduzca al menos dos vencimientos para construir la curva",
+  },
+
+  compounding: {
+    annual: { label: "Anual", adverb: "anualmente" },
+    semiannual: { label: "Semestral (equivalente de bono)", adverb: "semestralmente" },
+    quarterly: { label: "Trimestral", adverb: "trimestralmente" },
+    monthly: { label: "Mensual", adverb: "mensualmente" },
+    continuous: { label: "Continua", adverb: "de forma continua" },
+  },
+
+  dayCounts: {
+    years: "Años enteros",
+    "30/360": "30/360",
+    "ACT/360": "ACT/360",
+    "ACT/365": "ACT/365 fijo",
+  },
+
+  interpolationMethods: {
+    linear: "Lineal en tipos",
+    logDiscount: "Lineal en log de factores de descuento",
+    cubicSpline: "Spline cúbico natural",
+  },
+
+  settlements: {
+    advance: "Por adelantado (año 1, descontado)",
+    arrears: "Al vencimiento (año 2)",
+  },
+
+  arbitrageLegs: {
+    arbShortLeg: { borrowLong: "Prestar a 1 año", borrowShort: "Pedir prestado a 1 año" },
+    arbLongLeg: { borrowLong: "Pedir prestado a 2 años", borrowShort: "Prestar a 2 años" },
+    arbFraLeg: { borrowLong: "FRA: prestar a plazo", borrowShort: "FRA: pedir prestado a plazo" },
+  },
+
+  theories: {
+    expectations: {
+      name: "Expectativas puras",
+      consistent: "El forward es una previsión insesgada del tipo a 1 año dentro de un año.",
+      inconsistent: "La teoría impone una prima nula, así que prevé {forward} en lugar de {expected}.",
+    },
+    liquidity: {
+      name: "Preferencia por la liquidez",
+      consistent: "Los inversores exigen una prima positiva por prestar a más plazo, así que el forward sobrestima el tipo esperado.",
+      inconsistent: "Una prima negativa contradice la preferencia por la liquidez, que exige una remuneración extra por plazos más largos.",
+    },
+    habitat: {
+      name: "Hábitat preferido",
+      positive: "La escasa demanda en el vencimiento a 2 años eleva su rendimiento y añade una prima positiva.",
+      negative: "El exceso de demanda en el vencimiento a 2 años (por ejemplo, de fondos de pensiones) rebaja su rendimiento y da una prima negativa.",
+    },
+  },
+
+  presets: {
+    curriculum: "Ejemplo del temario ({s1} / {s2})",
+    flat: "Curva plana ({s1} / {s2})",
+    inverted: "Curva invertida ({s1} / {s2})",
+    negative: "Tipos negativos ({s1} / {s2})",
+  },
+
+  walkthrough: {
+    start: "▶ Recorrido paso a paso",
+    controls: "Controles del recorrido (use las flechas izquierda y derecha para cambiar de paso)",
+    back: "← Atrás",
+    next: "Siguiente →",
+    showAll: "Mostrar todo",
+    stepOf: "Paso {step} de {total}: {title}",
+    invest: {
+      title: "Año 0: ambas estrategias invierten",
+      caption:
+        "Ambas estrategias empiezan invirtiendo {investment} hoy. La estrategia a un año compra un bono a 1 año al {s1}; la estrategia a dos años compra un bono a 2 años al {s2}.",
+    },
+    maturity: {
+      title: "Año 1: vence el bono a 1 año",
+      caption: "Al cabo de un año el bono a 1 año devuelve {value}: los {investment} más los intereses al {s1}.",
+    },
+    reinvest: {
+      title: "Año 1: reinversión al tipo forward",
+      caption: "Los {value} se reinvierten durante el año 2 al tipo forward f(1,1) = {forward}, un tipo que puede fijarse hoy.",
+    },
+    compound: {
+      title: "Años 0–2: el bono a 2 años capitaliza",
+      caption: "Mientras tanto, el bono a 2 años capitaliza al {s2} durante ambos años y paga {value} en el año 2.",
+    },
+    equal: {
+      title: "Año 2: ambas estrategias coinciden",
+      caption:
+        "La estrategia a un año también termina con {value}. Como ambos caminos pagan lo mismo, no hay arbitraje posible: f(1,1) es exactamente el tipo que los iguala.",
+    },
+  },
+
+  chart: {
+    export: "Exportar:",
+    printView: "Vista de impresión",
+    downloaded: "{format} descargado",
+    exportFailed: "Error al exportar: {error}",
+    notRendered: "El gráfico aún no se ha dibujado",
+    oneYearInitial: "Un año: inicial/final",
+    oneYearMaturity: "Un año: vencimiento (+)",
+    oneYearReinvest: "Un año: reinversión (-)",
+    twoYear: "Estrategia a dos años",
+    arbitrageLeg: "Arb.: {leg}",
+    oneYearRate: "Tipo 1A: {rate}",
+    forward: "Forward: {rate}",
+    twoYearRate: "Tipo 2A: {rate}",
+    expectedWithTheory: "Tipo 1A esperado ({theory})",
+    forwardWithTheory: "Forward ({theory})",
+    termPremiumValue: "Prima por plazo: {rate}",
+    negativePremiumValue: "Prima negativa: {rate}",
+    title: "Gráfico de análisis del tipo forward",
+    description:
+      "Este gráfico compara dos estrategias de inversión de {investment} cada una. La estrategia a un año invierte durante 1 año y luego reinvierte al tipo forward del {forward}. La estrategia a dos años invierte los 2 años completos al {s2}. Todos los tipos capitalizan {adverb}. Ambas rinden {final}.",
+    descriptionDates: " Los intereses se devengan según {dayCount} del {start} al {middle} y después hasta el {end}.",
+    descriptionArbitrage:
+      " El forward de mercado del {market} difiere del forward implícito, así que la operación de arbitraje mostrada asegura un beneficio sin riesgo de {profit} en el año 2.",
+    descriptionDecomposition:
+      " Según {theory}, el forward se divide en un tipo a 1 año esperado del {expected} más una prima por plazo del {premium}, que se muestran como barra apilada en el año 2.",
+    rateAxis: "Tipos de interés (%)",
+    cashAxis: "Flujos de caja ({currency})",
+    forwardRate: "Tipo forward",
+    expectedRate: "Tipo esperado",
+    termPremium: "Prima por plazo",
+    negativePremium: "Prima negativa",
+    twoYearLine: "Tipo 2A ({rate})",
+    oneYearSpot: "Tipo al contado 1A",
+    tableCaption: "Datos del análisis del tipo forward con los flujos de caja y los tipos de ambas estrategias",
+    oneYearStrategy: "Estrategia a un año",
+    interestRates: "Tipos de interés",
+    arbitrageLegs: "Patas del arbitraje",
+    maturityCash: "Vencimiento: {value}",
+    reinvestCash: "Reinversión: {value}",
+    oneYearCell: "1A: {rate}",
+    forwardCell: "Forward: {rate}",
+    twoYearCell: "2A: {rate}",
+    legCash: "{leg}: {value}",
+    twoYearSpot: "Tipo al contado 2A",
+    roleDescription: "gráfico interactivo",
+    keyboardHelp:
+      "Use las flechas para recorrer los datos: izquierda y derecha cambian de año, arriba y abajo recorren los valores del año, Inicio y Fin van al primer y al último año.",
+    pointAnnouncement: "Año {year}, {series}: {value}. Punto {index} de {count}.",
+    sound: "Reproducir un tono en cada punto (más agudo, más alto el valor)",
+    showTable: "Mostrar tabla de datos",
+    hideTable: "Ocultar tabla de datos",
+  },
+
+  csv: {
+    year: "Año",
+    date: "Fecha",
+    oneYearInitial: "Estrategia a un año: inicial/final ({currency})",
+    oneYearMaturity: "Estrategia a un año: vencimiento ({currency})",
+    oneYearReinvest: "Estrategia a un año: reinversión ({currency})",
+    twoYear: "Estrategia a dos años ({currency})",
+    oneYearRate: "Tipos de interés: 1A (%)",
+    forwardRate: "Tipos de interés: forward (%)",
+    twoYearRate: "Tipos de interés: 2A (%)",
+    arbitrageLeg: "Arbitraje: {leg} ({currency})",
+  },
+
+  termStructure: {
+    spot: "Tipo al contado",
+    forward: "Forward a 1 año f(t−1,1)",
+    par: "Rendimiento a la par (cupón anual)",
+    dragHint: "Arrastre un punto de contado hacia arriba o hacia abajo para cambiar la curva.",
+    noDragHint: "Los puntos de contado se pueden arrastrar cuando la curva se introduce como tipos al contado.",
+    lockedHint: "La curva la fija esta página y no se puede cambiar aquí.",
+    title: "Gráfico de la estructura temporal",
+    description:
+      "Tipos al contado, tipos forward a un año y rendimientos a la par para vencimientos de 1 a {maturities} años, capitalizados {adverb}. Los tipos al contado van del {spotFrom} al {spotTo}; los forwards a un año van del {forwardFrom} al {forwardTo}.",
+    maturityAxis: "Vencimiento (años)",
+    rateAxis: "Tipo (%)",
+    tableCaption: "Estructura temporal: tipos al contado, tipos forward a un año y rendimientos a la par por vencimiento",
+    spotColumn: "Tipo al contado",
+    forwardColumn: "Forward a 1 año f(t−1,1)",
+    parColumn: "Rendimiento a la par",
+  },
+
+  interpolation: {
+    method: "Interpolación",
+    start: "Inicio t₁ (años)",
+    end: "Fin t₂ (años)",
+    months: "{count} m",
+    years: "{count} a",
+    forwardFromTo: "Forward de {start} a {end}",
+    forwardDetail: ": el tipo a {length} que empieza en {start}, capitalizado {adverb} ({method})",
+    byMethod: "Por método: {rates}",
+    methodRate: "{method} {rate}",
+    title: "Gráfico de la curva interpolada",
+    description:
+      "La curva de contado entre los {maturities} tipos al contado de años enteros ({method}), marcados como puntos, con el tipo forward a 3 meses a lo largo de la curva. Los tipos al contado van del {from} al {to}.",
+    maturityAxis: "Vencimiento (años)",
+    tooltipTime: "t = {time} años",
+    spot: "Tipo al contado",
+    forward: "Forward a 3 meses",
+    knots: "Tipo al contado introducido",
+    tableCaption: "Tipos al contado interpolados y forwards a 3 meses cada medio año",
+    spotColumn: "Tipo al contado",
+    forwardColumn: "Forward a 3 meses",
+    beyondCurve: "Fuera de la curva",
+  },
+
+  theory: {
+    expectedRate: "Tipo a 1 año esperado dentro de un año (%)",
+    expectedRateHelp: "Su previsión del tipo al contado a 1 año en el año 1",
+    termPremium: "Prima por plazo (%)",
+    termPremiumHelp: "Rentabilidad extra que exigen los inversores por el vencimiento más largo; se usa si no se introduce un tipo esperado",
+    showInChart: "Mostrar en el gráfico",
+    prompt: "{error} para ver cómo divide cada teoría el forward del {forward}.",
+    caption: "f(1,1) = {forward} = tipo a 1 año esperado dentro de un año + prima por plazo",
+    theoryColumn: "Teoría",
+    expectedColumn: "Tipo esperado",
+    premiumColumn: "Prima",
+    readingColumn: "Interpretación",
+    premiumGap:
+      "Su tipo esperado implica una prima del {implied}, que difiere de la supuesta del {assumed} en {gap} puntos porcentuales; la tabla usa el tipo esperado.",
+  },
+
+  arbitrage: {
+    comparison: "Forward de mercado {market} {sign} f(1,1) implícito {forward}",
+    borrowLong: "El forward cotizado es demasiado alto: pida prestado a largo, preste a corto y preste a plazo al tipo de mercado mediante el FRA.",
+    borrowShort: "El forward cotizado es demasiado bajo: pida prestado a corto, preste a largo y pida prestado a plazo al tipo de mercado mediante el FRA.",
+    notional: "Nominal trasladado del año 1 al año 2: {notional} (tipos capitalizados {adverb})",
+    caption: "Flujos de caja de cada pata (negativo = pagado)",
+    leg: "Pata",
+    yearColumn: "Año {year}",
+    net: "Neto",
+    profit: "Beneficio sin riesgo en el año 2: {profit}",
+  },
+
+  fra: {
+    notional: "Nominal ({currency})",
+    contractRate: "Tipo del contrato (%)",
+    realizedRate: "Tipo a 1 año realizado en el año 1 (%)",
+    settlement: "Liquidación",
+    year1: "el año 1",
+    year2: "el año 2",
+    valueAtInception: "Valor al inicio",
+    valueExplanation:
+      "El comprador paga el {contract} y recibe el tipo del año 1; el forward implícito es del {forward}. La diferencia de intereses a f(1,1) se descuenta desde el año 2 al tipo al contado a 2 años del {s2}.",
+    settlementAt: "Liquidación en {year}",
+    paidTo: "Lo recibe el comprador cuando el tipo a 1 año es del {rate} en el año 1",
+    paidBy: "Lo paga el comprador cuando el tipo a 1 año es del {rate} en el año 1",
+    discounted: ", descontado un periodo a ese tipo.",
+    undiscounted: ".",
+    title: "Gráfico de liquidación del FRA",
+    description:
+      "Liquidación al comprador del FRA en {year} para tipos a 1 año realizados del {from} al {to}. El resultado es nulo al tipo del contrato del {contract}, crece cuando el tipo realizado lo supera y es de {payment} al tipo realizado introducido.",
+    rateAxis: "Tipo a 1 año realizado en el año 1",
+    payment: "Liquidación al comprador",
+    tooltipRate: "Tipo realizado: {rate}",
+    tableCaption: "Liquidación del FRA al comprador según el tipo a 1 año realizado",
+    rateColumn: "Tipo realizado",
+    paymentColumn: "Liquidación al comprador",
+  },
+
+  horizon: {
+    realizedRate: "Tipo a 1 año realizado en el año 1",
+    rangeFrom: "Gráfico desde",
+    rangeTo: "hasta",
+    rangeOrder: "El rango del gráfico debe terminar por encima de donde empieza",
+    oneYear: "Bono a 1 año, hasta el vencimiento",
+    twoYear: "Bono a 2 años, vendido en el año 1",
+    valueAtHorizon: "Vale {value} en el año 1",
+    salePrice: "Se vende por {price} en el año 1",
+    holdingReturn: "Rentabilidad del periodo de tenencia",
+    ahead: "El bono a 2 años rinde {points} puntos porcentuales más: el tipo realizado está por debajo del punto muerto, el forward implícito del {forward}.",
+    behind: "El bono a 2 años rinde {points} puntos porcentuales menos: el tipo realizado está por encima del punto muerto, el forward implícito del {forward}.",
+    even: "Ambas estrategias rinden lo mismo: el tipo realizado es el punto muerto, el forward implícito del {forward}.",
+    rollDown:
+      "Si la curva no cambia, el tipo a 1 año en el año 1 sigue siendo del {s1} y el bono a 2 años se desliza por la curva, con una rentabilidad del {rate} frente al {s1} del bono a 1 año.",
+    title: "Gráfico de rentabilidad del periodo de tenencia",
+    description:
+      "Rentabilidades hasta el año 1 para tipos a 1 año realizados del {from} al {to}. El bono a 1 año rinde el {oneYear} sea cual sea el tipo; la rentabilidad del bono a 2 años baja cuando el tipo sube y lo cruza en el forward implícito del {forward}.",
+    rateAxis: "Tipo a 1 año realizado en el año 1",
+    returnAxis: "Rentabilidad hasta el año 1",
+    breakeven: "Punto muerto f(1,1)",
+    unchanged: "Curva sin cambios",
+    tooltipRate: "Tipo realizado: {rate}",
+    tableCaption: "Rentabilidades hasta el año 1 según el tipo a 1 año realizado",
+    rateColumn: "Tipo realizado",
+    salePriceColumn: "Precio de venta del bono a 2 años",
+    oneYearColumn: "Rentabilidad del bono a 1 año",
+    twoYearColumn: "Rentabilidad del bono a 2 años",
+  },
+
+  results: {
+    forwardLabel: "Tipo forward implícito f(1,1)",
+    forwardDetail: ": el tipo a 1 año que empieza en el año 1",
+    quoted: "Todos los tipos se cotizan con capitalización {compounding}",
+    accrual: "Devengo {dayCount}: {start} → {middle} ({first} a) → {end} ({second} a)",
+    formula: "Fórmula: {formula}",
+    arbitrage: "⚠ Arbitraje: el forward de mercado del {market} asegura {profit} sin riesgo en el año 2",
+    noArbitrage: "✓ Sin arbitraje: ambas estrategias rinden {final}",
+    oneYear: "Estrategia a un año",
+    twoYear: "Estrategia a dos años",
+    firstPeriod: "Año 0 → 1: {investment} al {s1} = {value}",
+    secondPeriod: "Año 1 → 2: {value} al {forward} = {final}",
+    fullPeriod: "Año 0 → 2: {investment} al {s2} {adverb}",
+    compound: "Capitalización: {expression} = {growth}",
+    final: "Final: {value}",
+  },
+
+  equivalents: {
+    customRate: "Tipo propio (%)",
+    customCompounding: "Capitalización del tipo propio",
+    custom: "Propio",
+    caption: "Tipos equivalentes: cada columna hace crecer 1 $ en la misma cantidad en un año.",
+    compounding: "Capitalización",
+  },
+
+  bootstrap: {
+    parYields: "Los rendimientos a la par pagan cupones anuales. Los tipos al contado se cotizan con capitalización {compounding}.",
+    bonds: "Los bonos con cupón pagan cupones anuales. Los tipos al contado se cotizan con capitalización {compounding}.",
+    formula: "Fórmula: P = C × (DF₁ + … + DFₙ₋₁) + (100 + C) × DFₙ",
+    year: "Año {year}",
+  },
+
+  inputs: {
+    mode: "Entrada",
+    modeHelp: "Introduzca los tipos al contado directamente o constrúyalos a partir de rendimientos a la par o precios de bonos con cupón",
+    spot: "Tipos al contado",
+    par: "Rendimientos a la par",
+    bonds: "Bonos con cupón",
+    compounding: "Capitalización",
+    compoundingHelp: "Todos los tipos al contado y forward se cotizan con esta convención",
+    spotRate: "Tipo al contado, año {year} (%)",
+    spotRateHelp: "Introdúzcalo como porcentaje (p. ej., {example} para {rate}); también valen {decimal} y {bp}. Las flechas o la rueda del ratón suben o bajan {step} (Mayús: ×10)",
+    readsAs: "Se interpreta como {rate}",
+    parYield: "Rendimiento a la par, año {year} (%)",
+    bond: "Bono {bond}",
+    coupon: "Cupón (%)",
+    price: "Precio",
+    maturity: "Vencimiento (años)",
+    removeBond: "Quitar el bono {bond}",
+    addBond: "+ Añadir bono",
+    marketForward: "Tipo forward de mercado (%)",
+    marketForwardHelp: "Tipo forward/FRA cotizado opcional; déjelo en blanco si no hay arbitraje",
+    notional: "Nominal ({currency})",
+    notionalHelp: "Importe que la operación de arbitraje traslada del año 1 al año 2",
+    investment: "Importe invertido ({currency})",
+    investmentHelp: "Lo que invierte cada estrategia en el año 0",
+    currency: "Moneda",
+    currencyOption: "{code} – {name}",
+    dayCount: "Cómputo de días",
+    dayCountHelp: "Años enteros trata cada periodo como exactamente un año; las demás convenciones devengan intereses entre fechas reales",
+    startDate: "Fecha de inicio",
+    endDate: "Fecha de fin",
+    endDateHelp: "La estrategia a 2 años vence aquí; la pata a 1 año termina en el primer aniversario de la fecha de inicio",
+  },
+
+  matrix: {
+    caption: "f(a,b): el tipo a b años que empieza en el año a. La fila a = 0 es la curva de contado.",
+    start: "Inicio (a)",
+    tenor: "b = {tenor}",
+    spotRow: "0 (contado)",
+  },
+
+  sensitivity: {
+    s1Min: "s₁ mín. (%)",
+    s1Max: "s₁ máx. (%)",
+    s2Min: "s₂ mín. (%)",
+    s2Max: "s₂ máx. (%)",
+    step: "Paso (%)",
+    s1Range: "El máximo de s₁ debe superar el mínimo",
+    s2Range: "El máximo de s₂ debe superar el mínimo",
+    stepPositive: "El paso de la cuadrícula debe ser positivo",
+    rateRange: "Los tipos de la cuadrícula deben estar entre {min} y {max}",
+    gridSize: "La cuadrícula tiene {count} puntos; use un paso mayor (límite {limit})",
+    current:
+      "Con los datos actuales: ∂f/∂s₁ = {dS1}, ∂f/∂s₂ = {dS2} (una subida de 1 punto en s₂ mueve f(1,1) unos {move} puntos).",
+    heatmapTitle: "Tipo forward f(1,1) según s₁ y s₂",
+    heatmapDescription:
+      "Mapa de calor del tipo forward implícito para s1 del {s1Min} al {s1Max} y s2 del {s2Min} al {s2Max}. El forward sube con s2 y baja con s1. Las cruces marcan los datos actuales del {s1} y el {s2}.",
+    hovered: "s₁ = {s1}, s₂ = {s2} → f(1,1) = {forward}",
+    s1Axis: "Tipo al contado a 1 año s₁ (%)",
+    s2Axis: "Tipo al contado a 2 años s₂ (%)",
+    dS1Title: "∂f/∂s₁ (s₂ fijo en {s2})",
+    dS2Title: "∂f/∂s₂ (s₁ fijo en {s1})",
+  },
+
+  scenarios: {
+    presets: "Predefinidos:",
+    copyLink: "Copiar enlace",
+    name: "Nombre del escenario",
+    save: "Guardar actual",
+    exportJson: "Exportar JSON",
+    importJson: "Importar JSON",
+    importFile: "Importar escenarios desde un archivo JSON",
+    saved: 'Guardado "{name}"',
+    linkCopied: "Enlace copiado al portapapeles",
+    copyFailed: "No se pudo copiar: use el enlace de la barra de direcciones",
+    importFailed: "Error al importar: {error}",
+    imported: { one: "Importado {count} escenario", other: "Importados {count} escenarios" },
+    invalidJson: "El archivo no es un JSON válido",
+    noScenarios: "No se encontraron escenarios con nombre y datos",
+    library: "Escenarios guardados",
+    newName: "Nuevo nombre para {name}",
+    load: "Cargar",
+    rename: "Renombrar",
+    delete: "Eliminar",
+    deleteEntry: "Eliminar {name}",
+  },
+
+  history: {
+    undo: "Deshacer",
+    redo: "Rehacer",
+    exportJson: "Exportar registro (JSON)",
+    shortcuts: "Fuera de un campo de texto, Ctrl+Z deshace y Ctrl+Y o Ctrl+Mayús+Z rehace (⌘ en Mac). Haga clic en un paso para volver a él.",
+    timeline: "Cambios de datos, del más reciente al más antiguo",
+    step: "Paso {number}",
+    start: "Datos iniciales",
+    change: "{field}: {from} → {to}",
+    forward: "f(1,1) = {rate}",
+    invalid: "sin resultado válido",
+    none: "ninguno",
+    bonds: { one: "{count} bono", other: "{count} bonos" },
+    showing: "Mostrando el paso {number} de {total}",
+    exported: { one: "Se exportó {count} entrada del registro", other: "Se exportaron {count} entradas del registro" },
+    fields: {
+      s1: "Tipo al contado a 1 año",
+      s2: "Tipo al contado a 2 años",
+      extraSpots: "Tipos al contado a plazos mayores",
+      compounding: "Capitalización",
+      marketForward: "Tipo forward de mercado",
+      notional: "Nominal",
+      investment: "Importe invertido",
+      currency: "Moneda",
+      dayCount: "Cómputo de días",
+      startDate: "Fecha de inicio",
+      endDate: "Fecha de fin",
+      expectedRate: "Tipo esperado a 1 año",
+      termPremium: "Prima por plazo",
+      premiumTheory: "Teoría",
+      inputMode: "Entrada",
+      parYields: "Rendimientos a la par",
+      bonds: "Bonos con cupón",
+    },
+  },
+
+  print: {
+    print: "Imprimir",
+    back: "Volver a la calculadora",
+  },
+
+  curveImport: {
+    open: "Importar curva…",
+    title: "Importar curva de contado",
+    intro:
+      "Pegue dos columnas, vencimiento y tipo al contado, o elija un archivo CSV. Se detectan cabeceras, separadores y vencimientos en meses (6M, 18 months) o años (2Y). Los tipos se leen en porcentaje salvo que la cabecera indique decimales o los elija abajo. Nada sale de su navegador.",
+    table: "Tabla de la curva",
+    file: "Archivo CSV",
+    loaded: "Cargado {file}",
+    detected: "Detectado: {details}",
+    header: "con fila de cabecera",
+    noHeader: "sin fila de cabecera",
+    delimiters: { "\t": "separado por tabuladores", ",": "separado por comas", ";": "separado por punto y coma", " ": "separado por espacios" },
+    decimal: "tipos en decimales (0.05 = 5 %)",
+    percent: "tipos en porcentaje",
+    scale: "Los tipos están",
+    scales: { auto: "Detectados en la tabla", percent: "En porcentaje (5 = 5 %)", decimal: "En decimales (0.05 = 5 %)" },
+    months: "vencimientos en meses",
+    years: "vencimientos en años",
+    notes: "Notas de la importación:",
+    caption: "Curva que se usará",
+    maturity: "Vencimiento",
+    rate: "Tipo al contado",
+    yearRow: "Año {year}",
+    use: "Usar esta curva",
+    empty: "Pegue una tabla o elija un archivo CSV con columnas de vencimiento y tipo",
+    headerOnly: "La tabla tiene fila de cabecera pero no filas de datos",
+    badMaturity: 'Línea {line}: el vencimiento "{text}" no es un número de años o meses',
+    badRate: 'Línea {line}: el tipo "{text}" no es un número',
+    nonPositiveMaturity: "Línea {line}: el vencimiento debe ser mayor que cero",
+    repeatedMaturity: "Línea {line}: el vencimiento {maturity} repite la línea {previous}",
+    skipped: {
+      one: "Se omitió {count} punto que no es un año entero de 1 a {max}: {points}",
+      other: "Se omitieron {count} puntos que no son años enteros de 1 a {max}: {points}",
+    },
+    skippedPoint: "{maturity} a",
+    needsOneYear: "La curva necesita un tipo a 1 año y al menos un vencimiento de años enteros más largo",
+    interpolated: "Años que faltaban {years} completados por interpolación lineal",
+    ambiguousScale: "Ningún tipo lleva % ni llega a 1, así que se han leído en porcentaje. Si 0.05 significa 5 %, elija decimales.",
+  },
+
+  comparison: {
+    current: "Datos actuales",
+    add: "Añadir escenario",
+    currentOption: "Datos actuales de la calculadora",
+    addButton: "+ Añadir",
+    count: "{count} de {max} escenarios · la primera columna es la referencia",
+    caption: "Tipo forward y valor final de cada escenario, con la diferencia respecto a la referencia",
+    scenario: "Escenario",
+    terminal: "Valor final",
+    forwardDelta: "Δ f(1,1) frente a la referencia",
+    terminalDelta: "Δ valor final frente a la referencia",
+    baselineRow: "{name} (referencia)",
+    baseline: "Referencia",
+    points: "{value} pp",
+    section: "Escenario: {name}",
+    remove: "Quitar {name}",
+  },
+
+  practice: {
+    seed: "Semilla del conjunto de problemas",
+    seedHelp: "Comparta una semilla para que toda la clase reciba los mismos problemas",
+    rateTolerance: "Tolerancia del tipo (± pp)",
+    moneyTolerance: "Tolerancia del valor (± $)",
+    score: "Puntuación: {correct} / {attempted}",
+    problem: "Problema {number}",
+    statement:
+      "El tipo al contado a 1 año es del {s1} y el tipo al contado a 2 años es del {s2} (capitalización {compounding}). Un inversor tiene {investment} para invertir durante dos años.",
+    forwardRate: "Tipo forward implícito f(1,1) (%)",
+    strategy1Final: "Valor de la estrategia a un año en el año 2 ($)",
+    strategy2Final: "Valor de la estrategia a dos años en el año 2 ($)",
+    correct: "✓ Correcto",
+    expected: "✗ Se esperaba {value}",
+    check: "Comprobar respuestas",
+    next: "Siguiente problema",
+    allCorrect: "Todas las respuestas son correctas.",
+    notQuite: "No del todo. Esta es la solución desarrollada:",
+  },
+};
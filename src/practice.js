@@ -0,0 +1,120 @@
+// Practice mode: seeded problem sets and answer grading
+
+import { calculateForwardRates } from "./forwardRates.js";
+import { DEFAULT_LOCALE, LOCALES } from "./i18n.js";
+
+/**
+ * @typedef {import("./forwardRates.js").Compounding} Compounding
+ * @typedef {{ index: number, s1: number, s2: number, compounding: Compounding }} PracticeProblem
+ * @typedef {{ forwardRate: number, strategy1Final: number, strategy2Final: number }} PracticeAnswers
+ * @typedef {{ rate: number, money: number }} Tolerance
+ */
+
+/** Default grading tolerance: percentage points for rates, dollars for terminal values. */
+export const DEFAULT_TOLERANCE = { rate: 0.01, money: 0.05 };
+
+/**
+ * Small deterministic PRNG (mulberry32) so a seed always produces the same problems.
+ * @param {number} seed
+ * @returns {() => number} uniform numbers in [0, 1)
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Turn any seed text into a 32-bit integer, so instructors can hand out words as seeds.
+ * @param {string} text
+ * @returns {number}
+ */
+export function seedFromText(text) {
+  const trimmed = String(text).trim();
+  if (/^\d+$/.test(trimmed)) return Number(trimmed) >>> 0;
+  let hash = 2166136261;
+  for (let i = 0; i < trimmed.length; i++) {
+    hash = Math.imul(hash ^ trimmed.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Problem `index` of the set for `seed`. Spot rates are rounded to 0.1% like textbook examples;
+ * most curves slope upward, with an occasional flat or inverted one.
+ * @param {number} seed
+ * @param {number} index - 0-based problem number
+ * @param {Compounding} [compounding="annual"]
+ * @returns {PracticeProblem}
+ */
+export function generateProblem(seed, index, compounding = "annual") {
+  const rng = createRng(seed);
+  let s1 = 0;
+  let s2 = 0;
+  for (let i = 0; i <= index; i++) {
+    s1 = Math.round((0.5 + rng() * 7.5) * 10) / 10;
+    s2 = Math.round((s1 - 1 + rng() * 4) * 10) / 10;
+  }
+  return { index, s1, s2, compounding };
+}
+
+/**
+ * Correct answers for a problem, straight from the calculator model.
+ * @param {PracticeProblem} problem
+ * @returns {PracticeAnswers}
+ */
+export function solveProblem(problem) {
+  const { value } = calculateForwardRates(problem);
+  return {
+    forwardRate: value.forwardRate,
+    strategy1Final: value.strategy1Final,
+    strategy2Final: value.strategy2Final,
+  };
+}
+
+/**
+ * Read a typed answer in `locale`. Currency and percent signs are ignored. The locale's decimal
+ * separator is the decimal point and the other mark groups digits ("1.116,64" in Spanish,
+ * "1,116.64" in English); without the locale's separator, a single other mark is taken as the
+ * decimal point, since "9.73" and "9,73" both turn up whatever the UI language.
+ * @param {string} text
+ * @param {import("./i18n.js").Locale} locale
+ * @returns {number} NaN when unreadable
+ */
+export function parseAnswer(text, locale = DEFAULT_LOCALE) {
+  const decimal = new Intl.NumberFormat(LOCALES[locale].tag).formatToParts(1.5).find(part => part.type === "decimal").value;
+  const other = decimal === "," ? "." : ",";
+  let cleaned = String(text ?? "").replace(/−/g, "-").replace(/[^\d.,+-]/g, "");
+  if (!cleaned.includes(decimal) && cleaned.split(other).length === 2) cleaned = cleaned.replace(other, decimal);
+  cleaned = cleaned.split(other).join("").replace(decimal, ".");
+  return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(cleaned) ? Number(cleaned) : NaN;
+}
+
+/**
+ * Grade typed answers against the solution. Blank or unparsable answers are wrong.
+ * @param {Record<keyof PracticeAnswers, string>} typed - raw field text
+ * @param {PracticeAnswers} solution
+ * @param {Tolerance} [tolerance=DEFAULT_TOLERANCE]
+ * @param {import("./i18n.js").Locale} [locale] - how decimals are written, see parseAnswer
+ * @returns {{ fields: Record<keyof PracticeAnswers, { answer: number | null, expected: number, correct: boolean }>, allCorrect: boolean }}
+ */
+export function gradeAnswers(typed, solution, tolerance = DEFAULT_TOLERANCE, locale = DEFAULT_LOCALE) {
+  const fields = {};
+  Object.keys(solution).forEach(key => {
+    const answer = parseAnswer(typed[key], locale);
+    const limit = key === "forwardRate" ? tolerance.rate : tolerance.money;
+    const expected = solution[key];
+    fields[key] = {
+      answer: Number.isFinite(answer) ? answer : null,
+      expected,
+      // A hair of slack so a tolerance of 0.01 accepts answers exactly 0.01 away
+      correct: Number.isFinite(answer) && Math.abs(answer - expected) <= limit + 1e-9,
+    };
+  });
+  return { fields, allCorrect: Object.values(fields).every(field => field.correct) };
+}
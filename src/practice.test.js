@@ -0,0 +1,75 @@
+import { describe, it, expect } from "vitest";
+import fc from "fast-check";
+import { createRng, seedFromText, generateProblem, solveProblem, gradeAnswers, DEFAULT_TOLERANCE } from "./practice.js";
+import { MIN_RATE, MAX_RATE } from "./forwardRates.js";
+
+describe("createRng", () => {
+  it("is deterministic for a seed and stays in [0, 1)", () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    for (let i = 0; i < 100; i++) {
+      const value = a();
+      expect(value).toBe(b());
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+});
+
+describe("seedFromText", () => {
+  it("uses numeric seeds as-is and hashes words", () => {
+    expect(seedFromText("1234")).toBe(1234);
+    expect(seedFromText(" fin101 ")).toBe(seedFromText("fin101"));
+    expect(seedFromText("fin101")).not.toBe(seedFromText("fin102"));
+  });
+});
+
+describe("generateProblem", () => {
+  it("gives every student the same problem for the same seed and index", () => {
+    expect(generateProblem(7, 3)).toEqual(generateProblem(7, 3));
+    expect(generateProblem(7, 3)).not.toEqual(generateProblem(8, 3));
+  });
+
+  it("produces rates the calculator accepts, rounded to 0.1%", () => {
+    fc.assert(fc.property(fc.nat(), fc.nat({ max: 50 }), (seed, index) => {
+      const { s1, s2 } = generateProblem(seed, index);
+      [s1, s2].forEach(rate => {
+        expect(rate).toBeGreaterThanOrEqual(MIN_RATE);
+        expect(rate).toBeLessThanOrEqual(MAX_RATE);
+        expect(Math.round(rate * 10) / 10).toBe(rate);
+      });
+    }));
+  });
+});
+
+describe("gradeAnswers", () => {
+  const solution = solveProblem({ s1: 6.3, s2: 8.0, compounding: "annual" });
+
+  it("accepts rounded answers within tolerance", () => {
+    const result = gradeAnswers({ forwardRate: "9.73", strategy1Final: "$116.64", strategy2Final: "116.64" }, solution);
+    expect(result.allCorrect).toBe(true);
+  });
+
+  it("marks wrong and blank answers individually", () => {
+    const result = gradeAnswers({ forwardRate: "9.5", strategy1Final: "", strategy2Final: "116.64" }, solution);
+    expect(result.allCorrect).toBe(false);
+    expect(result.fields.forwardRate.correct).toBe(false);
+    expect(result.fields.strategy1Final).toMatchObject({ answer: null, correct: false });
+    expect(result.fields.strategy2Final.correct).toBe(true);
+  });
+
+  it("reads Spanish decimal commas and grouping dots", () => {
+    const typed = { forwardRate: "9,73 %", strategy1Final: "116,64 €", strategy2Final: "1.116,64" };
+    const result = gradeAnswers(typed, solution, DEFAULT_TOLERANCE, "es");
+    expect(result.fields.forwardRate.correct).toBe(true);
+    expect(result.fields.strategy1Final.correct).toBe(true);
+    expect(result.fields.strategy2Final.answer).toBe(1116.64);
+    expect(gradeAnswers({ forwardRate: "9.73", strategy1Final: "116.64", strategy2Final: "116,64" }, solution, DEFAULT_TOLERANCE, "es").allCorrect).toBe(true);
+  });
+
+  it("honours a custom tolerance", () => {
+    const typed = { forwardRate: "9.7", strategy1Final: "116.6", strategy2Final: "116.6" };
+    expect(gradeAnswers(typed, solution, DEFAULT_TOLERANCE).allCorrect).toBe(false);
+    expect(gradeAnswers(typed, solution, { rate: 0.05, money: 0.05 }).allCorrect).toBe(true);
+  });
+});
@@ -0,0 +1,63 @@
+// Reading typed rates ("6.3", "6.3%", "0.063", "630bp") and stepping them with
+// the keyboard or mouse wheel; the RateInput component in App.jsx builds on these
+
+import { MIN_RATE, MAX_RATE } from "./forwardRates.js";
+
+/**
+ * @typedef {import("./forwardRates.js").Message} Message
+ * @typedef {"percent" | "basisPoints" | "decimal"} RateNotation
+ * @typedef {{ ok: true, value: number, notation: RateNotation }
+ *   | { ok: false, message: Message }} RateParse
+ */
+
+// Bare numbers below this (in absolute value) written with three or more decimals are
+// decimal fractions: 0.063 is 6.3%, while 0.5 and 0.06 stay percent. The field shows how
+// it read the text, and a trailing "%" keeps a low rate such as 0.125% in percent.
+export const DECIMAL_RATE_LIMIT = 0.25;
+
+// `message` is the key to show in the UI language
+const fail = (name, params) => ({ ok: false, message: { key: `errors.${name}`, params } });
+
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)$/;
+const BASIS_POINTS = /\s*(bps?|pb)$/i;
+
+/**
+ * @param {string} text - as typed; "," works as the decimal point and "−" as minus
+ * @returns {RateParse} the rate in %
+ */
+export function parseRateText(text) {
+  const cleaned = String(text ?? "").trim().replace(/[−–]/g, "-").replace(/,/g, ".").replace(/\s+/g, " ");
+  if (cleaned === "") return fail("rateEmpty");
+
+  let notation = "percent";
+  let number = cleaned;
+  if (cleaned.endsWith("%")) {
+    number = cleaned.slice(0, -1).trim();
+  } else if (BASIS_POINTS.test(cleaned)) {
+    notation = "basisPoints";
+    number = cleaned.replace(BASIS_POINTS, "");
+  }
+
+  if (!NUMBER.test(number)) return fail("rateUnreadable", { text: String(text).trim() });
+
+  let value = Number(number);
+  const decimals = (number.split(".")[1] || "").length;
+  if (notation === "basisPoints") value /= 100;
+  else if (!cleaned.endsWith("%") && value !== 0 && Math.abs(value) < DECIMAL_RATE_LIMIT && decimals >= 3) {
+    notation = "decimal";
+    value *= 100;
+  }
+  return { ok: true, value: Number(value.toFixed(10)), notation };
+}
+
+/**
+ * One keyboard or wheel step, rounded to `precision` decimals and kept within bounds.
+ * An empty field steps from 0.
+ * @param {number | null} rate - in %
+ * @param {number} delta - signed step in %
+ * @returns {number}
+ */
+export function stepRate(rate, delta, { precision = 2, min = MIN_RATE, max = MAX_RATE } = {}) {
+  const next = Number(((rate ?? 0) + delta).toFixed(precision));
+  return Math.min(max, Math.max(min, next));
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from "vitest";
+import { parseRateText, stepRate } from "./rateInput.js";
+
+describe("parseRateText", () => {
+  it("reads percent, percent-sign, decimal and basis-point notations as the same rate", () => {
+    ["6.3", "6.3%", "6.3 %", "0.063", "630bp", "630 bps", "630pb"].forEach(text => {
+      expect(parseRateText(text), text).toMatchObject({ ok: true, value: 6.3 });
+    });
+    expect(parseRateText("0.063").notation).toBe("decimal");
+    expect(parseRateText("630bp").notation).toBe("basisPoints");
+  });
+
+  it("accepts a decimal comma, a typographic minus and stray spaces", () => {
+    expect(parseRateText(" 6,3 % ")).toMatchObject({ ok: true, value: 6.3 });
+    expect(parseRateText("−0.5")).toMatchObject({ ok: true, value: -0.5 });
+    expect(parseRateText("-25 bp")).toMatchObject({ ok: true, value: -0.25 });
+  });
+
+  it("keeps short small numbers as percent, so near-zero rates are not scaled", () => {
+    expect(parseRateText("0.5")).toMatchObject({ value: 0.5, notation: "percent" });
+    expect(parseRateText("0.06")).toMatchObject({ value: 0.06, notation: "percent" });
+    expect(parseRateText("-0.005")).toMatchObject({ value: -0.5, notation: "decimal" });
+    expect(parseRateText("0.063%")).toMatchObject({ value: 0.063, notation: "percent" });
+  });
+
+  it("reports empty and unreadable text with a message to translate", () => {
+    expect(parseRateText("  ")).toMatchObject({ ok: false, message: { key: "errors.rateEmpty" } });
+    expect(parseRateText("6.3.1")).toMatchObject({ ok: false, message: { key: "errors.rateUnreadable", params: { text: "6.3.1" } } });
+    expect(parseRateText("abc%").ok).toBe(false);
+    expect(parseRateText("1e3").ok).toBe(false);
+  });
+});
+
+describe("stepRate", () => {
+  it("steps to the given precision without floating-point residue", () => {
+    expect(stepRate(6.3, 0.1)).toBe(6.4);
+    expect(stepRate(0.1, 0.2, { precision: 1 })).toBe(0.3);
+  });
+
+  it("starts an empty field from zero and stays within bounds", () => {
+    expect(stepRate(null, -0.1)).toBe(-0.1);
+    expect(stepRate(49.95, 1, { max: 50 })).toBe(50);
+    expect(stepRate(-19.5, -1, { min: -20 })).toBe(-20);
+  });
+});
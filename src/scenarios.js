@@ -0,0 +1,179 @@
+// Scenario state: defaults, built-in presets, URL sharing and the localStorage library
+
+import { COMPOUNDING, DAY_COUNTS, TERM_STRUCTURE_THEORIES } from "./forwardRates.js";
+import { CURRENCIES } from "./formatting.js";
+
+export const DEFAULT_INPUTS = {
+  s1: 6.3,
+  s2: 8.0,
+  extraSpots: [],
+  compounding: "annual",
+  marketForward: null,
+  notional: 100,
+  investment: 100,
+  currency: "USD",
+  dayCount: "years",
+  startDate: "",
+  endDate: "",
+  expectedRate: null,
+  termPremium: null,
+  premiumTheory: "liquidity",
+  inputMode: "spot",
+  parYields: [6.3, 7.934],
+  bonds: [
+    { coupon: 5, price: 98.777, maturity: 1 },
+    { coupon: 6, price: 96.522, maturity: 2 },
+  ],
+};
+
+// Presets only list what differs from DEFAULT_INPUTS; their names are in the locale catalogs under `presets`
+export const PRESET_SCENARIOS = [
+  { id: "curriculum", inputs: {} },
+  { id: "flat", inputs: { s1: 5, s2: 5 } },
+  { id: "inverted", inputs: { s1: 8, s2: 6.3 } },
+  { id: "negative", inputs: { s1: -0.5, s2: -0.2 } },
+];
+
+// String settings must be one of these values, or the default is used
+const STRING_CHOICES = {
+  compounding: Object.keys(COMPOUNDING),
+  inputMode: ["spot", "par", "bonds"],
+  currency: CURRENCIES,
+  dayCount: DAY_COUNTS,
+  premiumTheory: TERM_STRUCTURE_THEORIES,
+};
+
+// Longest maturity (in years) the spot curve inputs accept
+export const MAX_MATURITY = 10;
+
+const isFiniteNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// List settings: the test every element must pass and the fewest and most elements the app
+// works with (extra spots start at year 3). Bonds are rebuilt from their known fields so
+// stray keys don't ride along.
+const ARRAY_RULES = {
+  extraSpots: { minLength: 0, maxLength: MAX_MATURITY - 2, element: isFiniteNumber },
+  parYields: { minLength: 2, maxLength: MAX_MATURITY, element: isFiniteNumber },
+  bonds: {
+    minLength: 2,
+    maxLength: MAX_MATURITY,
+    element: (bond) => Boolean(bond) && typeof bond === "object"
+      && isFiniteNumber(bond.coupon) && isFiniteNumber(bond.price) && Number.isInteger(bond.maturity) && bond.maturity >= 1,
+    clean: ({ coupon, price, maturity }) => ({ coupon, price, maturity }),
+  },
+};
+
+const LIBRARY_KEY = "impliedForwardRate.scenarios";
+
+// Keep only keys the app knows, coerced to the type of their default.
+// Unknown or malformed values fall back to the default, so old links keep working.
+export function sanitizeScenario(raw) {
+  const scenario = {};
+  if (!raw || typeof raw !== "object") return scenario;
+
+  Object.entries(DEFAULT_INPUTS).forEach(([key, fallback]) => {
+    const value = raw[key];
+    if (value === undefined) return;
+    if (typeof fallback === "number") {
+      if (typeof value === "number" && Number.isFinite(value)) scenario[key] = value;
+    } else if (typeof fallback === "string") {
+      if (typeof value === "string" && (!STRING_CHOICES[key] || STRING_CHOICES[key].includes(value))) {
+        scenario[key] = value;
+      }
+    } else if (Array.isArray(fallback)) {
+      const { minLength, maxLength, element, clean } = ARRAY_RULES[key];
+      if (Array.isArray(value) && value.length >= minLength && value.length <= maxLength && value.every(element)) {
+        scenario[key] = clean ? value.map(clean) : value;
+      }
+    } else if (value === null || typeof value === "number") {
+      scenario[key] = value;
+    }
+  });
+
+  return scenario;
+}
+
+// Only settings that differ from the defaults are written, keeping links short.
+// Numbers and strings go in as-is; everything else (arrays, objects, null) as JSON.
+export function encodeScenario(inputs) {
+  const params = new URLSearchParams();
+  Object.keys(DEFAULT_INPUTS).forEach(key => {
+    const value = inputs[key];
+    if (value === undefined || JSON.stringify(value) === JSON.stringify(DEFAULT_INPUTS[key])) return;
+    params.set(key, typeof value === "number" || typeof value === "string" ? String(value) : JSON.stringify(value));
+  });
+  return params.toString();
+}
+
+export function decodeScenario(search) {
+  const params = new URLSearchParams(search);
+  const raw = {};
+
+  Object.entries(DEFAULT_INPUTS).forEach(([key, fallback]) => {
+    if (!params.has(key)) return;
+    const text = params.get(key);
+    if (typeof fallback === "number") {
+      raw[key] = parseFloat(text);
+    } else if (typeof fallback === "string") {
+      raw[key] = text;
+    } else {
+      try {
+        raw[key] = JSON.parse(text);
+      } catch {
+        // Ignore a mangled parameter rather than failing the whole link
+      }
+    }
+  });
+
+  return sanitizeScenario(raw);
+}
+
+export function scenarioUrl(inputs) {
+  const { origin, pathname } = window.location;
+  return `${origin}${pathname}?${encodeScenario(inputs)}`;
+}
+
+export function loadLibrary() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(LIBRARY_KEY));
+    return Array.isArray(stored) ? stored.filter(entry => entry && entry.id && entry.name) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveLibrary(library) {
+  try {
+    window.localStorage.setItem(LIBRARY_KEY, JSON.stringify(library));
+  } catch {
+    // Storage can be full or disabled (private browsing); the in-memory library still works
+  }
+}
+
+export function createLibraryEntry(name, inputs) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    inputs: { ...inputs },
+    savedAt: new Date().toISOString(),
+  };
+}
+
+// Accepts an exported library (array) or a single { name, inputs } scenario. A failed import
+// has no entries and a `message` key to show in the UI language.
+export function parseLibraryImport(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return { entries: [], message: { key: "scenarios.invalidJson" } };
+  }
+
+  const items = Array.isArray(parsed) ? parsed : [parsed];
+  const entries = items
+    .filter(item => item && typeof item.name === "string" && item.inputs)
+    .map(item => createLibraryEntry(item.name, { ...DEFAULT_INPUTS, ...sanitizeScenario(item.inputs) }));
+
+  if (entries.length === 0) return { entries, message: { key: "scenarios.noScenarios" } };
+  return { entries, message: null };
+}
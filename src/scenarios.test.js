@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { DEFAULT_INPUTS, MAX_MATURITY, decodeScenario, encodeScenario, sanitizeScenario } from "./scenarios.js";
+
+describe("decodeScenario", () => {
+  it("reads back what encodeScenario wrote", () => {
+    const inputs = { ...DEFAULT_INPUTS, s1: 5.5, extraSpots: [8.5, 9], inputMode: "bonds" };
+    expect({ ...DEFAULT_INPUTS, ...decodeScenario(encodeScenario(inputs)) }).toEqual(inputs);
+  });
+
+  it("drops lists with malformed elements so the defaults apply", () => {
+    expect(decodeScenario("?inputMode=bonds&bonds=[null]")).toEqual({ inputMode: "bonds" });
+    expect(decodeScenario('?extraSpots=["x"]')).toEqual({});
+    expect(decodeScenario("?extraSpots=[7,null]")).toEqual({});
+    expect(decodeScenario('?bonds=[{"coupon":5,"price":98,"maturity":1.5},{"coupon":6,"price":96,"maturity":2}]')).toEqual({});
+  });
+
+  it("drops lists shorter than the app needs", () => {
+    expect(decodeScenario("?parYields=[]")).toEqual({});
+    expect(decodeScenario("?parYields=[6]")).toEqual({});
+    expect(decodeScenario("?bonds=[]")).toEqual({});
+    expect(decodeScenario("?extraSpots=[]")).toEqual({ extraSpots: [] });
+  });
+
+  it("drops lists longer than the inputs allow", () => {
+    const spots = (count) => JSON.stringify(Array.from({ length: count }, () => 8));
+    expect(decodeScenario(`?extraSpots=${spots(MAX_MATURITY - 2)}`).extraSpots).toHaveLength(MAX_MATURITY - 2);
+    expect(decodeScenario(`?extraSpots=${spots(MAX_MATURITY - 1)}`)).toEqual({});
+    expect(decodeScenario(`?parYields=${spots(MAX_MATURITY + 1)}`)).toEqual({});
+  });
+});
+
+describe("sanitizeScenario", () => {
+  it("keeps only the known fields of each bond", () => {
+    const bonds = [{ coupon: 5, price: 98, maturity: 1, note: "x" }, { coupon: 6, price: 96, maturity: 2 }];
+    expect(sanitizeScenario({ bonds }).bonds).toEqual([{ coupon: 5, price: 98, maturity: 1 }, { coupon: 6, price: 96, maturity: 2 }]);
+  });
+});
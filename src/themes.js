@@ -0,0 +1,215 @@
+// Theme tokens: chart colors (hex, for SVG attributes) and UI colors (exposed to Tailwind as
+// CSS variables) for the light, dark and high-contrast themes, plus the saved theme choice
+
+/**
+ * @typedef {Object} Theme
+ * @property {"light"|"dark"} colorScheme Native form controls and scrollbars follow this
+ * @property {Record<string, string>} chart Series, text, grid and axis colors for the charts
+ * @property {Record<string, string>} ui Page, card, alert and tooltip colors for Tailwind classes
+ */
+
+/** @type {Record<string, Theme>} */
+export const THEMES = {
+  // CFA-branded palette (accessible & colorblind-safe)
+  light: {
+    colorScheme: "light",
+    chart: {
+      primary: "#4476ff",
+      dark: "#06005a",
+      darkAlt: "#38337b",
+      positive: "#5b83f5",
+      negative: "#d96a20",
+      purple: "#7a46ff",
+      purpleAlt: "#50037f",
+      lightBlue: "#4476ff",
+      orange: "#c9591a",
+      darkText: "#06005a",
+      grid: "#e5e7eb",
+      axis: "#374151",
+      markerStroke: "#ffffff",
+      background: "#ffffff",
+    },
+    ui: {
+      page: "#f9fafb",
+      surface: "#ffffff",
+      surfaceMuted: "#f9fafb",
+      line: "#d1d5db",
+      lineSubtle: "#f3f4f6",
+      ink: "#1f2937",
+      inkMuted: "#4b5563",
+      focus: "#3b82f6",
+      accent: "#1d4ed8",
+      accentSoft: "#eff6ff",
+      accentLine: "#93c5fd",
+      onAccent: "#ffffff",
+      secondary: "#c2410c",
+      secondarySoft: "#fff7ed",
+      secondaryLine: "#fed7aa",
+      alert: "#fef2f2",
+      alertLine: "#fca5a5",
+      alertInk: "#b91c1c",
+      alertStrong: "#ef4444",
+      warning: "#fffbeb",
+      warningLine: "#fde68a",
+      warningInk: "#78350f",
+      highlight: "#fef9c3",
+      highlightLine: "#facc15",
+      success: "#15803d",
+      successLine: "#22c55e",
+      tooltip: "#1f2937",
+      tooltipInk: "#ffffff",
+    },
+  },
+  dark: {
+    colorScheme: "dark",
+    chart: {
+      primary: "#7c9dff",
+      dark: "#c7d2fe",
+      darkAlt: "#a5b4fc",
+      positive: "#6991ff",
+      negative: "#f59e4c",
+      purple: "#b69cff",
+      purpleAlt: "#e9b8ff",
+      lightBlue: "#7c9dff",
+      orange: "#fb923c",
+      darkText: "#e5e7eb",
+      grid: "#374151",
+      axis: "#9ca3af",
+      markerStroke: "#111827",
+      background: "#111827",
+    },
+    ui: {
+      page: "#030712",
+      surface: "#111827",
+      surfaceMuted: "#1f2937",
+      line: "#4b5563",
+      lineSubtle: "#1f2937",
+      ink: "#f3f4f6",
+      inkMuted: "#d1d5db",
+      focus: "#60a5fa",
+      accent: "#93c5fd",
+      accentSoft: "#172554",
+      accentLine: "#1e40af",
+      onAccent: "#111827",
+      secondary: "#fdba74",
+      secondarySoft: "#431407",
+      secondaryLine: "#9a3412",
+      alert: "#450a0a",
+      alertLine: "#b91c1c",
+      alertInk: "#fecaca",
+      alertStrong: "#f87171",
+      warning: "#451a03",
+      warningLine: "#b45309",
+      warningInk: "#fde68a",
+      highlight: "#422006",
+      highlightLine: "#eab308",
+      success: "#4ade80",
+      successLine: "#22c55e",
+      tooltip: "#f3f4f6",
+      tooltipInk: "#111827",
+    },
+  },
+  // Pure black and white with saturated, well-separated series colors
+  contrast: {
+    colorScheme: "dark",
+    chart: {
+      primary: "#66b2ff",
+      dark: "#ffffff",
+      darkAlt: "#00ffff",
+      positive: "#3d8bff",
+      negative: "#ff9900",
+      purple: "#c9a6ff",
+      purpleAlt: "#ff4dff",
+      lightBlue: "#66b2ff",
+      orange: "#ffd400",
+      darkText: "#ffffff",
+      grid: "#6b7280",
+      axis: "#ffffff",
+      markerStroke: "#000000",
+      background: "#000000",
+    },
+    ui: {
+      page: "#000000",
+      surface: "#000000",
+      surfaceMuted: "#1a1a1a",
+      line: "#ffffff",
+      lineSubtle: "#a3a3a3",
+      ink: "#ffffff",
+      inkMuted: "#e5e5e5",
+      focus: "#ffff00",
+      accent: "#7fdbff",
+      accentSoft: "#001a33",
+      accentLine: "#7fdbff",
+      onAccent: "#000000",
+      secondary: "#ffb366",
+      secondarySoft: "#1f1000",
+      secondaryLine: "#ffb366",
+      alert: "#1f0000",
+      alertLine: "#ff6b6b",
+      alertInk: "#ffb3b3",
+      alertStrong: "#ff6b6b",
+      warning: "#1f1a00",
+      warningLine: "#ffd400",
+      warningInk: "#ffe680",
+      highlight: "#333300",
+      highlightLine: "#ffff00",
+      success: "#66ff99",
+      successLine: "#66ff99",
+      tooltip: "#ffffff",
+      tooltipInk: "#000000",
+    },
+  },
+};
+
+// "system" follows the operating system's light/dark preference
+export const THEME_CHOICES = ["system", "light", "dark", "contrast"];
+
+const THEME_KEY = "impliedForwardRate.theme";
+
+const channels = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+// WCAG 2 contrast ratio of two #rrggbb colors, from 1 (identical) to 21 (black on white)
+export function contrastRatio(a, b) {
+  const luminance = (hex) => {
+    const [r, g, b] = channels(hex).map(c => {
+      const v = c / 255;
+      return v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  };
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+// UI tokens as CSS custom properties ("--color-surface-muted": "249 250 251"), in the
+// space-separated channel form Tailwind needs to apply opacity modifiers
+export function themeVariables(theme) {
+  return Object.fromEntries(
+    Object.entries(theme.ui).map(([name, hex]) => [
+      `--color-${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`,
+      channels(hex).join(" "),
+    ])
+  );
+}
+
+export function systemTheme() {
+  return window.matchMedia?.("(prefers-color-scheme: dark)").matches ? "dark" : "light";
+}
+
+export function preferredThemeChoice() {
+  try {
+    const saved = window.localStorage.getItem(THEME_KEY);
+    if (THEME_CHOICES.includes(saved)) return saved;
+  } catch {
+    // Storage can be disabled; fall through to the system setting
+  }
+  return "system";
+}
+
+export function saveThemeChoice(choice) {
+  try {
+    window.localStorage.setItem(THEME_KEY, choice);
+  } catch {
+    // The choice still applies for this visit
+  }
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import { THEMES, contrastRatio, themeVariables } from "./themes.js";
+
+// WCAG AA: 4.5:1 for text, 3:1 for graphical objects such as chart markers and lines
+const TEXT = 4.5;
+const GRAPHICS = 3;
+
+describe("contrastRatio", () => {
+  it("matches the WCAG reference values", () => {
+    expect(contrastRatio("#000000", "#ffffff")).toBeCloseTo(21, 5);
+    expect(contrastRatio("#ffffff", "#ffffff")).toBe(1);
+    expect(contrastRatio("#767676", "#ffffff")).toBeCloseTo(4.54, 2);
+  });
+});
+
+describe.each(Object.entries(THEMES))("%s theme", (name, theme) => {
+  const { chart, ui } = theme;
+
+  it("keeps bar labels and axis text readable on the chart background", () => {
+    expect(contrastRatio(chart.darkText, chart.background)).toBeGreaterThanOrEqual(TEXT);
+    expect(contrastRatio(chart.axis, chart.background)).toBeGreaterThanOrEqual(TEXT);
+  });
+
+  it("keeps markers and lines visible on the chart background", () => {
+    ["primary", "dark", "darkAlt", "positive", "negative", "purple", "purpleAlt", "orange"].forEach(key => {
+      expect(contrastRatio(chart[key], chart.background), key).toBeGreaterThanOrEqual(GRAPHICS);
+    });
+  });
+
+  it("keeps UI text readable on its surface", () => {
+    [
+      ["ink", "surface"],
+      ["inkMuted", "surface"],
+      ["ink", "surfaceMuted"],
+      ["accent", "surface"],
+      ["accent", "accentSoft"],
+      ["onAccent", "accent"],
+      ["secondary", "secondarySoft"],
+      ["alertInk", "alert"],
+      ["warningInk", "warning"],
+      ["ink", "highlight"],
+      ["success", "surface"],
+      ["tooltipInk", "tooltip"],
+    ].forEach(([text, background]) => {
+      expect(contrastRatio(ui[text], ui[background]), `${text} on ${background}`).toBeGreaterThanOrEqual(TEXT);
+    });
+  });
+
+  it("defines the same tokens as the light theme", () => {
+    expect(Object.keys(chart).sort()).toEqual(Object.keys(THEMES.light.chart).sort());
+    expect(Object.keys(ui).sort()).toEqual(Object.keys(THEMES.light.ui).sort());
+  });
+});
+
+describe("themeVariables", () => {
+  it("exposes UI tokens as kebab-case RGB channel variables", () => {
+    const variables = themeVariables(THEMES.light);
+    expect(variables["--color-surface-muted"]).toBe("249 250 251");
+    expect(variables["--color-on-accent"]).toBe("255 255 255");
+  });
+});
@@ -1,3 +1,5 @@
+const token = (name) => `rgb(var(--color-${name}) / <alpha-value>)`;
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: ["./index.html", "./src/**/*.{js,jsx,ts,tsx}"],
@@ -6,6 +8,20 @@ export default {
       colors: {
         cfaBlue: "#4476FF",
         cfaDark: "#06005A",
+        // Theme tokens, set as CSS variables by the App root (see src/themes.js)
+        page: token("page"),
+        surface: { DEFAULT: token("surface"), muted: token("surface-muted") },
+        line: { DEFAULT: token("line"), subtle: token("line-subtle") },
+        ink: { DEFAULT: token("ink"), muted: token("ink-muted") },
+        focus: token("focus"),
+        accent: { DEFAULT: token("accent"), soft: token("accent-soft"), line: token("accent-line") },
+        on: { accent: token("on-accent") },
+        secondary: { DEFAULT: token("secondary"), soft: token("secondary-soft"), line: token("secondary-line") },
+        alert: { DEFAULT: token("alert"), line: token("alert-line"), ink: token("alert-ink"), strong: token("alert-strong") },
+        warning: { DEFAULT: token("warning"), line: token("warning-line"), ink: token("warning-ink") },
+        highlight: { DEFAULT: token("highlight"), line: token("highlight-line") },
+        success: { DEFAULT: token("success"), line: token("success-line") },
+        tooltip: { DEFAULT: token("tooltip"), ink: token("tooltip-ink") },
       },
       fontFamily: {
         heading: ["Georgia", "serif"],
@@ -0,0 +1,9 @@
+import baseConfig from "./tailwind.config.js";
+
+// Widget build: no preflight, and every utility scoped under the widget's mount element,
+// so the stylesheet leaves the rest of the host page alone (see src/embed.css)
+export default {
+  ...baseConfig,
+  important: ".implied-forward-rate",
+  corePlugins: { preflight: false },
+};
@@ -0,0 +1,41 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+import tailwindcss from 'tailwindcss'
+import autoprefixer from 'autoprefixer'
+import tailwindEmbedConfig from './tailwind.embed.config.js'
+
+// Tailwind writes its variable defaults on `*` and `::backdrop`; keep those inside the widget too
+const scopeTailwindBase = () => ({
+  postcssPlugin: 'scope-tailwind-base',
+  Rule(rule) {
+    if (!rule.selectors.every(selector => /^(\*|::?before|::?after|::backdrop)$/.test(selector))) return
+    rule.selectors = rule.selectors.flatMap(selector => (
+      selector === '*' ? ['.implied-forward-rate', '.implied-forward-rate *'] : [`.implied-forward-rate ${selector}`]
+    ))
+  },
+})
+scopeTailwindBase.postcss = true
+
+// Widget bundle for host pages: one script plus one stylesheet, React included.
+// See src/embed.jsx for the data attributes, init options and postMessage API.
+export default defineConfig({
+  plugins: [react()],
+  publicDir: false,
+  // Scoped utilities and no preflight, so the stylesheet can sit on any host page
+  css: {
+    postcss: { plugins: [tailwindcss(tailwindEmbedConfig), scopeTailwindBase(), autoprefixer()] },
+  },
+  define: {
+    'process.env.NODE_ENV': JSON.stringify('production'),
+  },
+  build: {
+    outDir: 'dist/embed',
+    lib: {
+      entry: 'src/embed.jsx',
+      name: 'ImpliedForwardRate',
+      formats: ['iife'],
+      fileName: () => 'implied-forward-rate.js',
+      cssFileName: 'implied-forward-rate',
+    },
+  },
+})